@@ -0,0 +1,29 @@
+/**
+ * Dedup windows: how long a phone / PAN / email stays a duplicate.
+ *
+ * A lead repeating an earlier lead's identifiers within the window is a
+ * duplicate; outside it the lead is stored as a re-engagement. Without any
+ * window (the default) a repeat is a duplicate forever.
+ *
+ * The most specific window wins: campaign (campaign_id, or ad_id for leads
+ * without one), then platform, then the default.
+ */
+
+// "key:days,key:days" -> { key: days }
+const parseWindows = (value) => Object.fromEntries(
+    (value ? value.split(",") : [])
+        .map(entry => entry.split(":").map(part => part.trim()))
+        .filter(([key, days]) => key && parseInt(days) > 0)
+        .map(([key, days]) => [key.toLowerCase(), parseInt(days)])
+);
+
+export const DEDUP_WINDOWS = {
+    defaultDays: parseInt(process.env.DEDUP_WINDOW_DAYS) > 0 ? parseInt(process.env.DEDUP_WINDOW_DAYS) : null,
+    // e.g. "fb:30,ig:30"
+    platformDays: parseWindows(process.env.DEDUP_WINDOW_PLATFORM_DAYS),
+    // campaign_id (ad_id for leads without one), e.g. "120237694055210170:90"
+    campaignDays: parseWindows(process.env.DEDUP_WINDOW_CAMPAIGN_DAYS)
+};
+
+// duplicate_reason of a lead stored as a re-engagement of an earlier one
+export const RE_ENGAGED_REASON = "re_engaged";
@@ -0,0 +1,36 @@
+/**
+ * Survivorship rules used when the members of a duplicate cluster are merged
+ * into its golden record.
+ *
+ *   most_recent - value of the most recent lead that has one
+ *   longest     - longest value, ties go to the most recent lead
+ *
+ * Fields not listed here (phone, created_time, ad_id, platform, import
+ * details...) describe a single submission and are never merged.
+ */
+
+export const SURVIVORSHIP_RULES = {
+    pan_number: "most_recent",
+    email: "most_recent",
+    full_name: "longest",
+    first_name: "longest",
+    last_name: "longest",
+    age: "most_recent",
+    gender: "most_recent",
+    city: "most_recent",
+    state: "most_recent",
+    pincode: "most_recent",
+    occupation: "most_recent",
+    company_name: "most_recent",
+    loan_amount: "most_recent",
+    loan_purpose: "most_recent",
+    existing_loans: "most_recent",
+    credit_score: "most_recent",
+    what_is_your_monthly_salary: "most_recent"
+};
+
+// additional_data keys are merged one by one with this rule
+export const ADDITIONAL_DATA_RULE = "most_recent";
+
+// Reason stored on a former golden record that was merged into another member
+export const MERGED_DUPLICATE_REASON = "Merged into golden record";
@@ -0,0 +1,33 @@
+/**
+ * Fuzzy duplicate detection settings.
+ *
+ * A pair of leads is stored as a possible duplicate when the sum of the
+ * weights of its matching signals reaches FUZZY_DUPLICATE_MIN_SCORE. With the
+ * default weights a similar name passes with the same pincode, city, a phone
+ * one digit away or a PAN one character away; phone plus PAN passes without
+ * a name; no single signal passes on its own.
+ */
+
+export const FUZZY_DUPLICATE_SETTINGS = {
+    // Run the fuzzy pass on imports unless the upload says otherwise
+    enabledByDefault: process.env.FUZZY_DEDUP_ENABLED === "true",
+    minScore: parseFloat(process.env.FUZZY_DUPLICATE_MIN_SCORE) || 0.55,
+    // Names at least this similar (Jaro-Winkler, 0-1) count as the same name
+    minNameSimilarity: 0.85,
+    // Candidates compared per lead
+    maxCandidates: 50
+};
+
+export const FUZZY_DUPLICATE_WEIGHTS = {
+    // Multiplied by the name similarity
+    name: 0.5,
+    samePincode: 0.2,
+    sameCity: 0.15,
+    // Phone differing by one digit (or two swapped digits)
+    phoneOneEdit: 0.3,
+    // PAN differing by one character
+    panOneChar: 0.3
+};
+
+// duplicate_reason of a lead confirmed as duplicate from the review queue
+export const CONFIRMED_DUPLICATE_REASON = "Confirmed possible duplicate";
@@ -0,0 +1,21 @@
+/**
+ * Lead export settings (GET /api/instant-leads/export).
+ *
+ * Exports up to syncMaxRows leads are streamed in the response; bigger ones
+ * (or any with background=true) run as a job in jobs/leadExportWorker.js that
+ * writes the file to `directory` for download.
+ */
+
+export const LEAD_EXPORTS = {
+    syncMaxRows: parseInt(process.env.LEAD_EXPORT_SYNC_MAX_ROWS) || 50000,
+    directory: process.env.LEAD_EXPORT_DIR || "exports",
+    // Finished export files are deleted after this many hours
+    retentionHours: parseInt(process.env.LEAD_EXPORT_RETENTION_HOURS) || 24,
+    // Leads read from MongoDB per round trip
+    batchSize: 1000,
+    // The .xlsx workbook is built in memory before it is written, so Excel exports
+    // stop well below the sheet limit (1,048,575 rows); bigger exports must use csv
+    xlsxMaxRows: Math.min(parseInt(process.env.LEAD_EXPORT_XLSX_MAX_ROWS) || 50000, 1048575)
+};
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
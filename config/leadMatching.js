@@ -0,0 +1,58 @@
+/**
+ * MySQL columns used to match instant form leads with loan applications.
+ *
+ * The read-only MySQL schema is owned by the loan platform; adjust the column
+ * names here if it changes.
+ */
+
+export const MYSQL_MATCH_COLUMNS = {
+    leads: {
+        table: "leads",
+        id: "lead_id",
+        customerId: "customer_id",
+        mobile: "mobile",
+        email: "email",
+        pan: "pancard",
+        status: "status",
+        createdOn: "created_on",
+        updatedOn: "updated_on"
+    },
+    customerProfile: {
+        table: "customer_profile",
+        id: "cp_id",
+        mobile: "cp_mobile",
+        email: "cp_personal_email",
+        pan: "cp_pancard"
+    },
+    loan: {
+        table: "loan",
+        leadId: "lead_id",
+        recommendedAmount: "recommended_amount"
+    }
+};
+
+// MySQL leads.status of a disbursed loan
+export const DISBURSED_STATUS = "DISBURSED";
+
+// Weight of each matching identifier, the match confidence is their sum (max 1)
+export const MATCH_WEIGHTS = {
+    pan: 0.6,
+    phone: 0.5,
+    email: 0.3
+};
+
+export const LEAD_MATCH_SETTINGS = {
+    // Scheduled re-sync (cron syntax, Asia/Kolkata)
+    cronTime: process.env.LEAD_MATCH_CRON || "*/30 * * * *",
+    // Re-sync leads received in the last N days that are not disbursed yet
+    resyncDays: parseInt(process.env.LEAD_MATCH_RESYNC_DAYS) || 30
+};
+
+export const LOAN_STATUS_SYNC_SETTINGS = {
+    // Incremental pull of leads.status changes (cron syntax, Asia/Kolkata)
+    cronTime: process.env.LOAN_STATUS_SYNC_CRON || "*/15 * * * *",
+    // MySQL rows read per query
+    batchSize: 1000,
+    // A run holds the lock this long, longer runs extend it after every batch
+    lockMinutes: 15
+};
@@ -0,0 +1,50 @@
+/**
+ * Real-time lead sources: webhooks (routes/leadWebhookRoutes.js) and the
+ * partner lead API.
+ *
+ * mappingProfile names the header-mapping profile applied to the received
+ * fields; empty detects it like an upload does.
+ */
+
+export const META_LEAD_ADS = {
+    // hub.verify_token configured in the Meta app's webhook subscription
+    verifyToken: process.env.META_WEBHOOK_VERIFY_TOKEN || "",
+    // Signs X-Hub-Signature-256
+    appSecret: process.env.META_APP_SECRET || "",
+    // Point at a local mock to test without Meta
+    graphApiBaseUrl: process.env.META_GRAPH_API_BASE_URL || "https://graph.facebook.com",
+    graphApiVersion: process.env.META_GRAPH_API_VERSION || "v21.0",
+    accessToken: process.env.META_PAGE_ACCESS_TOKEN || "",
+    mappingProfile: process.env.META_MAPPING_PROFILE || null,
+    timeoutMs: 10000
+};
+
+export const GOOGLE_LEAD_FORMS = {
+    // google_key entered in the lead form's webhook settings
+    key: process.env.GOOGLE_LEAD_FORM_KEY || "",
+    mappingProfile: process.env.GOOGLE_MAPPING_PROFILE || null,
+    platform: "google"
+};
+
+// Google lead form column_id -> InstantFormLead field, other columns keep their column_id
+export const GOOGLE_COLUMN_FIELDS = {
+    FULL_NAME: "full_name",
+    FIRST_NAME: "first_name",
+    LAST_NAME: "last_name",
+    PHONE_NUMBER: "phone_number",
+    EMAIL: "email",
+    CITY: "city",
+    REGION: "state",
+    POSTAL_CODE: "pincode",
+    COMPANY_NAME: "company_name",
+    JOB_TITLE: "occupation"
+};
+
+// POST /api/instant-leads for landing pages and partners (middleware/partnerAuth.js)
+export const PARTNER_LEAD_API = {
+    maxBatchSize: parseInt(process.env.PARTNER_MAX_BATCH_SIZE) || 100,
+    // X-Timestamp older or newer than this is refused, so a captured request cannot be replayed later
+    signatureToleranceSeconds: parseInt(process.env.PARTNER_SIGNATURE_TOLERANCE_SECONDS) || 300,
+    // An Idempotency-Key still unanswered after this long belongs to a request that died, a retry takes it over
+    idempotencyPendingSeconds: parseInt(process.env.PARTNER_IDEMPOTENCY_PENDING_SECONDS) || 120
+};
@@ -0,0 +1,34 @@
+/**
+ * Quality lead rules, shared by instant lead imports and the MySQL reports.
+ *
+ * Bump QUALITY_RULE_VERSION whenever the rules change: every lead stores the
+ * version it was evaluated with, and `npm run recompute:quality` re-evaluates
+ * leads scored with an older version.
+ */
+
+const parseList = (value) => (value ? value.split(",").map(item => item.trim()).filter(Boolean) : []);
+const parseNumber = (value, fallback) => (value !== undefined && value !== "" && !isNaN(value) ? Number(value) : fallback);
+
+// Monthly salary form answers -> amount used by the salary threshold
+export const SALARY_BUCKET_VALUES = {
+    "below 35K": 30000,
+    "₹35,000_to_₹50,000": 42500,
+    "₹50,000_to_₹70,000": 60000,
+    "₹70,000_to_₹1,00,000": 85000,
+    "above 1 Lakh": 120000
+};
+
+export const QUALITY_RULES = {
+    version: process.env.QUALITY_RULE_VERSION || "v1",
+    // Salary must be above this (bucket value for form leads, monthly_salary_amount in MySQL)
+    minSalary: parseNumber(process.env.QUALITY_MIN_SALARY, 35000),
+    // Age bounds, null disables the check
+    minAge: parseNumber(process.env.QUALITY_MIN_AGE, null),
+    maxAge: parseNumber(process.env.QUALITY_MAX_AGE, null),
+    // Empty lists allow everything (case-insensitive)
+    allowedCities: parseList(process.env.QUALITY_ALLOWED_CITIES),
+    allowedStates: parseList(process.env.QUALITY_ALLOWED_STATES),
+    allowedPlatforms: parseList(process.env.QUALITY_ALLOWED_PLATFORMS),
+    // Campaign of the marketing leads in MySQL `leads`
+    utmCampaign: process.env.QUALITY_UTM_CAMPAIGN || "120237694055210170"
+};
@@ -13,6 +13,13 @@ import exampleRoutes from "./routes/exampleRoutes.js";
 import customerRoutes from "./routes/customerRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
 import instantLeadRoutes from "./routes/instantLeadRoutes.js";
+import mappingProfileRoutes from "./routes/mappingProfileRoutes.js";
+import possibleDuplicateRoutes from "./routes/possibleDuplicateRoutes.js";
+import leadWebhookRoutes from "./routes/leadWebhookRoutes.js";
+import { startImportWorker } from "./jobs/importWorker.js";
+import { startLeadMatchJob } from "./jobs/leadMatchJob.js";
+import { startLoanStatusSyncJob } from "./jobs/loanStatusSyncJob.js";
+import { startLeadExportWorker } from "./jobs/leadExportWorker.js";
 
 const PORT = process.env.PORT || 3000;
 
@@ -20,6 +27,12 @@ const PORT = process.env.PORT || 3000;
 await connectDB(); // MongoDB connection
 await connectMySQL(); // MySQL connection
 
+// Background workers (resume interrupted imports and exports, re-sync MySQL matches and loan status)
+startImportWorker();
+startLeadExportWorker();
+startLeadMatchJob();
+startLoanStatusSyncJob();
+
 const app = express();
 app.set("trust proxy", true);
 
@@ -66,8 +79,12 @@ app.use((req, res, next) => {
         // Skip JSON parsing for multipart requests
         return next();
     }
-    // Apply JSON parsing for other requests
-    express.json()(req, res, next);
+    // Apply JSON parsing for other requests, keeping the raw body for webhook signatures
+    express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    })(req, res, next);
 });
 
 app.use(express.urlencoded({ extended: true }));
@@ -100,6 +117,15 @@ app.use("/api/customers", customerRoutes);
 // Report routes for fetching lead reports
 app.use("/api/reports", reportRoutes);
 
+// Header-mapping profiles for instant lead imports
+app.use("/api/instant-leads/mapping-profiles", mappingProfileRoutes);
+
+// Review queue of fuzzy duplicate matches
+app.use("/api/instant-leads/possible-duplicates", possibleDuplicateRoutes);
+
+// Real-time lead webhooks (Meta Lead Ads, Google lead forms)
+app.use("/api/instant-leads/webhooks", leadWebhookRoutes);
+
 // Instant form leads routes for Excel upload and processing
 app.use("/api/instant-leads", instantLeadRoutes);
 
@@ -0,0 +1,338 @@
+import fs from 'fs';
+import ImportBatch from '../models/ImportBatch.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import ImportRowResult from '../models/ImportRowResult.js';
+import { readImportFile, getFileHeaders, importLeadChunk } from '../utils/instantLeadImporter.js';
+import { resolveMappingProfile } from '../utils/mappingProfiles.js';
+import { matchImportBatch } from '../utils/leadMatcher.js';
+import { findPossibleDuplicatesForBatch } from '../utils/fuzzyDuplicates.js';
+import { assignDuplicateClustersWhere } from '../utils/duplicateClusters.js';
+
+/**
+ * Background worker for instant lead Excel / CSV imports.
+ *
+ * Import batches live in MongoDB, so a restart only loses the chunk that was in flight:
+ * progress is committed after every chunk and leads written past the last
+ * committed row are removed before the batch resumes. The passes after the
+ * last row (MySQL matching, clustering, fuzzy duplicates) are recorded one by
+ * one, and the batch is only completed, and its file removed, once all have run.
+ */
+
+const POLL_INTERVAL_MS = 5000;
+const CHUNK_SIZE = 500;
+const STALE_BATCH_MS = 2 * 60 * 1000; // processing batch without heartbeat for this long is requeued
+const MAX_ATTEMPTS = 3;
+const MAX_STORED_ERRORS = 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+let pollTimer = null;
+let busy = false;
+
+/**
+ * Remove the uploaded file once its batch is finished
+ */
+const removeUploadedFile = (filePath) => {
+    try {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            console.log('🗑️ Uploaded file cleaned up:', filePath);
+        }
+    } catch (cleanupError) {
+        console.error('⚠️ File cleanup error:', cleanupError.message);
+    }
+};
+
+const finishBatch = async (batch, update) => {
+    await ImportBatch.updateOne({ _id: batch._id }, {
+        $set: { ...update, finished_at: new Date(), heartbeat_at: null }
+    });
+    removeUploadedFile(batch.file_path);
+};
+
+/**
+ * Put batches left in "processing" by a dead worker back in the queue. A batch
+ * that already used all its attempts is failed instead: a file that kills the
+ * process (out of memory, parser crash) would otherwise be claimed forever.
+ */
+const requeueStaleBatches = async () => {
+    const staleBefore = new Date(Date.now() - STALE_BATCH_MS);
+    const stale = {
+        status: 'processing',
+        $or: [{ heartbeat_at: null }, { heartbeat_at: { $lt: staleBefore } }]
+    };
+
+    const exhausted = await ImportBatch.find({ ...stale, attempts: { $gte: MAX_ATTEMPTS } }).select('_id file_path attempts').lean();
+    for (const batch of exhausted) {
+        await finishBatch(batch, {
+            status: 'failed',
+            failure_reason: `Worker stopped while processing the batch ${batch.attempts} times`
+        });
+        console.error(`❌ Import batch ${batch._id} failed: worker stopped during all ${batch.attempts} attempts`);
+    }
+
+    const result = await ImportBatch.updateMany(
+        { ...stale, attempts: { $lt: MAX_ATTEMPTS } },
+        { $set: { status: 'queued' } }
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`⚠️ Requeued ${result.modifiedCount} interrupted import batch(es)`);
+    }
+};
+
+/**
+ * Atomically claim the oldest queued batch
+ */
+const claimNextBatch = () => ImportBatch.findOneAndUpdate(
+    { status: 'queued' },
+    {
+        $set: { status: 'processing', heartbeat_at: new Date() },
+        $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+);
+
+/**
+ * Passes over the imported leads, in order. A pass that throws sends the batch
+ * back to the queue, and it resumes with that pass.
+ */
+const POST_IMPORT_PASSES = [
+    {
+        name: 'mysql_match',
+        run: async (batch) => {
+            // The scheduled re-sync retries on failure, so this one never holds the batch back
+            try {
+                const matches = await matchImportBatch(batch._id);
+                console.log(`✅ Import batch ${batch._id}: MySQL matching done`, matches);
+            } catch (matchError) {
+                console.error(`⚠️ Import batch ${batch._id}: MySQL matching failed:`, matchError.message);
+            }
+        }
+    },
+    {
+        name: 'duplicate_clusters',
+        run: async (batch) => {
+            const clusters = await assignDuplicateClustersWhere({ import_batch_id: batch._id });
+            console.log(`✅ Import batch ${batch._id}: duplicate clusters updated`, clusters);
+        }
+    },
+    {
+        name: 'fuzzy_duplicates',
+        run: async (batch) => {
+            if (!batch.fuzzy_dedup) return;
+            const fuzzy = await findPossibleDuplicatesForBatch(batch._id);
+            await ImportBatch.updateOne({ _id: batch._id }, { $set: { possible_duplicate_count: fuzzy.possibleDuplicates } });
+            console.log(`✅ Import batch ${batch._id}: fuzzy duplicate pass done`, fuzzy);
+        }
+    }
+];
+
+/**
+ * Run the post-import passes the batch has not completed yet, keeping its heartbeat alive
+ */
+const runPostImportPasses = async (batch) => {
+    const heartbeat = setInterval(() => {
+        ImportBatch.updateOne({ _id: batch._id }, { $set: { heartbeat_at: new Date() } })
+            .catch(error => console.error(`⚠️ Import batch ${batch._id}: heartbeat failed:`, error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+        for (const pass of POST_IMPORT_PASSES) {
+            if (batch.completed_passes.includes(pass.name)) continue;
+
+            await pass.run(batch);
+            await ImportBatch.updateOne({ _id: batch._id }, {
+                $addToSet: { completed_passes: pass.name },
+                $set: { heartbeat_at: new Date() }
+            });
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+/**
+ * Process a claimed batch from its last committed row to the end of the file
+ */
+const runBatch = async (batch) => {
+    let sheets;
+    try {
+        sheets = await readImportFile(batch.file_path, batch.original_file_name, batch.requested_sheets);
+    } catch (fileError) {
+        console.error(`❌ Import batch ${batch._id}: cannot read file:`, fileError.message);
+        await finishBatch(batch, { status: 'failed', failure_reason: `Error reading file: ${fileError.message}` });
+        return;
+    }
+
+    if (sheets.every(({ rows }) => rows.length === 0)) {
+        await finishBatch(batch, { status: 'failed', failure_reason: 'File is empty' });
+        return;
+    }
+
+    let profile;
+    try {
+        profile = await resolveMappingProfile(batch.mapping_profile, getFileHeaders(sheets));
+    } catch (profileError) {
+        await finishBatch(batch, { status: 'failed', failure_reason: profileError.message });
+        return;
+    }
+
+    if (!batch.started_at) {
+        batch.started_at = new Date();
+        batch.mapping_profile = profile.name;
+        batch.sheets = sheets.map(({ sheetName, rows }) => ({
+            name: sheetName,
+            headers: rows.length > 0 ? Object.keys(rows[0]) : [],
+            total_rows: rows.length
+        }));
+        batch.total_rows = sheets.reduce((total, { rows }) => total + rows.length, 0);
+        batch.excel_headers = [...new Set(batch.sheets.flatMap(sheet => sheet.headers))];
+        await batch.save();
+    }
+
+    // Drop leads and row results written by an interrupted run after its last commit
+    const currentSheet = sheets[batch.current_sheet_index];
+    const laterSheetNames = sheets.slice(batch.current_sheet_index + 1).map(({ sheetName }) => sheetName);
+    const uncommitted = {
+        import_batch_id: batch._id,
+        $or: [
+            { excel_sheet_name: currentSheet?.sheetName, excel_row_number: { $gt: batch.last_committed_row } },
+            { excel_sheet_name: { $in: laterSheetNames } }
+        ]
+    };
+    await InstantFormLead.deleteMany(uncommitted);
+    await ImportRowResult.deleteMany(uncommitted);
+
+    const multiSheet = sheets.length > 1;
+
+    for (let sheetIndex = batch.current_sheet_index; sheetIndex < sheets.length; sheetIndex++) {
+        const { sheetName, rows } = sheets[sheetIndex];
+        const firstRow = sheetIndex === batch.current_sheet_index ? batch.last_committed_row - 1 : 0;
+
+        if (sheetIndex !== batch.current_sheet_index) {
+            await ImportBatch.updateOne({ _id: batch._id }, {
+                $set: { current_sheet_index: sheetIndex, last_committed_row: 1, heartbeat_at: new Date() }
+            });
+        }
+
+        console.log(`📊 Import batch ${batch._id}: sheet "${sheetName}" from row ${firstRow + 2} of ${rows.length + 1}`);
+
+        // rows[i] is Excel row i + 2 (row 1 holds the headers)
+        for (let start = firstRow; start < rows.length; start += CHUNK_SIZE) {
+            const end = Math.min(start + CHUNK_SIZE, rows.length);
+            const counts = { stored: 0, duplicate: 0, skipped: 0, error: 0, warning: 0, reEngaged: 0 };
+            const chunkErrors = [];
+
+            const results = await importLeadChunk(rows.slice(start, end), start + 2, {
+                profile,
+                force: batch.force,
+                strictness: batch.validation_strictness,
+                extra: {
+                    import_batch_id: batch._id,
+                    uploaded_by: batch.uploaded_by,
+                    excel_file_name: batch.original_file_name,
+                    excel_sheet_name: sheetName
+                }
+            });
+            results.forEach(result => {
+                counts[result.status]++;
+                if (result.warnings?.length > 0) {
+                    counts.warning++;
+                }
+                if (result.reEngaged) {
+                    counts.reEngaged++;
+                }
+                if (result.error) {
+                    chunkErrors.push(multiSheet ? `${sheetName} ${result.error}` : result.error);
+                }
+            });
+
+            // Keep every row with its outcome for the downloadable import report
+            await ImportRowResult.insertMany(results.map((result, index) => ({
+                import_batch_id: batch._id,
+                excel_sheet_name: sheetName,
+                excel_row_number: result.rowNumber,
+                status: result.status === 'error' ? 'rejected' : result.status,
+                reason: result.reason || null,
+                warnings: result.warnings || [],
+                lead_id: result.leadId || null,
+                original_lead_id: result.originalLeadId || result.existingLeadId || null,
+                row_data: rows[start + index]
+            })), { ordered: false });
+
+            const sheetPath = `sheets.${sheetIndex}`;
+            await ImportBatch.updateOne({ _id: batch._id }, {
+                $set: { last_committed_row: end + 1, heartbeat_at: new Date() },
+                $inc: {
+                    processed_rows: end - start,
+                    stored_count: counts.stored,
+                    duplicate_count: counts.duplicate,
+                    error_count: counts.error,
+                    skipped_count: counts.skipped,
+                    warning_count: counts.warning,
+                    re_engaged_count: counts.reEngaged,
+                    [`${sheetPath}.processed_rows`]: end - start,
+                    [`${sheetPath}.stored_count`]: counts.stored,
+                    [`${sheetPath}.duplicate_count`]: counts.duplicate,
+                    [`${sheetPath}.error_count`]: counts.error,
+                    [`${sheetPath}.skipped_count`]: counts.skipped,
+                    [`${sheetPath}.warning_count`]: counts.warning,
+                    [`${sheetPath}.re_engaged_count`]: counts.reEngaged
+                },
+                $push: { error_list: { $each: chunkErrors, $slice: MAX_STORED_ERRORS } }
+            });
+        }
+    }
+
+    await runPostImportPasses(batch);
+
+    await finishBatch(batch, { status: 'completed' });
+    console.log(`✅ Import batch ${batch._id}: completed`);
+};
+
+/**
+ * Claim and run queued batches until the queue is empty
+ */
+const pollBatches = async () => {
+    if (busy) return;
+    busy = true;
+
+    try {
+        await requeueStaleBatches();
+
+        let batch;
+        while ((batch = await claimNextBatch())) {
+            try {
+                await runBatch(batch);
+            } catch (error) {
+                console.error(`❌ Import batch ${batch._id} error:`, error.message);
+                if (batch.attempts >= MAX_ATTEMPTS) {
+                    await finishBatch(batch, { status: 'failed', failure_reason: error.message });
+                } else {
+                    await ImportBatch.updateOne({ _id: batch._id }, { $set: { status: 'queued' } });
+                }
+            }
+        }
+    } catch (error) {
+        console.error('❌ Import worker error:', error.message);
+    } finally {
+        busy = false;
+    }
+};
+
+/**
+ * Start polling for queued import batches (resumes interrupted ones)
+ */
+export const startImportWorker = () => {
+    if (pollTimer) return;
+    pollTimer = setInterval(pollBatches, POLL_INTERVAL_MS);
+    pollBatches();
+    console.log('✅ Import worker started');
+};
+
+/**
+ * Wake the worker right away, e.g. after a new upload
+ */
+export const triggerImportWorker = () => {
+    setImmediate(pollBatches);
+};
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import LeadExport from '../models/LeadExport.js';
+import { LEAD_EXPORTS } from '../config/leadExports.js';
+import { buildLeadListQuery } from '../utils/leadFilters.js';
+import { writeLeadExport, defaultExportColumns, exportFileName } from '../utils/leadExport.js';
+
+/**
+ * Background worker for lead exports too big to stream in a request.
+ *
+ * Export jobs live in MongoDB like import batches: a job interrupted by a
+ * restart is requeued and written again from the start. Finished files are
+ * deleted once they expire.
+ */
+
+const POLL_INTERVAL_MS = 5000;
+const STALE_EXPORT_MS = 2 * 60 * 1000; // processing export without heartbeat for this long is requeued
+const MAX_ATTEMPTS = 3;
+
+let pollTimer = null;
+let busy = false;
+
+const removeExportFile = (filePath) => {
+    try {
+        if (filePath && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            console.log('🗑️ Export file removed:', filePath);
+        }
+    } catch (cleanupError) {
+        console.error('⚠️ Export file cleanup error:', cleanupError.message);
+    }
+};
+
+/**
+ * Put exports left in "processing" by a dead worker back in the queue
+ */
+const requeueStaleExports = async () => {
+    const staleBefore = new Date(Date.now() - STALE_EXPORT_MS);
+    const result = await LeadExport.updateMany(
+        {
+            status: 'processing',
+            $or: [{ heartbeat_at: null }, { heartbeat_at: { $lt: staleBefore } }]
+        },
+        { $set: { status: 'queued' } }
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`⚠️ Requeued ${result.modifiedCount} interrupted lead export(s)`);
+    }
+};
+
+/**
+ * Delete the files of exports past their retention
+ */
+const expireOldExports = async () => {
+    const expired = await LeadExport.find({ status: 'completed', expires_at: { $lt: new Date() } });
+
+    for (const leadExport of expired) {
+        removeExportFile(leadExport.file_path);
+        await LeadExport.updateOne({ _id: leadExport._id }, { $set: { status: 'expired', file_path: null } });
+    }
+};
+
+/**
+ * Atomically claim the oldest queued export
+ */
+const claimNextExport = () => LeadExport.findOneAndUpdate(
+    { status: 'queued' },
+    {
+        $set: { status: 'processing', heartbeat_at: new Date(), started_at: new Date() },
+        $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+);
+
+/**
+ * Write a claimed export to its file
+ */
+const runExport = async (leadExport) => {
+    const { query, sort, errors } = buildLeadListQuery(leadExport.params);
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => error.message).join('; '));
+    }
+
+    const columns = leadExport.columns.length > 0 ? leadExport.columns : await defaultExportColumns(query);
+    const fileName = exportFileName(leadExport.format, leadExport.createdAt);
+
+    fs.mkdirSync(LEAD_EXPORTS.directory, { recursive: true });
+    const filePath = path.join(LEAD_EXPORTS.directory, `${leadExport._id}.${leadExport.format}`);
+    const output = fs.createWriteStream(filePath);
+
+    console.log(`📊 Lead export ${leadExport._id}: writing ${leadExport.total_rows} lead(s) as ${leadExport.format}`);
+
+    let exportedRows;
+    try {
+        exportedRows = await writeLeadExport(output, {
+            query,
+            sort,
+            columns,
+            format: leadExport.format,
+            onProgress: (rows) => LeadExport.updateOne({ _id: leadExport._id }, {
+                $set: { exported_rows: rows, heartbeat_at: new Date() }
+            })
+        });
+        output.end();
+        await finished(output);
+    } catch (error) {
+        output.destroy();
+        removeExportFile(filePath);
+        throw error;
+    }
+
+    await LeadExport.updateOne({ _id: leadExport._id }, {
+        $set: {
+            status: 'completed',
+            columns,
+            exported_rows: exportedRows,
+            file_path: filePath,
+            file_name: fileName,
+            finished_at: new Date(),
+            heartbeat_at: null,
+            expires_at: new Date(Date.now() + LEAD_EXPORTS.retentionHours * 60 * 60 * 1000)
+        }
+    });
+    console.log(`✅ Lead export ${leadExport._id}: ${exportedRows} lead(s) written to ${filePath}`);
+};
+
+/**
+ * Claim and run queued exports until the queue is empty
+ */
+const pollExports = async () => {
+    if (busy) return;
+    busy = true;
+
+    try {
+        await requeueStaleExports();
+        await expireOldExports();
+
+        let leadExport;
+        while ((leadExport = await claimNextExport())) {
+            try {
+                await runExport(leadExport);
+            } catch (error) {
+                console.error(`❌ Lead export ${leadExport._id} error:`, error.message);
+                const update = leadExport.attempts >= MAX_ATTEMPTS
+                    ? { status: 'failed', failure_reason: error.message, finished_at: new Date(), heartbeat_at: null }
+                    : { status: 'queued' };
+                await LeadExport.updateOne({ _id: leadExport._id }, { $set: update });
+            }
+        }
+    } catch (error) {
+        console.error('❌ Lead export worker error:', error.message);
+    } finally {
+        busy = false;
+    }
+};
+
+/**
+ * Start polling for queued lead exports (resumes interrupted ones)
+ */
+export const startLeadExportWorker = () => {
+    if (pollTimer) return;
+    pollTimer = setInterval(pollExports, POLL_INTERVAL_MS);
+    pollExports();
+    console.log('✅ Lead export worker started');
+};
+
+/**
+ * Wake the worker right away, e.g. after a new export request
+ */
+export const triggerLeadExportWorker = () => {
+    setImmediate(pollExports);
+};
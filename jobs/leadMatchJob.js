@@ -0,0 +1,42 @@
+import { CronJob } from 'cron';
+import { LEAD_MATCH_SETTINGS } from '../config/leadMatching.js';
+import { DEFAULT_TIMEZONE } from '../utils/leadDates.js';
+import { resyncLeadMatches } from '../utils/leadMatcher.js';
+
+/**
+ * Scheduled re-sync of instant form leads with MySQL applications
+ */
+
+let job = null;
+let running = false;
+
+const runResync = async () => {
+    if (running) {
+        console.log('⚠️ Lead match re-sync still running, skipping this run');
+        return;
+    }
+    running = true;
+
+    try {
+        const summary = await resyncLeadMatches();
+        console.log('✅ Lead match re-sync done', summary);
+    } catch (error) {
+        console.error('❌ Lead match re-sync error:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the re-sync on LEAD_MATCH_CRON (every 30 minutes by default)
+ */
+export const startLeadMatchJob = () => {
+    if (job) return;
+    job = CronJob.from({
+        cronTime: LEAD_MATCH_SETTINGS.cronTime,
+        onTick: runResync,
+        start: true,
+        timeZone: DEFAULT_TIMEZONE
+    });
+    console.log(`✅ Lead match re-sync scheduled (${LEAD_MATCH_SETTINGS.cronTime})`);
+};
@@ -0,0 +1,50 @@
+import { CronJob } from 'cron';
+import { LOAN_STATUS_SYNC_SETTINGS } from '../config/leadMatching.js';
+import { DEFAULT_TIMEZONE } from '../utils/leadDates.js';
+import { runLoanStatusSync } from '../utils/loanStatusSync.js';
+
+/**
+ * Scheduled pull of MySQL loan status changes into matched instant form leads
+ */
+
+let job = null;
+
+/**
+ * Run the sync once; skipped when a run is already in progress
+ * @returns {Promise<Object|null>} Run summary, null when skipped
+ */
+export const triggerLoanStatusSync = async () => {
+    const summary = await runLoanStatusSync();
+    if (summary) {
+        console.log('✅ Loan status sync done', summary);
+    } else {
+        console.log('⚠️ Loan status sync already running, skipping this run');
+    }
+    return summary;
+};
+
+const runInBackground = () => triggerLoanStatusSync().catch(error => {
+    console.error('❌ Loan status sync error:', error.message);
+});
+
+/**
+ * Start a run right away without waiting for it, e.g. from POST /status-sync;
+ * progress and result are in the sync state
+ */
+export const queueLoanStatusSync = () => {
+    setImmediate(runInBackground);
+};
+
+/**
+ * Start the sync on LOAN_STATUS_SYNC_CRON (every 15 minutes by default)
+ */
+export const startLoanStatusSyncJob = () => {
+    if (job) return;
+    job = CronJob.from({
+        cronTime: LOAN_STATUS_SYNC_SETTINGS.cronTime,
+        onTick: runInBackground,
+        start: true,
+        timeZone: DEFAULT_TIMEZONE
+    });
+    console.log(`✅ Loan status sync scheduled (${LOAN_STATUS_SYNC_SETTINGS.cronTime})`);
+};
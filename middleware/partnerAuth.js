@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import LeadPartner from '../models/LeadPartner.js';
+import { PARTNER_LEAD_API } from '../config/leadWebhooks.js';
+import { hashApiKey, signPartnerRequest } from '../utils/partnerLeads.js';
+
+/**
+ * Partner authentication for the lead ingest API
+ */
+
+const unauthorized = (res, message) => res.status(401).json({ success: false, message });
+
+/**
+ * Check X-Api-Key, X-Timestamp (Unix seconds) and X-Signature, and put the
+ * partner on req.partner
+ */
+export const authenticatePartner = async (req, res, next) => {
+    try {
+        const apiKey = req.get('X-Api-Key');
+        const timestamp = req.get('X-Timestamp');
+        const signature = req.get('X-Signature');
+
+        if (!apiKey || !timestamp || !signature) {
+            return unauthorized(res, 'X-Api-Key, X-Timestamp and X-Signature headers are required');
+        }
+
+        const partner = await LeadPartner.findOne({ api_key_hash: hashApiKey(apiKey), active: true });
+        if (!partner) {
+            return unauthorized(res, 'Unknown or inactive API key');
+        }
+
+        const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+        if (!Number.isFinite(age) || age > PARTNER_LEAD_API.signatureToleranceSeconds) {
+            return unauthorized(res, 'X-Timestamp is invalid or outside the allowed window');
+        }
+
+        const expected = Buffer.from(signPartnerRequest(partner.signing_secret, timestamp, req.rawBody), 'hex');
+        const received = Buffer.from(String(signature), 'hex');
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            console.error(`❌ Invalid signature from partner ${partner.name}`);
+            return unauthorized(res, 'Invalid signature');
+        }
+
+        await LeadPartner.updateOne({ _id: partner._id }, { $set: { last_used_at: new Date() } });
+        req.partner = partner;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Field value picked for the golden record by the last merge
+const mergedFieldSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    source_lead_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InstantFormLead',
+        default: null
+    },
+    // Survivorship rule that picked it (config/duplicateClusters.js)
+    rule: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+// Leads that are the same person (linked through is_duplicate / original_lead_id),
+// with the one lead that represents them all
+const duplicateClusterSchema = new mongoose.Schema({
+    golden_lead_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InstantFormLead',
+        required: true
+    },
+    member_count: {
+        type: Number,
+        default: 0
+    },
+    merged_at: {
+        type: Date,
+        default: null
+    },
+    merged_by: {
+        type: String,
+        default: null
+    },
+    merged_fields: {
+        type: [mergedFieldSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+duplicateClusterSchema.index({ golden_lead_id: 1 });
+// Cluster view of GET /duplicates: largest first, paged on (member_count, _id)
+duplicateClusterSchema.index({ member_count: -1, _id: -1 });
+
+const DuplicateCluster = mongoose.model('DuplicateCluster', duplicateClusterSchema);
+
+export default DuplicateCluster;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// Response of a partner request sent with an Idempotency-Key, replayed when the key comes again
+const idempotencyRecordSchema = new mongoose.Schema({
+    partner_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeadPartner',
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the request body, a key reused with another body is refused
+    request_hash: {
+        type: String,
+        required: true
+    },
+    // Null while the request is being processed
+    status_code: {
+        type: Number,
+        default: null
+    },
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyRecordSchema.index({ partner_id: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_TTL_SECONDS });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+export default IdempotencyRecord;
@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+
+// Per-sheet totals (a CSV file counts as a single sheet)
+const importSheetSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    headers: {
+        type: [String],
+        default: []
+    },
+    total_rows: {
+        type: Number,
+        default: 0
+    },
+    processed_rows: {
+        type: Number,
+        default: 0
+    },
+    stored_count: {
+        type: Number,
+        default: 0
+    },
+    duplicate_count: {
+        type: Number,
+        default: 0
+    },
+    error_count: {
+        type: Number,
+        default: 0
+    },
+    skipped_count: {
+        type: Number,
+        default: 0
+    },
+    warning_count: {
+        type: Number,
+        default: 0
+    },
+    re_engaged_count: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+    // Uploaded file
+    file_path: {
+        type: String,
+        required: true
+    },
+    original_file_name: {
+        type: String,
+        required: true
+    },
+    uploaded_by: {
+        type: String,
+        default: 'unknown'
+    },
+    // SHA-256 of the uploaded file
+    checksum: {
+        type: String,
+        default: null
+    },
+    // Sheets chosen at upload time, empty means all sheets
+    requested_sheets: {
+        type: [String],
+        default: []
+    },
+    // Re-import even if the file or its rows were already imported
+    force: {
+        type: Boolean,
+        default: false
+    },
+    // Header-mapping profile, chosen at upload or detected when the import starts
+    mapping_profile: {
+        type: String,
+        default: null
+    },
+    // "warn" stores leads with validation warnings, "strict" rejects those rows
+    validation_strictness: {
+        type: String,
+        enum: ['warn', 'strict'],
+        default: 'warn'
+    },
+    // Run the fuzzy duplicate pass once the import is completed
+    fuzzy_dedup: {
+        type: Boolean,
+        default: false
+    },
+
+    // Import state
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed', 'rolled_back'],
+        default: 'queued'
+    },
+    total_rows: {
+        type: Number,
+        default: 0
+    },
+    processed_rows: {
+        type: Number,
+        default: 0
+    },
+    sheets: {
+        type: [importSheetSchema],
+        default: []
+    },
+    // Position of the import: sheet being processed and the Excel row number
+    // of its last row whose lead has been committed
+    current_sheet_index: {
+        type: Number,
+        default: 0
+    },
+    last_committed_row: {
+        type: Number,
+        default: 1
+    },
+    stored_count: {
+        type: Number,
+        default: 0
+    },
+    duplicate_count: {
+        type: Number,
+        default: 0
+    },
+    error_count: {
+        type: Number,
+        default: 0
+    },
+    // Rows identical to ones already imported
+    skipped_count: {
+        type: Number,
+        default: 0
+    },
+    // Stored rows with validation warnings
+    warning_count: {
+        type: Number,
+        default: 0
+    },
+    // Stored rows repeating a lead from outside its dedup window
+    re_engaged_count: {
+        type: Number,
+        default: 0
+    },
+    // Possible duplicate links found by the fuzzy pass
+    possible_duplicate_count: {
+        type: Number,
+        default: 0
+    },
+    // Row errors are capped, error_count keeps the real total
+    error_list: {
+        type: [String],
+        default: []
+    },
+    excel_headers: {
+        type: [String],
+        default: []
+    },
+    failure_reason: {
+        type: String,
+        default: null
+    },
+
+    // Worker bookkeeping
+    // Passes run after the last row, recorded as they finish so an interrupted
+    // batch resumes with the ones left (see jobs/importWorker.js)
+    completed_passes: {
+        type: [String],
+        enum: ['mysql_match', 'duplicate_clusters', 'fuzzy_duplicates'],
+        default: []
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    heartbeat_at: {
+        type: Date,
+        default: null
+    },
+    started_at: {
+        type: Date,
+        default: null
+    },
+    finished_at: {
+        type: Date,
+        default: null
+    },
+
+    // Rollback
+    rolled_back_at: {
+        type: Date,
+        default: null
+    },
+    rolled_back_by: {
+        type: String,
+        default: null
+    },
+    rollback_summary: {
+        deleted_leads: {
+            type: Number,
+            default: 0
+        },
+        repointed_duplicates: {
+            type: Number,
+            default: 0
+        },
+        promoted_originals: {
+            type: Number,
+            default: 0
+        },
+        // Dependent leads now outside the dedup window of their match
+        re_engaged_leads: {
+            type: Number,
+            default: 0
+        }
+    }
+}, {
+    timestamps: true
+});
+
+importBatchSchema.index({ status: 1, createdAt: 1 });
+importBatchSchema.index({ checksum: 1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const ROW_RESULT_TTL_SECONDS = 90 * 24 * 60 * 60; // report data is kept for 90 days
+
+// Outcome of one row of an import, with the row as it was uploaded
+const importRowResultSchema = new mongoose.Schema({
+    import_batch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        required: true
+    },
+    excel_sheet_name: {
+        type: String,
+        default: null
+    },
+    excel_row_number: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['stored', 'duplicate', 'skipped', 'rejected'],
+        required: true
+    },
+    reason: {
+        type: String,
+        default: null
+    },
+    // Validation warnings of a stored row
+    warnings: {
+        type: [String],
+        default: []
+    },
+    lead_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Original lead for duplicates, already imported lead for skipped rows
+    original_lead_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    row_data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+importRowResultSchema.index({ import_batch_id: 1, excel_sheet_name: 1, excel_row_number: 1 });
+importRowResultSchema.index({ createdAt: 1 }, { expireAfterSeconds: ROW_RESULT_TTL_SECONDS });
+
+const ImportRowResult = mongoose.model('ImportRowResult', importRowResultSchema);
+
+export default ImportRowResult;
@@ -1,15 +1,130 @@
 import mongoose from 'mongoose';
+import { applyQualityRules } from '../utils/qualityRules.js';
+import { normalizeName } from '../utils/nameMatching.js';
+
+// Field that failed validation on import (see utils/leadValidation.js)
+const validationWarningSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: String,
+        default: null
+    },
+    message: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+// MySQL leads / customer_profile rows matched by phone, PAN or email
+const mysqlMatchSchema = new mongoose.Schema({
+    lead_id: {
+        type: Number,
+        default: null
+    },
+    cp_id: {
+        type: Number,
+        default: null
+    },
+    // leads.status when last checked
+    status: {
+        type: String,
+        default: null
+    },
+    recommended_amount: {
+        type: Number,
+        default: null
+    },
+    lead_created_on: {
+        type: Date,
+        default: null
+    },
+    // Identifiers that matched: phone, pan, email
+    matched_on: {
+        type: [String],
+        default: []
+    },
+    // 0-1, from MATCH_WEIGHTS in config/leadMatching.js
+    confidence: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// A change of the matched MySQL leads.status
+const statusHistorySchema = new mongoose.Schema({
+    lead_id: {
+        type: Number,
+        default: null
+    },
+    status: {
+        type: String,
+        default: null
+    },
+    previous_status: {
+        type: String,
+        default: null
+    },
+    // leads.updated_on of the change
+    changed_at: {
+        type: Date,
+        default: null
+    },
+    // When the change was synced into MongoDB
+    recorded_at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One PATCH of a lead: the fields it changed, with their old and new values
+const changeHistorySchema = new mongoose.Schema({
+    changed_at: {
+        type: Date,
+        default: Date.now
+    },
+    changed_by: {
+        type: String,
+        default: 'unknown'
+    },
+    changes: {
+        type: [{
+            _id: false,
+            field: String,
+            old_value: mongoose.Schema.Types.Mixed,
+            new_value: mongoose.Schema.Types.Mixed
+        }],
+        default: []
+    }
+}, { _id: false });
 
 const instantFormLeadSchema = new mongoose.Schema({
     // Core Excel headers (required)
+    // Lead time as exported ("10/25/25", Meta ISO, Excel serial...)
     created_time: {
         type: String,
         required: true
     },
+    // created_time parsed to a timestamp, null when it could not be parsed
+    lead_created_at: {
+        type: Date,
+        default: null
+    },
     ad_id: {
         type: String,
         required: true
     },
+    // Campaign and ad group (Meta ad set) of webhook leads, uploads keep them in additional_data
+    campaign_id: {
+        type: String,
+        default: null
+    },
+    adgroup_id: {
+        type: String,
+        default: null
+    },
     platform: {
         type: String,
         required: true
@@ -22,20 +137,44 @@ const instantFormLeadSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Phone as written in the source, phone_number is its digits
+    phone_raw: {
+        type: String,
+        default: null
+    },
+    // Canonical 10-digit Indian mobile, duplicates are matched on this
+    phone_canonical: {
+        type: String,
+        default: null
+    },
+    phone_e164: {
+        type: String,
+        default: null
+    },
     
     // Common fields that might be in Excel
+    // Stored uppercase / lowercase, so dedup and search compare (and index) one form
     pan_number: {
         type: String,
-        default: null
+        default: null,
+        trim: true,
+        uppercase: true
     },
     email: {
         type: String,
-        default: null
+        default: null,
+        trim: true,
+        lowercase: true
     },
     full_name: {
         type: String,
         default: null
     },
+    // Lowercase letters-only name, set on save, used by the fuzzy duplicate pass
+    name_key: {
+        type: String,
+        default: null
+    },
     first_name: {
         type: String,
         default: null
@@ -60,6 +199,15 @@ const instantFormLeadSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Lowercase city / state, set on save, used by the city and state filters
+    city_key: {
+        type: String,
+        default: null
+    },
+    state_key: {
+        type: String,
+        default: null
+    },
     pincode: {
         type: String,
         default: null
@@ -107,16 +255,55 @@ const instantFormLeadSchema = new mongoose.Schema({
     excel_file_name: {
         type: String
     },
+    excel_sheet_name: {
+        type: String,
+        default: null
+    },
     excel_row_number: {
         type: Number,
         default: null
     },
+    // SHA-256 of the normalized row, identical rows are not imported twice
+    row_fingerprint: {
+        type: String,
+        default: null
+    },
+    import_batch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        default: null
+    },
+    // How the lead arrived: Excel / CSV upload, a webhook (routes/leadWebhookRoutes.js) or the partner API
+    lead_source: {
+        type: String,
+        enum: ['excel_upload', 'meta_webhook', 'google_webhook', 'partner_api'],
+        default: 'excel_upload'
+    },
+    // Id of the lead at the source (Meta leadgen_id, Google lead_id...), repeated deliveries are ignored
+    external_lead_id: {
+        type: String,
+        default: null
+    },
+    // Partner that posted the lead (lead_source 'partner_api')
+    partner_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeadPartner',
+        default: null
+    },
+    
+    // Problems found by field validation, the lead was stored anyway
+    validation_warnings: {
+        type: [validationWarningSchema],
+        default: []
+    },
     
     // Duplicate handling
     is_duplicate: {
         type: Boolean,
         default: false
     },
+    // Also 're_engaged' on a lead repeating one from outside its dedup window:
+    // stored as a new lead (is_duplicate false) with original_lead_id pointing at that one
     duplicate_reason: {
         type: String,
         default: null
@@ -125,6 +312,17 @@ const instantFormLeadSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         default: null
     },
+    // Cluster of this lead and its duplicates (utils/duplicateClusters.js)
+    duplicate_cluster_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DuplicateCluster',
+        default: null
+    },
+    // The lead representing its cluster, the one merges are written to
+    is_golden_record: {
+        type: Boolean,
+        default: false
+    },
     
     // Quality lead fields
     quality_lead: {
@@ -134,34 +332,113 @@ const instantFormLeadSchema = new mongoose.Schema({
     salary_numeric_value: {
         type: Number,
         default: 0
+    },
+    // QUALITY_RULES version the lead was last evaluated with
+    quality_rule_version: {
+        type: String,
+        default: null
+    },
+    
+    // Loan application matched in MySQL (utils/leadMatcher.js)
+    match_status: {
+        type: String,
+        enum: ['pending', 'unmatched', 'matched', 'disbursed'],
+        default: 'pending'
+    },
+    mysql_match: {
+        type: mysqlMatchSchema,
+        default: null
+    },
+    match_checked_at: {
+        type: Date,
+        default: null
+    },
+    // Status changes of the matched application, oldest first (jobs/loanStatusSyncJob.js)
+    status_history: {
+        type: [statusHistorySchema],
+        default: []
+    },
+    disbursed_at: {
+        type: Date,
+        default: null
+    },
+    
+    // Edits made through PATCH /api/instant-leads/:id, oldest first
+    change_history: {
+        type: [changeHistorySchema],
+        default: []
+    },
+    
+    // Soft delete tombstone, deleted leads are left out of lists, stats and dedup
+    deleted_at: {
+        type: Date,
+        default: null
+    },
+    deleted_by: {
+        type: String,
+        default: null
     }
 }, {
     timestamps: true
 });
 
-// Pre-save middleware to set salary_numeric_value
+const textKey = (value) => String(value || '').trim().toLowerCase() || null;
+
+// Pre-save middleware to set salary_numeric_value and quality_lead (config/qualityRules.js), name_key and the city / state keys
 instantFormLeadSchema.pre('save', function(next) {
-    const salaryMapping = {
-        'below 35K': 30000,
-        '₹35,000_to_₹50,000': 42500,
-        '₹50,000_to_₹70,000': 60000,
-        '₹70,000_to_₹1,00,000': 85000,
-        'above 1 Lakh': 120000
-    };
-    
-    this.salary_numeric_value = salaryMapping[this.what_is_your_monthly_salary] || 0;
+    applyQualityRules(this);
+    this.name_key = normalizeName(this);
+    this.city_key = textKey(this.city);
+    this.state_key = textKey(this.state);
+    next();
+});
+
+// insertMany skips save middleware, so bulk imports set them here
+instantFormLeadSchema.pre('insertMany', function(next, docs) {
+    docs.forEach(doc => {
+        applyQualityRules(doc);
+        doc.name_key = normalizeName(doc);
+        doc.city_key = textKey(doc.city);
+        doc.state_key = textKey(doc.state);
+    });
     next();
 });
 
 // Indexes for efficient queries
-instantFormLeadSchema.index({ phone_number: 1 });
+instantFormLeadSchema.index({ phone_canonical: 1 });
 instantFormLeadSchema.index({ pan_number: 1 });
 instantFormLeadSchema.index({ email: 1 });
-instantFormLeadSchema.index({ phone_number: 1, pan_number: 1 });
+instantFormLeadSchema.index({ phone_canonical: 1, pan_number: 1 });
 instantFormLeadSchema.index({ quality_lead: 1 });
 instantFormLeadSchema.index({ is_duplicate: 1 });
-instantFormLeadSchema.index({ created_time: 1 });
+instantFormLeadSchema.index({ duplicate_reason: 1 });
+instantFormLeadSchema.index({ lead_created_at: 1 });
 instantFormLeadSchema.index({ ad_id: 1 });
+instantFormLeadSchema.index({ import_batch_id: 1, excel_sheet_name: 1, excel_row_number: 1 });
+instantFormLeadSchema.index({ row_fingerprint: 1 });
+instantFormLeadSchema.index({ import_batch_id: 1, match_status: 1 });
+instantFormLeadSchema.index({ match_status: 1, createdAt: 1 });
+instantFormLeadSchema.index({ 'mysql_match.lead_id': 1 });
+instantFormLeadSchema.index({ name_key: 1, pincode: 1 });
+instantFormLeadSchema.index({ city_key: 1 });
+instantFormLeadSchema.index({ state_key: 1 });
+instantFormLeadSchema.index({ duplicate_cluster_id: 1 });
+instantFormLeadSchema.index({ lead_source: 1, external_lead_id: 1 });
+// Webhook redeliveries can race the findReceivedLead check, the second insert fails here
+instantFormLeadSchema.index(
+    { platform: 1, external_lead_id: 1 },
+    { unique: true, partialFilterExpression: { external_lead_id: { $type: 'string' } } }
+);
+instantFormLeadSchema.index({ partner_id: 1, createdAt: -1 });
+instantFormLeadSchema.index({ deleted_at: 1 });
+// Lead list filters (utils/leadFilters.js)
+instantFormLeadSchema.index({ platform: 1, lead_created_at: -1 });
+instantFormLeadSchema.index({ uploaded_by: 1 });
+// Cursor pages of the lead and duplicate lists (utils/leadPagination.js)
+instantFormLeadSchema.index({ deleted_at: 1, createdAt: -1, _id: -1 });
+instantFormLeadSchema.index({ deleted_at: 1, lead_created_at: -1, _id: -1 });
+instantFormLeadSchema.index({ is_duplicate: 1, deleted_at: 1, createdAt: -1, _id: -1 });
+instantFormLeadSchema.index({ duplicate_reason: 1, deleted_at: 1, createdAt: -1, _id: -1 });
 
 const InstantFormLead = mongoose.model('InstantFormLead', instantFormLeadSchema);
 
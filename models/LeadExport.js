@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// Background lead export (jobs/leadExportWorker.js), the file is downloadable until expires_at
+const leadExportSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+        default: 'queued'
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'xlsx'],
+        required: true
+    },
+    // Query parameters of the export request (filters, sort, columns)
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Column order of the file
+    columns: {
+        type: [String],
+        default: []
+    },
+    requested_by: {
+        type: String,
+        default: 'unknown'
+    },
+    // Leads matching the filters when the export was requested
+    total_rows: {
+        type: Number,
+        default: 0
+    },
+    exported_rows: {
+        type: Number,
+        default: 0
+    },
+    file_path: {
+        type: String,
+        default: null
+    },
+    file_name: {
+        type: String,
+        default: null
+    },
+    failure_reason: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    heartbeat_at: {
+        type: Date,
+        default: null
+    },
+    started_at: {
+        type: Date,
+        default: null
+    },
+    finished_at: {
+        type: Date,
+        default: null
+    },
+    expires_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+leadExportSchema.index({ status: 1, createdAt: 1 });
+leadExportSchema.index({ status: 1, expires_at: 1 });
+
+const LeadExport = mongoose.model('LeadExport', leadExportSchema);
+
+export default LeadExport;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Landing page or affiliate allowed to post leads to POST /api/instant-leads
+const leadPartnerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // SHA-256 of the API key (X-Api-Key), the key itself is only shown when created
+    api_key_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Signs requests (X-Signature), see middleware/partnerAuth.js
+    signing_secret: {
+        type: String,
+        required: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Used when a lead does not carry them
+    default_platform: {
+        type: String,
+        default: null
+    },
+    default_ad_id: {
+        type: String,
+        default: null
+    },
+    // Mapping profile for the partner's field names, detected when empty
+    mapping_profile: {
+        type: String,
+        default: null
+    },
+    last_used_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const LeadPartner = mongoose.model('LeadPartner', leadPartnerSchema);
+
+export default LeadPartner;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const FIELD_TRANSFORMS = ['trim', 'digits_only', 'uppercase', 'lowercase', 'date', 'value_map'];
+
+// InstantFormLead fields a column can be mapped to: the fields of the default profile
+// (utils/mappingProfiles.js) plus campaign and ad group. System, dedup and matching
+// fields (is_duplicate, original_lead_id, deleted_at, import_batch_id...) are never read from a file.
+export const IMPORTABLE_LEAD_FIELDS = [
+    'created_time', 'ad_id', 'campaign_id', 'adgroup_id', 'platform', 'what_is_your_monthly_salary',
+    'phone_number', 'pan_number', 'email', 'full_name', 'first_name', 'last_name', 'age', 'gender',
+    'city', 'state', 'pincode', 'occupation', 'company_name', 'loan_amount', 'loan_purpose',
+    'existing_loans', 'credit_score'
+];
+
+// How one InstantFormLead field is read from an uploaded file
+const fieldMappingSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true,
+        validate: {
+            validator: (field) => IMPORTABLE_LEAD_FIELDS.includes(field),
+            message: props => `'${props.value}' is not an importable lead field (${IMPORTABLE_LEAD_FIELDS.join(', ')})`
+        }
+    },
+    // Excel / CSV headers that map to this field (case-insensitive)
+    aliases: {
+        type: [String],
+        validate: {
+            validator: (aliases) => aliases.length > 0,
+            message: 'At least one alias is required'
+        }
+    },
+    // Applied in order
+    transforms: {
+        type: [{ type: String, enum: FIELD_TRANSFORMS }],
+        default: []
+    },
+    // moment formats for the "date" transform, ISO 8601 is always accepted
+    date_formats: {
+        type: [String],
+        default: []
+    },
+    // Raw value (case-insensitive) -> stored value, for the "value_map" transform
+    value_map: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, { _id: false });
+
+const mappingProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: null
+    },
+    fields: {
+        type: [fieldMappingSchema],
+        validate: {
+            validator: (fields) => fields.length > 0,
+            message: 'At least one field mapping is required'
+        }
+    },
+    // Inactive profiles can still be chosen by name but are skipped by auto-detection
+    active: {
+        type: Boolean,
+        default: true
+    },
+    created_by: {
+        type: String,
+        default: 'unknown'
+    }
+}, {
+    timestamps: true
+});
+
+const MappingProfile = mongoose.model('MappingProfile', mappingProfileSchema);
+
+export default MappingProfile;
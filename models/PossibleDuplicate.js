@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Pair of leads that look like the same person but share no phone, PAN or email.
+// Kept apart from hard duplicates (is_duplicate) until someone reviews it.
+const possibleDuplicateSchema = new mongoose.Schema({
+    // Newer lead of the pair
+    lead_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InstantFormLead',
+        required: true
+    },
+    // Earlier lead it resembles
+    candidate_lead_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InstantFormLead',
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    // Signals that matched: name, same_pincode, same_city, phone_one_edit, pan_one_char
+    reasons: {
+        type: [String],
+        default: []
+    },
+    name_similarity: {
+        type: Number,
+        default: null
+    },
+    import_batch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        default: null
+    },
+
+    // Review
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'dismissed'],
+        default: 'pending'
+    },
+    reviewed_by: {
+        type: String,
+        default: null
+    },
+    reviewed_at: {
+        type: Date,
+        default: null
+    },
+    review_note: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+possibleDuplicateSchema.index({ lead_id: 1, candidate_lead_id: 1 }, { unique: true });
+possibleDuplicateSchema.index({ candidate_lead_id: 1 });
+possibleDuplicateSchema.index({ status: 1, score: -1 });
+
+const PossibleDuplicate = mongoose.model('PossibleDuplicate', possibleDuplicateSchema);
+
+export default PossibleDuplicate;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Watermark and lock of an incremental sync job (one document per job)
+const syncStateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Last source row processed, the next run continues after it
+    watermark: {
+        updated_on: {
+            type: Date,
+            default: null
+        },
+        id: {
+            type: Number,
+            default: null
+        }
+    },
+    // Set while a run is in progress; a run that died frees it when it expires
+    locked_until: {
+        type: Date,
+        default: null
+    },
+    last_started_at: {
+        type: Date,
+        default: null
+    },
+    last_finished_at: {
+        type: Date,
+        default: null
+    },
+    last_error: {
+        type: String,
+        default: null
+    },
+    last_summary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const SyncState = mongoose.model('SyncState', syncStateSchema);
+
+export default SyncState;
@@ -1,11 +1,39 @@
 import express from 'express';
 import multer from 'multer';
-import xlsx from 'xlsx';
 import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
 import InstantFormLead from '../models/InstantFormLead.js';
+import ImportBatch from '../models/ImportBatch.js';
+import { triggerImportWorker } from '../jobs/importWorker.js';
+import MappingProfile from '../models/MappingProfile.js';
+import { previewImportFile, computeFileChecksum, rollbackImportBatch } from '../utils/instantLeadImporter.js';
+import { DEFAULT_MAPPING_PROFILE } from '../utils/mappingProfiles.js';
+import { buildImportReport, REPORT_STATUSES } from '../utils/importReport.js';
+import { VALIDATION_STRICTNESS, DEFAULT_VALIDATION_STRICTNESS } from '../utils/leadValidation.js';
+import { FUZZY_DUPLICATE_SETTINGS } from '../config/fuzzyDuplicates.js';
+import { getBatchMatchSummary } from '../utils/leadMatcher.js';
+import { getLoanStatusSyncState } from '../utils/loanStatusSync.js';
+import { queueLoanStatusSync } from '../jobs/loanStatusSyncJob.js';
+import DuplicateCluster from '../models/DuplicateCluster.js';
+import { mergeDuplicateCluster } from '../utils/duplicateClusters.js';
+import { RE_ENGAGED_REASON } from '../config/dedupWindows.js';
+import { PARTNER_LEAD_API } from '../config/leadWebhooks.js';
+import { authenticatePartner } from '../middleware/partnerAuth.js';
+import { ingestPartnerLeads, runIdempotent } from '../utils/partnerLeads.js';
+import { buildLeadListQuery, formatFilterErrors } from '../utils/leadFilters.js';
+import { parseLeadPageParams, findLeadPage, findPage } from '../utils/leadPagination.js';
+import LeadExport from '../models/LeadExport.js';
+import { LEAD_EXPORTS, EXPORT_FORMATS } from '../config/leadExports.js';
+import { resolveExportColumns, defaultExportColumns, writeLeadExport, exportFileName, EXPORT_CONTENT_TYPES } from '../utils/leadExport.js';
+import { triggerLeadExportWorker } from '../jobs/leadExportWorker.js';
+import { buildFieldCatalog } from '../utils/leadFieldCatalog.js';
+import { EDITABLE_FIELDS, prepareLeadChanges, updateLead, softDeleteLead } from '../utils/leadRecords.js';
 
 const router = express.Router();
 
+const CLUSTER_MEMBER_FIELDS = 'full_name phone_number pan_number email city pincode created_time lead_created_at is_duplicate duplicate_reason original_lead_id duplicate_cluster_id is_golden_record';
+
 // Middleware to completely bypass JSON parsing for upload route
 router.use('/upload', (req, res, next) => {
     // Skip all body parsing middleware for this route
@@ -26,6 +54,31 @@ router.use('/upload', (err, req, res, next) => {
     next(err);
 });
 
+// Excel workbooks and CSV/TSV exports (Meta and Google often send UTF-16 CSV)
+const IMPORT_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'text/csv',
+    'text/tab-separated-values'
+];
+
+const isImportFile = (file) =>
+    IMPORT_MIME_TYPES.includes(file.mimetype) || /\.(xlsx|xls|csv|tsv)$/i.test(file.originalname);
+
+// Remove uploaded files from disk
+const removeUploadedFiles = (files = []) => {
+    try {
+        files.forEach(file => {
+            if (fs.existsSync(file.path)) {
+                fs.unlinkSync(file.path);
+                console.log('🗑️ Uploaded file cleaned up:', file.path);
+            }
+        });
+    } catch (cleanupError) {
+        console.error('⚠️ File cleanup error:', cleanupError.message);
+    }
+};
+
 // Configure multer for file upload
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -33,7 +86,7 @@ const storage = multer.diskStorage({
     },
     filename: function (req, file, cb) {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'instant-leads-' + uniqueSuffix + '.xlsx');
+        cb(null, 'instant-leads-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
     }
 });
 
@@ -41,12 +94,10 @@ const upload = multer({
     storage: storage,
     fileFilter: function (req, file, cb) {
         console.log('📁 File received:', file.fieldname, file.originalname, file.mimetype);
-        if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-            file.mimetype === 'application/vnd.ms-excel' ||
-            file.originalname.match(/\.(xlsx|xls)$/)) {
+        if (isImportFile(file)) {
             cb(null, true);
         } else {
-            cb(new Error('Only Excel files are allowed!'), false);
+            cb(new Error('Only Excel or CSV files are allowed!'), false);
         }
     },
     limits: {
@@ -69,17 +120,15 @@ router.post('/upload', (req, res, next) => {
             },
             filename: function (req, file, cb) {
                 const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-                cb(null, 'instant-leads-' + uniqueSuffix + '.xlsx');
+                cb(null, 'instant-leads-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
             }
         }),
         fileFilter: function (req, file, cb) {
             console.log('📁 File received:', file.fieldname, file.originalname, file.mimetype);
-            if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-                file.mimetype === 'application/vnd.ms-excel' ||
-                file.originalname.match(/\.(xlsx|xls)$/)) {
+            if (isImportFile(file)) {
                 cb(null, true);
             } else {
-                cb(new Error('Only Excel files are allowed!'), false);
+                cb(new Error('Only Excel or CSV files are allowed!'), false);
             }
         },
         limits: {
@@ -102,6 +151,7 @@ router.post('/upload', (req, res, next) => {
         next();
     });
 }, async (req, res) => {
+    let batch = null;
     try {
         // Log request details for debugging
         console.log('📁 Content-Type:', req.get('Content-Type'));
@@ -118,145 +168,143 @@ router.post('/upload', (req, res, next) => {
             });
         }
         
-        // Find the Excel file from uploaded files
+        // Find the Excel / CSV file from uploaded files
         let excelFile = null;
         if (req.files && req.files.length > 0) {
-            excelFile = req.files.find(file => 
-                file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-                file.mimetype === 'application/vnd.ms-excel' ||
-                file.originalname.match(/\.(xlsx|xls)$/)
-            );
+            excelFile = req.files.find(isImportFile);
         }
         
         if (!excelFile) {
             return res.status(400).json({
                 success: false,
-                message: 'No Excel file uploaded. Please upload a .xlsx or .xls file'
+                message: 'No file uploaded. Please upload a .xlsx, .xls, .csv or .tsv file'
             });
         }
         
-        console.log('📁 Excel file found:', excelFile.fieldname, excelFile.originalname);
+        console.log('📁 Import file found:', excelFile.fieldname, excelFile.originalname);
 
-        const { uploadedBy } = req.body;
-        
-        // Read Excel file
-        console.log('📁 File uploaded to:', excelFile.path);
-        console.log('📁 File exists:', fs.existsSync(excelFile.path));
-        
-        let workbook, jsonData;
-        try {
-            workbook = xlsx.readFile(excelFile.path);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            jsonData = xlsx.utils.sheet_to_json(worksheet);
-        } catch (fileError) {
-            console.error('❌ Excel file reading error:', fileError);
+        const { uploadedBy, mappingProfile } = req.body;
+
+        // Optional sheet selection: "Day 1,Day 2" or repeated `sheets` fields, all sheets by default
+        const sheets = [].concat(req.body.sheets || [])
+            .flatMap(value => String(value).split(','))
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        // force=true re-imports a file (and rows) that were already imported
+        const force = req.query.force === 'true' || req.body.force === 'true';
+
+        // fuzzyDedup=true also looks for possible duplicates (name, city, near-identical phone / PAN) after the import
+        const fuzzyDedupParam = req.query.fuzzyDedup || req.body.fuzzyDedup;
+        const fuzzyDedup = fuzzyDedupParam !== undefined
+            ? fuzzyDedupParam === 'true'
+            : FUZZY_DUPLICATE_SETTINGS.enabledByDefault;
+
+        // strict: rows failing PAN / email / pincode / age / salary validation are rejected
+        const strictness = req.query.strictness || req.body.strictness || DEFAULT_VALIDATION_STRICTNESS;
+        if (!VALIDATION_STRICTNESS.includes(strictness)) {
+            removeUploadedFiles(req.files);
             return res.status(400).json({
                 success: false,
-                message: 'Error reading Excel file',
-                error: fileError.message
+                message: `Invalid strictness '${strictness}'. Use one of: ${VALIDATION_STRICTNESS.join(', ')}`
             });
         }
 
-        if (jsonData.length === 0) {
+        console.log('📁 File uploaded to:', excelFile.path);
+
+        const checksum = computeFileChecksum(excelFile.path);
+        const previousBatch = await ImportBatch.findOne({
+            checksum,
+            status: { $in: ['queued', 'processing', 'completed'] }
+        }).sort({ createdAt: -1 });
+
+        const previousBatchInfo = previousBatch && {
+            batchId: previousBatch._id,
+            status: previousBatch.status,
+            excelFileName: previousBatch.original_file_name,
+            uploadedBy: previousBatch.uploaded_by,
+            uploadedAt: previousBatch.createdAt,
+            statusUrl: `${req.baseUrl}/imports/${previousBatch._id}`
+        };
+
+        if (mappingProfile && mappingProfile !== DEFAULT_MAPPING_PROFILE.name &&
+            !(await MappingProfile.exists({ name: mappingProfile }))) {
+            removeUploadedFiles(req.files);
             return res.status(400).json({
                 success: false,
-                message: 'Excel file is empty'
+                message: `Mapping profile '${mappingProfile}' not found`
             });
         }
 
-        console.log('📊 Excel data loaded:', jsonData.length, 'rows');
-        console.log('📋 All headers found:', Object.keys(jsonData[0]));
-
-        // Process each row
-        const processedLeads = [];
-        const duplicates = [];
-        const errors = [];
-
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            const rowNumber = i + 2; // Excel row number (accounting for header)
+        // Dry run: report what the import would do, nothing is written to MongoDB
+        if (req.query.dryRun === 'true') {
+            const sampleSize = Math.min(Math.max(parseInt(req.query.previewRows) || 20, 1), 200);
 
+            let preview;
             try {
-                // Extract ALL data from Excel row dynamically
-                const leadData = extractAllFields(row, rowNumber);
-                
-                // Basic validation for required fields
-                if (!leadData.phone_number || leadData.phone_number.length < 10) {
-                    errors.push(`Row ${rowNumber}: Invalid phone number`);
-                    continue;
-                }
+                preview = await previewImportFile(excelFile.path, excelFile.originalname, { sheets, sampleSize, mappingProfile, force, strictness });
+            } catch (fileError) {
+                console.error('❌ File reading error:', fileError);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Error reading file',
+                    error: fileError.message
+                });
+            } finally {
+                removeUploadedFiles(req.files);
+            }
 
-                // Check for duplicates
-                const duplicateCheck = await checkForDuplicates(leadData);
-                
-                if (duplicateCheck.isDuplicate) {
-                    leadData.is_duplicate = true;
-                    leadData.duplicate_reason = duplicateCheck.reason;
-                    leadData.original_lead_id = duplicateCheck.originalLeadId;
-                    duplicates.push({
-                        row: rowNumber,
-                        phone: leadData.phone_number,
-                        pan: leadData.pan_number,
-                        reason: duplicateCheck.reason
-                    });
-                }
+            return res.json({
+                success: true,
+                message: 'Dry run completed, no leads were stored',
+                data: { dryRun: true, ...preview, previousBatch: previousBatchInfo || null }
+            });
+        }
 
-                // Store in MongoDB
-                const savedLead = await InstantFormLead.create(leadData);
-                processedLeads.push(savedLead);
+        if (previousBatch && !force) {
+            removeUploadedFiles(req.files);
+            console.log('⚠️ File already imported in batch:', previousBatch._id.toString());
+            return res.status(409).json({
+                success: false,
+                message: 'This file has already been imported. Use force=true to import it again',
+                data: { previousBatch: previousBatchInfo }
+            });
+        }
 
-                console.log(`✅ Row ${rowNumber}: Processed - Phone: ${leadData.phone_number}, Duplicate: ${leadData.is_duplicate}`);
+        // Other uploaded files are not processed, remove them right away
+        removeUploadedFiles(req.files.filter(file => file !== excelFile));
 
-            } catch (error) {
-                errors.push(`Row ${rowNumber}: ${error.message}`);
-                console.error(`❌ Row ${rowNumber} error:`, error.message);
-            }
-        }
+        // Queue the file for the background import worker
+        batch = await ImportBatch.create({
+            file_path: excelFile.path,
+            original_file_name: excelFile.originalname,
+            uploaded_by: uploadedBy || 'unknown',
+            checksum,
+            force,
+            requested_sheets: sheets,
+            mapping_profile: mappingProfile || null,
+            validation_strictness: strictness,
+            fuzzy_dedup: fuzzyDedup
+        });
+        triggerImportWorker();
 
-        // Clean up uploaded files
-        try {
-            if (req.files && req.files.length > 0) {
-                req.files.forEach(file => {
-                    if (fs.existsSync(file.path)) {
-                        fs.unlinkSync(file.path);
-                        console.log('🗑️ Uploaded file cleaned up:', file.path);
-                    }
-                });
-            }
-        } catch (cleanupError) {
-            console.error('⚠️ File cleanup error:', cleanupError.message);
-        }
+        console.log('📋 Import batch queued:', batch._id.toString());
 
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Excel file processed successfully',
+            message: 'File queued for processing',
             data: {
-                totalRows: jsonData.length,
-                processedLeads: processedLeads.length,
-                duplicates: duplicates.length,
-                errors: errors.length,
+                batchId: batch._id,
+                status: batch.status,
                 excelFileName: excelFile.originalname,
-                excelHeaders: Object.keys(jsonData[0]),
-                details: {
-                    leads: processedLeads.map(lead => ({
-                        id: lead._id,
-                        phone_number: lead.phone_number,
-                        pan_number: lead.pan_number,
-                        email: lead.email,
-                        full_name: lead.full_name,
-                        is_duplicate: lead.is_duplicate,
-                        duplicate_reason: lead.duplicate_reason,
-                        additional_fields: Object.keys(lead.additional_data || {})
-                    })),
-                    duplicateList: duplicates,
-                    errorList: errors
-                }
+                statusUrl: `${req.baseUrl}/imports/${batch._id}`
             }
         });
 
     } catch (error) {
         console.error('Excel upload error:', error);
+        // Once queued, the file belongs to the worker
+        if (!batch) removeUploadedFiles(req.files);
         res.status(500).json({
             success: false,
             message: 'Error processing Excel file',
@@ -265,167 +313,425 @@ router.post('/upload', (req, res, next) => {
     }
 });
 
-// Function to extract ALL fields from Excel row dynamically
-function extractAllFields(row, rowNumber) {
-    const leadData = {
-        uploaded_by: 'unknown',
-        excel_file_name: 'unknown',
-        excel_row_number: rowNumber,
-        additional_data: {}
-    };
-
-    // Map common field names (case-insensitive)
-    const fieldMappings = {
-        'created_time': ['created_time', 'created time', 'date', 'created_date'],
-        'ad_id': ['ad_id', 'ad id', 'adid', 'campaign_id'],
-        'platform': ['platform', 'source', 'channel'],
-        'what_is_your_monthly_salary': ['what_is_your_monthly_salary?', 'what_is_your_monthly_salary', 'salary', 'monthly_salary', 'income'],
-        'phone_number': ['phone_number', 'phone number', 'phone', 'mobile', 'contact_number'],
-        'pan_number': ['pan_number', 'pan number', 'pan_no', 'pan', 'pancard'],
-        'email': ['email', 'email_id', 'email address'],
-        'full_name': ['full_name', 'full name', 'name', 'customer_name'],
-        'first_name': ['first_name', 'first name', 'fname'],
-        'last_name': ['last_name', 'last name', 'lname'],
-        'age': ['age', 'customer_age'],
-        'gender': ['gender', 'sex'],
-        'city': ['city', 'location', 'customer_city'],
-        'state': ['state', 'customer_state'],
-        'pincode': ['pincode', 'pin code', 'zipcode', 'postal_code'],
-        'occupation': ['occupation', 'job', 'profession', 'work'],
-        'company_name': ['company_name', 'company', 'employer'],
-        'loan_amount': ['loan_amount', 'loan amount', 'amount_needed'],
-        'loan_purpose': ['loan_purpose', 'loan purpose', 'purpose'],
-        'existing_loans': ['existing_loans', 'existing loans', 'current_loans'],
-        'credit_score': ['credit_score', 'credit score', 'cibil_score']
-    };
-
-    // Process each Excel column
-    Object.keys(row).forEach(excelHeader => {
-        const value = String(row[excelHeader] || '').trim();
-        
-        if (!value) return; // Skip empty values
-
-        let fieldAssigned = false;
-
-        // Try to map to known fields
-        Object.keys(fieldMappings).forEach(modelField => {
-            if (fieldMappings[modelField].some(alias => 
-                alias.toLowerCase() === excelHeader.toLowerCase()
-            )) {
-                // Special processing for certain fields
-                if (modelField === 'phone_number') {
-                    leadData[modelField] = value.replace(/\D/g, ''); // Remove non-digits
-                } else if (modelField === 'pan_number') {
-                    leadData[modelField] = value.toUpperCase();
-                } else {
-                    leadData[modelField] = value;
-                }
-                fieldAssigned = true;
+// GET /api/instant-leads/imports/:batchId - Progress of a background import
+router.get('/imports/:batchId', async (req, res) => {
+    try {
+        const { batchId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(batchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import batch ID'
+            });
+        }
+
+        const batch = await ImportBatch.findById(batchId);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import batch not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                batchId: batch._id,
+                status: batch.status,
+                excelFileName: batch.original_file_name,
+                uploadedBy: batch.uploaded_by,
+                checksum: batch.checksum,
+                totalRows: batch.total_rows,
+                processedRows: batch.processed_rows,
+                storedLeads: batch.stored_count,
+                duplicates: batch.duplicate_count,
+                errors: batch.error_count,
+                skippedRows: batch.skipped_count,
+                warningRows: batch.warning_count,
+                reEngagedLeads: batch.re_engaged_count,
+                fuzzyDedup: batch.fuzzy_dedup,
+                possibleDuplicates: batch.possible_duplicate_count,
+                force: batch.force,
+                mappingProfile: batch.mapping_profile,
+                validationStrictness: batch.validation_strictness,
+                excelHeaders: batch.excel_headers,
+                sheets: batch.sheets.map(sheet => ({
+                    name: sheet.name,
+                    totalRows: sheet.total_rows,
+                    processedRows: sheet.processed_rows,
+                    storedLeads: sheet.stored_count,
+                    duplicates: sheet.duplicate_count,
+                    errors: sheet.error_count,
+                    skippedRows: sheet.skipped_count,
+                    warningRows: sheet.warning_count,
+                    reEngagedLeads: sheet.re_engaged_count
+                })),
+                errorList: batch.error_list,
+                failureReason: batch.failure_reason,
+                createdAt: batch.createdAt,
+                startedAt: batch.started_at,
+                finishedAt: batch.finished_at,
+                durationMs: batch.started_at && batch.finished_at ? batch.finished_at - batch.started_at : null,
+                rolledBackAt: batch.rolled_back_at,
+                rolledBackBy: batch.rolled_back_by
             }
         });
 
-        // If not mapped to known field, store in additional_data
-        if (!fieldAssigned) {
-            leadData.additional_data[excelHeader] = value;
+    } catch (error) {
+        console.error('Get import batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching import batch',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads/imports/:batchId/report - Row-level .xlsx report of an import
+router.get('/imports/:batchId/report', async (req, res) => {
+    try {
+        const { batchId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(batchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import batch ID'
+            });
         }
-    });
 
-    return leadData;
-}
+        // Optional filter, e.g. ?status=rejected,duplicate to get only the rows to fix
+        const statuses = String(req.query.status || '')
+            .split(',')
+            .map(status => status.trim())
+            .filter(Boolean);
+        const invalidStatuses = statuses.filter(status => !REPORT_STATUSES.includes(status));
 
-// Function to check for duplicates
-async function checkForDuplicates(leadData) {
-    try {
-        // Check by phone number
-        const phoneDuplicate = await InstantFormLead.findOne({
-            phone_number: leadData.phone_number
+        if (invalidStatuses.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status: ${invalidStatuses.join(', ')}. Allowed: ${REPORT_STATUSES.join(', ')}`
+            });
+        }
+
+        const batch = await ImportBatch.findById(batchId);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import batch not found'
+            });
+        }
+
+        const report = await buildImportReport(batch, statuses);
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'No row results stored for this import'
+            });
+        }
+
+        const baseName = batch.original_file_name.replace(/\.[^.]+$/, '');
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(baseName)}-import-report.xlsx"`);
+        res.send(report);
+
+    } catch (error) {
+        console.error('Import report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error building import report',
+            error: error.message
         });
+    }
+});
 
-        if (phoneDuplicate) {
-            return {
-                isDuplicate: true,
-                reason: 'Phone number already exists',
-                originalLeadId: phoneDuplicate._id
-            };
+// GET /api/instant-leads/imports/:batchId/matches - MySQL application matches of an import
+router.get('/imports/:batchId/matches', async (req, res) => {
+    try {
+        const { batchId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(batchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import batch ID'
+            });
         }
 
-        // Check by PAN number (if provided)
-        if (leadData.pan_number && leadData.pan_number.length > 0) {
-            const panDuplicate = await InstantFormLead.findOne({
-                pan_number: leadData.pan_number
+        const batch = await ImportBatch.findById(batchId);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import batch not found'
             });
+        }
 
-            if (panDuplicate) {
-                return {
-                    isDuplicate: true,
-                    reason: 'PAN number already exists',
-                    originalLeadId: panDuplicate._id
-                };
+        const summary = await getBatchMatchSummary(batch._id);
+        const totalLeads = Object.values(summary).reduce((total, count) => total + count, 0);
+
+        res.json({
+            success: true,
+            data: {
+                batchId: batch._id,
+                excelFileName: batch.original_file_name,
+                totalLeads,
+                pending: summary.pending,
+                unmatched: summary.unmatched,
+                matched: summary.matched,
+                disbursed: summary.disbursed
             }
+        });
+
+    } catch (error) {
+        console.error('Import matches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching import matches',
+            error: error.message
+        });
+    }
+});
+
+// DELETE /api/instant-leads/imports/:batchId - Roll back a finished import
+router.delete('/imports/:batchId', async (req, res) => {
+    try {
+        const { batchId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(batchId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import batch ID'
+            });
+        }
+
+        const batch = await ImportBatch.findById(batchId);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import batch not found'
+            });
         }
 
-        // Check by email (if provided)
-        if (leadData.email && leadData.email.length > 0) {
-            const emailDuplicate = await InstantFormLead.findOne({
-                email: leadData.email
+        if (!['completed', 'failed'].includes(batch.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Import batch is ${batch.status}, only completed or failed imports can be rolled back`
             });
+        }
+
+        const summary = await rollbackImportBatch(batch, req.body?.rolledBackBy || req.query.rolledBackBy);
 
-            if (emailDuplicate) {
-                return {
-                    isDuplicate: true,
-                    reason: 'Email already exists',
-                    originalLeadId: emailDuplicate._id
-                };
+        res.json({
+            success: true,
+            message: 'Import batch rolled back',
+            data: {
+                batchId: batch._id,
+                status: batch.status,
+                ...summary
             }
+        });
+
+    } catch (error) {
+        console.error('Rollback import batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error rolling back import batch',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads/status-sync - Watermark and last run of the MySQL loan status sync
+router.get('/status-sync', async (req, res) => {
+    try {
+        const state = await getLoanStatusSyncState();
+
+        res.json({
+            success: true,
+            data: {
+                running: Boolean(state?.locked_until && state.locked_until > new Date()),
+                watermark: state?.watermark || null,
+                lastStartedAt: state?.last_started_at || null,
+                lastFinishedAt: state?.last_finished_at || null,
+                lastSummary: state?.last_summary || null,
+                lastError: state?.last_error || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get status sync error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching status sync state',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/instant-leads/status-sync - Start the MySQL loan status sync now; follow it with GET /status-sync
+router.post('/status-sync', async (req, res) => {
+    try {
+        const state = await getLoanStatusSyncState();
+
+        if (state?.locked_until && state.locked_until > new Date()) {
+            return res.status(409).json({
+                success: false,
+                message: 'Status sync is already running'
+            });
         }
 
-        return {
-            isDuplicate: false,
-            reason: null,
-            originalLeadId: null
-        };
+        queueLoanStatusSync();
+
+        res.status(202).json({
+            success: true,
+            message: 'Status sync started',
+            data: {
+                watermark: state?.watermark || null,
+                lastFinishedAt: state?.last_finished_at || null
+            }
+        });
 
     } catch (error) {
-        console.error('Duplicate check error:', error);
-        return {
-            isDuplicate: false,
-            reason: null,
-            originalLeadId: null
-        };
+        console.error('Status sync error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error starting loan status sync',
+            error: error.message
+        });
     }
-}
+});
 
-// GET /api/instant-leads - Get all leads
-router.get('/', async (req, res) => {
+// GET /api/instant-leads/stats - Lead totals, with re-engagements counted apart from duplicates
+router.get('/stats', async (req, res) => {
     try {
-        const { page = 1, limit = 100, is_duplicate, quality_lead } = req.query;
-        
-        let query = {};
-        
-        if (is_duplicate !== undefined) {
-            query.is_duplicate = is_duplicate === 'true';
+        const [total, duplicates, reEngaged, qualityLeads, reEngagedByPlatform] = await Promise.all([
+            InstantFormLead.countDocuments({ deleted_at: null }),
+            InstantFormLead.countDocuments({ is_duplicate: true, deleted_at: null }),
+            InstantFormLead.countDocuments({ duplicate_reason: RE_ENGAGED_REASON, deleted_at: null }),
+            InstantFormLead.countDocuments({ quality_lead: true, deleted_at: null }),
+            InstantFormLead.aggregate([
+                { $match: { duplicate_reason: RE_ENGAGED_REASON, deleted_at: null } },
+                { $group: { _id: '$platform', count: { $sum: 1 } } },
+                { $sort: { count: -1 } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                totalLeads: total,
+                newLeads: total - duplicates - reEngaged,
+                duplicates,
+                reEngaged,
+                qualityLeads,
+                reEngagedByPlatform: reEngagedByPlatform.map(({ _id, count }) => ({ platform: _id, count }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lead stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lead statistics',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/instant-leads - Store leads from a landing page or partner: one lead, or { "leads": [...] }
+// Signed with the partner's API key (middleware/partnerAuth.js), optional Idempotency-Key header
+router.post('/', authenticatePartner, async (req, res) => {
+    try {
+        const body = req.body;
+        const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isPlainObject(body)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Request body must be a lead object or { "leads": [...] }'
+            });
         }
-        
-        if (quality_lead !== undefined) {
-            query.quality_lead = quality_lead === 'true';
+
+        const leads = Array.isArray(body.leads) ? body.leads : [body];
+
+        if (leads.length === 0 || leads.length > PARTNER_LEAD_API.maxBatchSize) {
+            return res.status(400).json({
+                success: false,
+                message: `Send between 1 and ${PARTNER_LEAD_API.maxBatchSize} leads per request`
+            });
+        }
+        const invalidIndex = leads.findIndex(lead => !isPlainObject(lead));
+        if (invalidIndex !== -1) {
+            return res.status(400).json({
+                success: false,
+                message: `Lead ${invalidIndex} is not an object`
+            });
         }
 
-        const leads = await InstantFormLead.find(query)
-            .sort({ createdAt: -1 })
-            .limit(limit * 1)
-            .skip((page - 1) * limit);
+        const { statusCode, body: response, replayed } = await runIdempotent(req.partner, req.get('Idempotency-Key'), req.rawBody, async () => {
+            const results = await ingestPartnerLeads(req.partner, leads);
+            const count = (status) => results.filter(result => result.status === status).length;
 
-        const total = await InstantFormLead.countDocuments(query);
+            console.log(`📋 Partner ${req.partner.name}: ${results.length} lead(s), ${count('accepted')} accepted, ${count('duplicate')} duplicate, ${count('rejected')} rejected`);
+
+            return {
+                statusCode: 200,
+                body: {
+                    success: true,
+                    data: {
+                        partner: req.partner.name,
+                        accepted: count('accepted'),
+                        duplicates: count('duplicate'),
+                        rejected: count('rejected'),
+                        results
+                    }
+                }
+            };
+        });
+
+        if (replayed) {
+            res.set('Idempotent-Replayed', 'true');
+        }
+        res.status(statusCode).json(response);
+
+    } catch (error) {
+        console.error('Partner lead ingest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error storing leads',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads - Get leads, filtered and sorted by query parameters (utils/leadFilters.js):
+// from / to (lead date), platform, ad_id, campaign_id, salary, city, state, uploaded_by, batch_id, lead_source,
+// match_status, is_duplicate, quality_lead, additional_data.<key>, search, sort, include_deleted
+// Paged with cursor / limit, fields= projection and includeTotal=true for a count (utils/leadPagination.js)
+router.get('/', async (req, res) => {
+    try {
+        const { query, sort, errors } = buildLeadListQuery(req.query);
+        const paging = parseLeadPageParams(req.query, sort);
+        errors.push(...paging.errors);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid filters: ${formatFilterErrors(errors)}`,
+                errors
+            });
+        }
+
+        const { leads, pagination } = await findLeadPage(query, sort, paging);
 
         res.json({
             success: true,
             data: {
                 leads,
-                pagination: {
-                    current: parseInt(page),
-                    pages: Math.ceil(total / limit),
-                    total
-                }
+                pagination
             }
         });
 
@@ -439,17 +745,91 @@ router.get('/', async (req, res) => {
     }
 });
 
-// GET /api/instant-leads/duplicates - Get only duplicates
+// GET /api/instant-leads/duplicates - Get only duplicates (?view=clusters groups them by duplicate cluster,
+// ?view=re_engaged lists leads stored as re-engagements instead, ?include_deleted=true adds soft-deleted leads)
+// Lists are paged like GET /api/instant-leads (cursor, limit, fields, includeTotal), newest first
 router.get('/duplicates', async (req, res) => {
     try {
-        const duplicates = await InstantFormLead.find({ is_duplicate: true })
-            .sort({ createdAt: -1 });
+        const { view = 'list' } = req.query;
+        const notDeleted = req.query.include_deleted === 'true' ? {} : { deleted_at: null };
+        const sort = { createdAt: -1, _id: -1 };
+
+        if (!['list', 'clusters', 're_engaged'].includes(view)) {
+            return res.status(400).json({
+                success: false,
+                message: 'view must be list, clusters or re_engaged'
+            });
+        }
+
+        if (view === 'clusters') {
+            // Largest first; fields= applies to leads, not to clusters
+            const clusterSort = { member_count: -1, _id: -1 };
+            const clusterPaging = parseLeadPageParams({ ...req.query, fields: undefined }, clusterSort, { defaultLimit: 50, maxLimit: 100 });
+            if (clusterPaging.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid parameters: ${formatFilterErrors(clusterPaging.errors)}`,
+                    errors: clusterPaging.errors
+                });
+            }
+
+            const { rows: clusters, pagination } = await findPage(DuplicateCluster, {}, clusterSort, clusterPaging);
+
+            const members = await InstantFormLead.find({ duplicate_cluster_id: { $in: clusters.map(cluster => cluster._id) }, ...notDeleted })
+                .select(CLUSTER_MEMBER_FIELDS)
+                .sort({ _id: 1 })
+                .lean();
+
+            return res.json({
+                success: true,
+                data: {
+                    clusters: clusters.map(cluster => {
+                        const clusterMembers = members.filter(member => member.duplicate_cluster_id.equals(cluster._id));
+                        return {
+                            ...cluster,
+                            golden: clusterMembers.find(member => member._id.equals(cluster.golden_lead_id)) || null,
+                            members: clusterMembers
+                        };
+                    }),
+                    pagination
+                }
+            });
+        }
+
+        const paging = parseLeadPageParams(req.query, sort);
+        if (paging.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid parameters: ${formatFilterErrors(paging.errors)}`,
+                errors: paging.errors
+            });
+        }
+
+        if (view === 're_engaged') {
+            const { leads, pagination } = await findLeadPage({ duplicate_reason: RE_ENGAGED_REASON, ...notDeleted }, sort, paging);
+
+            return res.json({
+                success: true,
+                data: {
+                    reEngaged: leads,
+                    count: leads.length,
+                    pagination
+                }
+            });
+        }
+
+        const [{ leads, pagination }, reEngagedCount] = await Promise.all([
+            findLeadPage({ is_duplicate: true, ...notDeleted }, sort, paging),
+            InstantFormLead.countDocuments({ duplicate_reason: RE_ENGAGED_REASON, ...notDeleted })
+        ]);
 
         res.json({
             success: true,
             data: {
-                duplicates,
-                count: duplicates.length
+                duplicates: leads,
+                count: leads.length,
+                reEngagedCount,
+                pagination
             }
         });
 
@@ -463,37 +843,90 @@ router.get('/duplicates', async (req, res) => {
     }
 });
 
-// GET /api/instant-leads/fields - Get all unique field names from Excel uploads
-router.get('/fields', async (req, res) => {
+// POST /api/instant-leads/duplicates/clusters/:clusterId/merge - Merge a duplicate cluster into its golden record
+router.post('/duplicates/clusters/:clusterId/merge', async (req, res) => {
     try {
-        const sampleLead = await InstantFormLead.findOne({});
-        
-        if (!sampleLead) {
-            return res.json({
-                success: true,
-                data: {
-                    fields: [],
-                    additionalFields: []
-                }
+        const { clusterId } = req.params;
+        const { goldenLeadId, mergedBy, dryRun } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(clusterId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid duplicate cluster ID'
+            });
+        }
+        if (goldenLeadId && !mongoose.Types.ObjectId.isValid(goldenLeadId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid golden lead ID'
+            });
+        }
+
+        const cluster = await DuplicateCluster.findById(clusterId);
+        if (!cluster) {
+            return res.status(404).json({
+                success: false,
+                message: 'Duplicate cluster not found'
+            });
+        }
+
+        const result = await mergeDuplicateCluster(cluster, {
+            goldenLeadId: goldenLeadId ? new mongoose.Types.ObjectId(goldenLeadId) : null,
+            mergedBy,
+            dryRun: dryRun === true || dryRun === 'true'
+        });
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: goldenLeadId
+                    ? 'Golden lead must be a member of the cluster'
+                    : 'The golden record of the cluster was deleted, pass goldenLeadId'
             });
         }
 
-        const standardFields = [
-            'created_time', 'ad_id', 'platform', 'what_is_your_monthly_salary',
-            'phone_number', 'pan_number', 'email', 'full_name', 'first_name',
-            'last_name', 'age', 'gender', 'city', 'state', 'pincode',
-            'occupation', 'company_name', 'loan_amount', 'loan_purpose',
-            'existing_loans', 'credit_score'
-        ];
+        res.json({
+            success: true,
+            message: result.dryRun ? 'Merge preview' : 'Duplicate cluster merged',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Merge duplicate cluster error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error merging duplicate cluster',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads/fields - Catalogue of lead fields: schema fields and every additional_data key, with
+// lead counts, samples, inferred type and first / last seen. Takes the list filters, e.g. batch_id or from / to
+router.get('/fields', async (req, res) => {
+    try {
+        const { query, errors } = buildLeadListQuery(req.query);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid filters: ${formatFilterErrors(errors)}`,
+                errors
+            });
+        }
 
-        const additionalFields = Object.keys(sampleLead.additional_data || {});
+        const { totalLeads, scannedLeads, fields } = await buildFieldCatalog(query);
+        const standardFields = fields.filter(field => field.source === 'standard').map(field => field.name);
+        const additionalFields = fields.filter(field => field.source === 'additional_data').map(field => field.name);
 
         res.json({
             success: true,
             data: {
+                totalLeads,
+                scannedLeads,
                 standardFields,
                 additionalFields,
-                allFields: [...standardFields, ...additionalFields]
+                allFields: [...standardFields, ...additionalFields],
+                fields
             }
         });
 
@@ -507,4 +940,330 @@ router.get('/fields', async (req, res) => {
     }
 });
 
+// GET /api/instant-leads/export?format=csv|xlsx - Download the leads matching the list filters (same parameters as
+// GET /api/instant-leads), columns=a,b,additional_data.c picks and orders the columns. Exports over
+// LEAD_EXPORT_SYNC_MAX_ROWS leads, or with background=true, run as a job: 202 with the export to poll
+router.get('/export', async (req, res) => {
+    try {
+        const { format = 'csv', background, requestedBy } = req.query;
+        const { query, sort, errors } = buildLeadListQuery(req.query);
+        const { columns, error: columnsError } = resolveExportColumns(req.query.columns);
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            errors.push({ parameter: 'format', value: format, message: `format must be ${EXPORT_FORMATS.join(' or ')}` });
+        }
+        if (columnsError) {
+            errors.push({ parameter: 'columns', value: req.query.columns, message: columnsError });
+        }
+        if (background !== undefined && !['true', 'false'].includes(background)) {
+            errors.push({ parameter: 'background', value: background, message: 'background must be true or false' });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid filters: ${formatFilterErrors(errors)}`,
+                errors
+            });
+        }
+
+        const total = await InstantFormLead.countDocuments(query);
+
+        if (format === 'xlsx' && total > LEAD_EXPORTS.xlsxMaxRows) {
+            return res.status(400).json({
+                success: false,
+                message: `${total} leads are too many for an Excel export (${LEAD_EXPORTS.xlsxMaxRows} max), export them as csv`
+            });
+        }
+
+        if (background === 'true' || total > LEAD_EXPORTS.syncMaxRows) {
+            // Filters for the worker; additional_data.<key> ones are kept nested, field names with dots cannot be stored
+            const params = {};
+            Object.entries(req.query).forEach(([name, value]) => {
+                if (['format', 'background', 'columns', 'requestedBy'].includes(name)) return;
+                if (name.startsWith('additional_data.')) {
+                    params.additional_data = { ...params.additional_data, [name.slice('additional_data.'.length)]: value };
+                } else {
+                    params[name] = value;
+                }
+            });
+
+            const leadExport = await LeadExport.create({
+                format,
+                params,
+                columns: columns || [],
+                requested_by: requestedBy || 'unknown',
+                total_rows: total
+            });
+            triggerLeadExportWorker();
+
+            console.log(`📋 Lead export ${leadExport._id} queued: ${total} lead(s) as ${format}`);
+
+            return res.status(202).json({
+                success: true,
+                message: 'Export queued, download it once completed',
+                data: {
+                    exportId: leadExport._id,
+                    status: leadExport.status,
+                    totalRows: total,
+                    statusUrl: `/api/instant-leads/exports/${leadExport._id}`,
+                    downloadUrl: `/api/instant-leads/exports/${leadExport._id}/download`
+                }
+            });
+        }
+
+        const exportColumns = columns || await defaultExportColumns(query);
+
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+
+        const exportedRows = await writeLeadExport(res, { query, sort, columns: exportColumns, format });
+        res.end();
+
+        console.log(`📋 Lead export: ${exportedRows} lead(s) streamed as ${format}`);
+
+    } catch (error) {
+        console.error('Lead export error:', error);
+        // Part of the file was already sent, the client sees a cut-off download
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting leads',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads/exports/:exportId - Status of a background export
+router.get('/exports/:exportId', async (req, res) => {
+    try {
+        const { exportId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(exportId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid export ID'
+            });
+        }
+
+        const leadExport = await LeadExport.findById(exportId).select('-file_path').lean();
+        if (!leadExport) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...leadExport,
+                downloadUrl: leadExport.status === 'completed'
+                    ? `/api/instant-leads/exports/${leadExport._id}/download`
+                    : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lead export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching export',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads/exports/:exportId/download - File of a completed background export
+router.get('/exports/:exportId/download', async (req, res) => {
+    try {
+        const { exportId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(exportId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid export ID'
+            });
+        }
+
+        const leadExport = await LeadExport.findById(exportId);
+        if (!leadExport) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export not found'
+            });
+        }
+        if (leadExport.status === 'expired' || (leadExport.status === 'completed' && !fs.existsSync(leadExport.file_path))) {
+            return res.status(410).json({
+                success: false,
+                message: 'Export file has expired, request the export again'
+            });
+        }
+        if (leadExport.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: `Export is ${leadExport.status}`,
+                data: {
+                    status: leadExport.status,
+                    exportedRows: leadExport.exported_rows,
+                    totalRows: leadExport.total_rows,
+                    failureReason: leadExport.failure_reason
+                }
+            });
+        }
+
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[leadExport.format]);
+        res.download(leadExport.file_path, leadExport.file_name);
+
+    } catch (error) {
+        console.error('Download lead export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading export',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/instant-leads/:id - Get one lead (?include_deleted=true also returns a soft-deleted lead)
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid lead ID'
+            });
+        }
+
+        const lead = await InstantFormLead.findById(id);
+        if (!lead || (lead.deleted_at && req.query.include_deleted !== 'true')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: lead
+        });
+
+    } catch (error) {
+        console.error('Get lead error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lead',
+            error: error.message
+        });
+    }
+});
+
+// PATCH /api/instant-leads/:id - Correct fields of a lead: { "<field>": value, ..., "updatedBy": "..." }
+// Every edit is kept in change_history; phone, PAN or email changes re-run duplicate detection
+router.patch('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { updatedBy, ...changes } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid lead ID'
+            });
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `No fields to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`
+            });
+        }
+
+        const lead = await InstantFormLead.findById(id);
+        if (!lead || lead.deleted_at) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        const { updates, errors } = prepareLeadChanges(lead, changes);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid lead fields',
+                errors,
+                editableFields: EDITABLE_FIELDS
+            });
+        }
+
+        const result = await updateLead(lead, updates, updatedBy);
+
+        res.json({
+            success: true,
+            message: result.changes.length > 0 ? 'Lead updated' : 'No changes',
+            data: {
+                lead: result.lead,
+                changes: result.changes,
+                duplicates: result.duplicates
+            }
+        });
+
+    } catch (error) {
+        console.error('Update lead error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating lead',
+            error: error.message
+        });
+    }
+});
+
+// DELETE /api/instant-leads/:id - Soft delete a lead; leads that were its duplicates are re-evaluated
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deletedBy = req.body?.deletedBy || req.query.deletedBy;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid lead ID'
+            });
+        }
+
+        const lead = await InstantFormLead.findById(id);
+        if (!lead || lead.deleted_at) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        const duplicates = await softDeleteLead(lead, deletedBy);
+
+        res.json({
+            success: true,
+            message: 'Lead deleted',
+            data: {
+                leadId: lead._id,
+                deletedAt: lead.deleted_at,
+                deletedBy: lead.deleted_by,
+                duplicates
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete lead error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting lead',
+            error: error.message
+        });
+    }
+});
+
 export default router;
\ No newline at end of file
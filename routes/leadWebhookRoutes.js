@@ -0,0 +1,197 @@
+import express from "express";
+import { META_LEAD_ADS, GOOGLE_LEAD_FORMS } from "../config/leadWebhooks.js";
+import { verifyMetaSignature, ingestMetaLeadgenEvent } from "../utils/metaLeadAds.js";
+import { verifyGoogleKey, ingestGoogleLead } from "../utils/googleLeadForms.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lead Webhooks
+ *   description: Real-time lead delivery from ad platforms
+ */
+
+/**
+ * @swagger
+ * /api/instant-leads/webhooks/meta:
+ *   get:
+ *     summary: Meta webhook verification handshake
+ *     tags: [Lead Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: hub.mode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.verify_token
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.challenge
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: hub.challenge echoed back
+ *       403:
+ *         description: Verify token does not match
+ */
+router.get("/meta", (req, res) => {
+    const mode = req.query["hub.mode"];
+    const token = req.query["hub.verify_token"];
+    const challenge = req.query["hub.challenge"];
+
+    if (mode === "subscribe" && META_LEAD_ADS.verifyToken && token === META_LEAD_ADS.verifyToken) {
+        console.log("✅ Meta webhook subscription verified");
+        return res.status(200).send(challenge);
+    }
+
+    res.status(403).json({
+        success: false,
+        message: "Webhook verification failed"
+    });
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/webhooks/meta:
+ *   post:
+ *     summary: Receive Meta Lead Ads leadgen events
+ *     description: Checks X-Hub-Signature-256, reads every new lead from the Graph API and imports it through the Excel pipeline (mapping, validation, dedup). A 5xx makes Meta deliver the event again; leads already received are skipped.
+ *     tags: [Lead Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Outcome per leadgen_id
+ *       401:
+ *         description: Missing or invalid signature
+ *       503:
+ *         description: META_APP_SECRET is not configured
+ */
+router.post("/meta", async (req, res) => {
+    try {
+        if (!META_LEAD_ADS.appSecret) {
+            return res.status(503).json({
+                success: false,
+                message: "Meta webhook is not configured"
+            });
+        }
+        if (!verifyMetaSignature(req.rawBody, req.get("X-Hub-Signature-256"))) {
+            console.error("❌ Meta webhook signature mismatch");
+            return res.status(401).json({
+                success: false,
+                message: "Invalid signature"
+            });
+        }
+
+        const results = await ingestMetaLeadgenEvent(req.body || {});
+        if (results.length > 0) {
+            console.log(`📋 Meta webhook: ${results.length} lead(s)`, results.map(result => `${result.leadgenId}:${result.status}`).join(", "));
+        }
+
+        res.json({
+            success: true,
+            data: { results }
+        });
+    } catch (error) {
+        console.error("Meta webhook error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error processing Meta webhook",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/webhooks/google:
+ *   post:
+ *     summary: Receive a Google Ads lead form lead
+ *     description: Checks google_key, maps user_column_data (FULL_NAME, PHONE_NUMBER, EMAIL, custom questions by column_id) onto the lead and imports it through the Excel pipeline. Leads already received are skipped.
+ *     tags: [Lead Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lead_id, google_key, user_column_data]
+ *             properties:
+ *               lead_id:
+ *                 type: string
+ *               google_key:
+ *                 type: string
+ *               campaign_id:
+ *                 type: integer
+ *               adgroup_id:
+ *                 type: integer
+ *               creative_id:
+ *                 type: integer
+ *               user_column_data:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     column_id:
+ *                       type: string
+ *                     string_value:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Outcome of the lead
+ *       400:
+ *         description: No user_column_data
+ *       401:
+ *         description: google_key does not match
+ *       503:
+ *         description: GOOGLE_LEAD_FORM_KEY is not configured
+ */
+router.post("/google", async (req, res) => {
+    try {
+        const lead = req.body || {};
+
+        if (!GOOGLE_LEAD_FORMS.key) {
+            return res.status(503).json({
+                success: false,
+                message: "Google lead form webhook is not configured"
+            });
+        }
+        if (!verifyGoogleKey(lead.google_key)) {
+            console.error("❌ Google lead form webhook key mismatch");
+            return res.status(401).json({
+                success: false,
+                message: "Invalid google_key"
+            });
+        }
+        if (!Array.isArray(lead.user_column_data) || lead.user_column_data.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "user_column_data is required"
+            });
+        }
+
+        const result = await ingestGoogleLead(lead);
+        console.log(`📋 Google lead form webhook: ${result.leadId}:${result.status}`);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error("Google lead form webhook error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error processing Google lead form webhook",
+            error: error.message
+        });
+    }
+});
+
+export default router;
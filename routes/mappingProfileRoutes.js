@@ -0,0 +1,314 @@
+import express from "express";
+import mongoose from "mongoose";
+import MappingProfile from "../models/MappingProfile.js";
+import { DEFAULT_MAPPING_PROFILE } from "../utils/mappingProfiles.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "description", "fields", "active"];
+
+/**
+ * Send a 400 for schema validation errors, 409 for a taken name, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+    if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid mapping profile",
+            errors: Object.values(error.errors).map(err => err.message)
+        });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: "A mapping profile with this name already exists"
+        });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: error.message
+    });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Mapping Profiles
+ *   description: Header-mapping profiles used by instant lead imports
+ */
+
+/**
+ * @swagger
+ * /api/instant-leads/mapping-profiles:
+ *   get:
+ *     summary: List mapping profiles
+ *     tags: [Mapping Profiles]
+ *     responses:
+ *       200:
+ *         description: Stored profiles plus the built-in default field list
+ *       500:
+ *         description: Server error
+ */
+router.get("/", async (req, res) => {
+    try {
+        const profiles = await MappingProfile.find({}).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                profiles,
+                count: profiles.length,
+                defaultProfile: {
+                    name: DEFAULT_MAPPING_PROFILE.name,
+                    fields: Object.entries(DEFAULT_MAPPING_PROFILE.fields).map(([field, mapping]) => ({
+                        field,
+                        aliases: mapping.aliases,
+                        transforms: mapping.transforms
+                    }))
+                }
+            }
+        });
+    } catch (error) {
+        console.error("Get mapping profiles error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error fetching mapping profiles",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/mapping-profiles/{name}:
+ *   get:
+ *     summary: Get a mapping profile by name
+ *     tags: [Mapping Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: meta-salary-form-v2
+ *     responses:
+ *       200:
+ *         description: Mapping profile
+ *       404:
+ *         description: Profile not found
+ */
+router.get("/:name", async (req, res) => {
+    try {
+        const profile = await MappingProfile.findOne({ name: req.params.name });
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: "Mapping profile not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            data: profile
+        });
+    } catch (error) {
+        console.error("Get mapping profile error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error fetching mapping profile",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/mapping-profiles:
+ *   post:
+ *     summary: Create a mapping profile
+ *     tags: [Mapping Profiles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, fields]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: meta-salary-form-v2
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *               createdBy:
+ *                 type: string
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                       example: phone_number
+ *                     aliases:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["phone_number", "mobile"]
+ *                     transforms:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [trim, digits_only, uppercase, lowercase, date, value_map]
+ *                     date_formats:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["M/D/YY"]
+ *                     value_map:
+ *                       type: object
+ *                       example: { "facebook": "fb", "instagram": "ig" }
+ *     responses:
+ *       201:
+ *         description: Profile created
+ *       400:
+ *         description: Invalid profile
+ *       409:
+ *         description: Name already taken
+ */
+router.post("/", async (req, res) => {
+    try {
+        if (req.body.name === DEFAULT_MAPPING_PROFILE.name) {
+            return res.status(400).json({
+                success: false,
+                message: `'${DEFAULT_MAPPING_PROFILE.name}' is reserved for the built-in profile`
+            });
+        }
+
+        const data = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+        data.created_by = req.body.createdBy || "unknown";
+
+        const profile = await MappingProfile.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: "Mapping profile created",
+            data: profile
+        });
+    } catch (error) {
+        handleWriteError(res, error, "Error creating mapping profile");
+    }
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/mapping-profiles/{name}:
+ *   put:
+ *     summary: Update a mapping profile
+ *     tags: [Mapping Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       description: Any of name, description, fields, active
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Invalid profile
+ *       404:
+ *         description: Profile not found
+ */
+router.put("/:name", async (req, res) => {
+    try {
+        const profile = await MappingProfile.findOne({ name: req.params.name });
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: "Mapping profile not found"
+            });
+        }
+
+        if (req.body.name === DEFAULT_MAPPING_PROFILE.name) {
+            return res.status(400).json({
+                success: false,
+                message: `'${DEFAULT_MAPPING_PROFILE.name}' is reserved for the built-in profile`
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) profile[field] = req.body[field];
+        });
+        await profile.save();
+
+        res.json({
+            success: true,
+            message: "Mapping profile updated",
+            data: profile
+        });
+    } catch (error) {
+        handleWriteError(res, error, "Error updating mapping profile");
+    }
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/mapping-profiles/{name}:
+ *   delete:
+ *     summary: Delete a mapping profile
+ *     tags: [Mapping Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profile deleted
+ *       404:
+ *         description: Profile not found
+ */
+router.delete("/:name", async (req, res) => {
+    try {
+        const profile = await MappingProfile.findOneAndDelete({ name: req.params.name });
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: "Mapping profile not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Mapping profile deleted"
+        });
+    } catch (error) {
+        console.error("Delete mapping profile error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error deleting mapping profile",
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,220 @@
+import express from "express";
+import mongoose from "mongoose";
+import PossibleDuplicate from "../models/PossibleDuplicate.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+import { CONFIRMED_DUPLICATE_REASON } from "../config/fuzzyDuplicates.js";
+import { confirmPossibleDuplicate, dismissConfirmedDuplicate } from "../utils/fuzzyDuplicates.js";
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ["confirmed", "dismissed"];
+const LEAD_SUMMARY_FIELDS = "full_name phone_number pan_number email city pincode created_time lead_created_at is_duplicate original_lead_id";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Possible Duplicates
+ *   description: Review queue of fuzzy duplicate matches between instant form leads
+ */
+
+/**
+ * @swagger
+ * /api/instant-leads/possible-duplicates:
+ *   get:
+ *     summary: List possible duplicates, highest score first
+ *     tags: [Possible Duplicates]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, dismissed]
+ *           default: pending
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Possible duplicate pairs with both leads
+ *       400:
+ *         description: Invalid filter
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { status = "pending", minScore, batchId } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+        if (!["pending", ...REVIEW_STATUSES].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "status must be pending, confirmed or dismissed"
+            });
+        }
+        if (batchId && !mongoose.Types.ObjectId.isValid(batchId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid import batch ID"
+            });
+        }
+
+        const query = { status };
+        if (minScore !== undefined) query.score = { $gte: parseFloat(minScore) || 0 };
+        if (batchId) query.import_batch_id = batchId;
+
+        const [links, total] = await Promise.all([
+            PossibleDuplicate.find(query)
+                .sort({ score: -1, _id: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("lead_id", LEAD_SUMMARY_FIELDS)
+                .populate("candidate_lead_id", LEAD_SUMMARY_FIELDS),
+            PossibleDuplicate.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                possibleDuplicates: links,
+                pagination: {
+                    current: page,
+                    total: Math.ceil(total / limit),
+                    count: links.length,
+                    totalRecords: total
+                }
+            }
+        });
+    } catch (error) {
+        console.error("Get possible duplicates error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error fetching possible duplicates",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/instant-leads/possible-duplicates/{id}:
+ *   patch:
+ *     summary: Confirm or dismiss a possible duplicate
+ *     description: Confirming marks the newer lead as a duplicate of the earlier one; dismissing a confirmed pair re-runs the exact duplicate checks for that lead.
+ *     tags: [Possible Duplicates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, dismissed]
+ *               reviewedBy:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review saved
+ *       400:
+ *         description: Invalid status or ID
+ *       404:
+ *         description: Possible duplicate not found
+ *       409:
+ *         description: One of the leads was deleted
+ */
+router.patch("/:id", async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reviewedBy, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid possible duplicate ID"
+            });
+        }
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "status must be confirmed or dismissed"
+            });
+        }
+
+        const link = await PossibleDuplicate.findById(id);
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: "Possible duplicate not found"
+            });
+        }
+
+        const lead = await InstantFormLead.findById(link.lead_id);
+        const candidate = await InstantFormLead.findById(link.candidate_lead_id).select("_id is_duplicate original_lead_id deleted_at");
+        if (!lead || !candidate) {
+            return res.status(404).json({
+                success: false,
+                message: "One of the leads no longer exists"
+            });
+        }
+        if (lead.deleted_at || candidate.deleted_at) {
+            return res.status(409).json({
+                success: false,
+                message: "One of the leads was deleted"
+            });
+        }
+
+        if (status === "confirmed" && !lead.is_duplicate) {
+            await confirmPossibleDuplicate(lead, candidate);
+        } else if (status === "dismissed" && lead.duplicate_reason === CONFIRMED_DUPLICATE_REASON) {
+            await dismissConfirmedDuplicate(lead, link);
+        }
+
+        link.status = status;
+        link.reviewed_by = reviewedBy || "unknown";
+        link.reviewed_at = new Date();
+        link.review_note = note || null;
+        await link.save();
+
+        console.log(`📋 Possible duplicate ${link._id} ${status} by ${link.reviewed_by}`);
+
+        res.json({
+            success: true,
+            message: `Possible duplicate ${status}`,
+            data: link
+        });
+    } catch (error) {
+        console.error("Review possible duplicate error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Error reviewing possible duplicate",
+            error: error.message
+        });
+    }
+});
+
+export default router;
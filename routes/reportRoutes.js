@@ -1,5 +1,7 @@
 import express from "express";
 import { executeQuery } from "../config/mysqlDb.js";
+import { QUALITY_RULES } from "../config/qualityRules.js";
+import { buildQualitySqlFilter } from "../utils/qualityRules.js";
 
 const router = express.Router();
 
@@ -50,11 +52,11 @@ const router = express.Router();
  *                   example: 963
  *                 totalMarketingLeads:
  *                   type: integer
- *                   description: Total number of marketing leads (utm_campaign = '120237694055210170')
+ *                   description: Total number of marketing leads (utm_campaign = QUALITY_UTM_CAMPAIGN, default '120237694055210170')
  *                   example: 335
  *                 qualityLeads:
  *                   type: integer
- *                   description: Number of quality leads based on criteria
+ *                   description: Number of quality leads (campaign and salary rules of config/qualityRules.js)
  *                   example: 173
  *                 conversionRate:
  *                   type: number
@@ -111,31 +113,27 @@ router.get("/leads", async (req, res) => {
         const totalMarketingLeadsQuery = `
             SELECT COUNT(*) as total 
             FROM leads 
-            WHERE DATE(created_on) BETWEEN ? AND ? AND utm_campaign = '120237694055210170'
+            WHERE DATE(created_on) BETWEEN ? AND ? AND utm_campaign = ?
         `;
         
-        const [totalMarketingLeadsResult] = await executeQuery(totalMarketingLeadsQuery, [startDate, endDate]);
+        const [totalMarketingLeadsResult] = await executeQuery(totalMarketingLeadsQuery, [startDate, endDate, QUALITY_RULES.utmCampaign]);
         console.log(totalMarketingLeadsResult);
         const totalMarketingLeads = totalMarketingLeadsResult?.total || 0;
 
         // Query for quality leads
-        // Quality leads: utm_campaign = '120237694055210170' AND monthly_salary_amount > 35000
+        // Quality leads: campaign and salary rules from config/qualityRules.js
+        const qualityFilter = buildQualitySqlFilter();
         const qualityLeadsQuery = `
             SELECT COUNT(*) as quality 
             FROM leads 
             WHERE DATE(created_on) BETWEEN ? AND ?
-            AND utm_campaign = ?
-            AND monthly_salary_amount > ?
+            AND ${qualityFilter.sql}
         `;
         
-        const utmCampaignId = "120237694055210170";
-        const minSalary = 35000;
-        
         const [qualityLeadsResult] = await executeQuery(qualityLeadsQuery, [
             startDate, 
             endDate, 
-            utmCampaignId, 
-            minSalary
+            ...qualityFilter.params
         ]);
         
         const qualityLeads = qualityLeadsResult?.quality || 0;
@@ -150,12 +148,11 @@ router.get("/leads", async (req, res) => {
             SELECT COUNT(*) as conversion 
             FROM leads 
             WHERE DATE(created_on) BETWEEN ? AND ?
-            AND utm_campaign = ?
-            AND monthly_salary_amount > ?
+            AND ${qualityFilter.sql}
             AND status = 'DISBURSED'
         `;
         
-        const [conversionLeadsResult] = await executeQuery(conversionLeadsQuery, [startDate, endDate, utmCampaignId, minSalary]);
+        const [conversionLeadsResult] = await executeQuery(conversionLeadsQuery, [startDate, endDate, ...qualityFilter.params]);
         console.log(conversionLeadsResult);
         const conversionLeads = conversionLeadsResult?.conversion || 0;
 
@@ -165,10 +162,10 @@ router.get("/leads", async (req, res) => {
   FROM leads le
   LEFT JOIN loan l ON le.lead_id = l.lead_id
   WHERE DATE(le.created_on) BETWEEN ? AND ?
-    AND le.utm_campaign = '120237694055210170';
+    AND le.utm_campaign = ?;
 `;
 
-        const [sumLoanAmountResult] = await executeQuery(sumLoanAmountQuery, [startDate, endDate]);
+        const [sumLoanAmountResult] = await executeQuery(sumLoanAmountQuery, [startDate, endDate, QUALITY_RULES.utmCampaign]);
         console.log(sumLoanAmountResult);
         const sumLoanAmount = sumLoanAmountResult?.total_loan_amount || 0;
 
@@ -210,17 +207,14 @@ router.get("/leads/stats", async (req, res) => {
         const totalLeads = totalLeadsResult?.total || 0;
 
         // Get quality leads count
+        const qualityFilter = buildQualitySqlFilter();
         const qualityLeadsQuery = `
             SELECT COUNT(*) as quality 
             FROM leads 
-            WHERE utm_campaign = ? 
-            AND monthly_salary_amount > ?
+            WHERE ${qualityFilter.sql}
         `;
         
-        const utmCampaignId = "120237694055210170";
-        const minSalary = 35000;
-        
-        const [qualityLeadsResult] = await executeQuery(qualityLeadsQuery, [utmCampaignId, minSalary]);
+        const [qualityLeadsResult] = await executeQuery(qualityLeadsQuery, qualityFilter.params);
         const qualityLeads = qualityLeadsResult?.quality || 0;
 
         // Calculate conversion rate
@@ -0,0 +1,93 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+import { parseLeadTimestamp } from "../utils/leadDates.js";
+import { validateLeadFields } from "../utils/leadValidation.js";
+
+/**
+ * One-off backfill: parse created_time into lead_created_at for leads stored
+ * before lead timestamps were parsed on import, and move the created_time
+ * index to lead_created_at.
+ *
+ * Leads whose created_time cannot be parsed keep lead_created_at null and get
+ * a created_time validation warning.
+ *
+ * Usage: node scripts/backfill-lead-created-at.js
+ */
+
+const BATCH_SIZE = 1000;
+const MAX_LOGGED_INVALID = 50;
+
+const backfillLeadDates = async () => {
+    const summary = { scanned: 0, parsed: 0, unparseable: 0 };
+    let lastId = null;
+
+    while (true) {
+        const filter = { lead_created_at: null };
+        if (lastId) filter._id = { $gt: lastId };
+
+        const leads = await InstantFormLead.find(filter)
+            .select("_id created_time")
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const operations = leads.map(lead => {
+            const leadCreatedAt = parseLeadTimestamp(lead.created_time);
+
+            if (leadCreatedAt) {
+                summary.parsed++;
+                return {
+                    updateOne: {
+                        filter: { _id: lead._id },
+                        update: { $set: { lead_created_at: leadCreatedAt } }
+                    }
+                };
+            }
+
+            summary.unparseable++;
+            if (summary.unparseable <= MAX_LOGGED_INVALID) {
+                console.log(`⚠️ Lead ${lead._id}: cannot parse created_time '${lead.created_time}'`);
+            }
+
+            const warnings = validateLeadFields({ created_time: lead.created_time, lead_created_at: null });
+            return {
+                updateOne: {
+                    filter: { _id: lead._id },
+                    update: { $addToSet: { validation_warnings: { $each: warnings } } }
+                }
+            };
+        });
+
+        await InstantFormLead.bulkWrite(operations, { ordered: false });
+
+        summary.scanned += leads.length;
+        lastId = leads[leads.length - 1]._id;
+        console.log(`📊 ${summary.scanned} leads processed`);
+    }
+
+    return summary;
+};
+
+const run = async () => {
+    await connectDB();
+
+    console.log("📋 Parsing created_time of stored leads...");
+    const summary = await backfillLeadDates();
+    console.log("✅ Lead dates backfilled:", summary);
+
+    // Drops the old created_time index and builds the lead_created_at one
+    const dropped = await InstantFormLead.syncIndexes();
+    console.log("✅ Indexes synced, dropped:", dropped);
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Lead date backfill failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
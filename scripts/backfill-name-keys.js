@@ -0,0 +1,66 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+import { normalizeName } from "../utils/nameMatching.js";
+
+/**
+ * One-off backfill: set name_key on leads stored before the fuzzy duplicate
+ * pass, so they can be found as name candidates.
+ *
+ * Usage: node scripts/backfill-name-keys.js
+ */
+
+const BATCH_SIZE = 1000;
+
+const backfillNameKeys = async () => {
+    const summary = { scanned: 0, named: 0 };
+    let lastId = null;
+
+    while (true) {
+        const filter = { name_key: null };
+        if (lastId) filter._id = { $gt: lastId };
+
+        const leads = await InstantFormLead.find(filter)
+            .select("_id full_name first_name last_name")
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const operations = leads
+            .map(lead => ({ _id: lead._id, nameKey: normalizeName(lead) }))
+            .filter(({ nameKey }) => nameKey)
+            .map(({ _id, nameKey }) => ({
+                updateOne: { filter: { _id }, update: { $set: { name_key: nameKey } } }
+            }));
+
+        if (operations.length > 0) {
+            await InstantFormLead.bulkWrite(operations, { ordered: false });
+        }
+
+        summary.scanned += leads.length;
+        summary.named += operations.length;
+        lastId = leads[leads.length - 1]._id;
+        console.log(`📊 ${summary.scanned} leads processed`);
+    }
+
+    return summary;
+};
+
+const run = async () => {
+    await connectDB();
+
+    console.log("📋 Setting name_key on stored leads...");
+    const summary = await backfillNameKeys();
+    console.log("✅ Name keys backfilled:", summary);
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Name key backfill failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
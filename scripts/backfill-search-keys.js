@@ -0,0 +1,77 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+
+/**
+ * One-off backfill: store the email lowercase, the PAN uppercase and the
+ * city / state keys of leads stored before the lead list searched and filtered
+ * on them, so those leads are found by the indexed search and filters.
+ *
+ * Leads whose emails or PANs only differed by case are not flagged as
+ * duplicates of each other afterwards; only new imports and edits are.
+ *
+ * Usage: node scripts/backfill-search-keys.js
+ */
+
+const BATCH_SIZE = 1000;
+
+const textKey = (value) => String(value || "").trim().toLowerCase() || null;
+
+const searchFields = (lead) => ({
+    email: lead.email ? lead.email.trim().toLowerCase() : lead.email,
+    pan_number: lead.pan_number ? lead.pan_number.trim().toUpperCase() : lead.pan_number,
+    city_key: textKey(lead.city),
+    state_key: textKey(lead.state)
+});
+
+const backfillSearchKeys = async () => {
+    const summary = { scanned: 0, updated: 0 };
+    let lastId = null;
+
+    while (true) {
+        const filter = lastId ? { _id: { $gt: lastId } } : {};
+
+        const leads = await InstantFormLead.find(filter)
+            .select("_id email pan_number city state city_key state_key")
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const operations = leads
+            .map(lead => ({ lead, fields: searchFields(lead) }))
+            .filter(({ lead, fields }) => Object.entries(fields).some(([field, value]) => (lead[field] ?? null) !== (value ?? null)))
+            .map(({ lead, fields }) => ({
+                updateOne: { filter: { _id: lead._id }, update: { $set: fields } }
+            }));
+
+        if (operations.length > 0) {
+            await InstantFormLead.bulkWrite(operations, { ordered: false });
+        }
+
+        summary.scanned += leads.length;
+        summary.updated += operations.length;
+        lastId = leads[leads.length - 1]._id;
+        console.log(`📊 ${summary.scanned} leads processed`);
+    }
+
+    return summary;
+};
+
+const run = async () => {
+    await connectDB();
+
+    console.log("📋 Normalizing search fields of stored leads...");
+    const summary = await backfillSearchKeys();
+    console.log("✅ Search fields backfilled:", summary);
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Search field backfill failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
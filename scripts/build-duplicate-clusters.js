@@ -0,0 +1,32 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+import DuplicateCluster from "../models/DuplicateCluster.js";
+import { assignDuplicateClustersWhere } from "../utils/duplicateClusters.js";
+
+/**
+ * One-off backfill: group duplicates stored before duplicate clusters into
+ * clusters, each with its original as golden record. Safe to run again,
+ * leads already clustered are left where they are.
+ *
+ * Usage: node scripts/build-duplicate-clusters.js
+ */
+
+const run = async () => {
+    await connectDB();
+    await InstantFormLead.syncIndexes();
+    await DuplicateCluster.syncIndexes();
+
+    console.log("📋 Clustering stored duplicates...");
+    const summary = await assignDuplicateClustersWhere({});
+    console.log("✅ Duplicate clusters built:", summary);
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Duplicate cluster backfill failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
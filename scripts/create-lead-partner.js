@@ -0,0 +1,45 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import LeadPartner from "../models/LeadPartner.js";
+import { generatePartnerCredentials } from "../utils/partnerLeads.js";
+
+/**
+ * Create a partner for POST /api/instant-leads, or issue new credentials to
+ * an existing one. The API key is printed once and only stored hashed.
+ *
+ * Usage: node scripts/create-lead-partner.js <name> [--platform=<platform>] [--ad-id=<ad id>] [--profile=<mapping profile>]
+ */
+
+const option = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split("=").slice(1).join("=") || null;
+
+const run = async () => {
+    const name = process.argv[2];
+    if (!name || name.startsWith("--")) {
+        console.error("Usage: node scripts/create-lead-partner.js <name> [--platform=<platform>] [--ad-id=<ad id>] [--profile=<mapping profile>]");
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    const { apiKey, apiKeyHash, signingSecret } = generatePartnerCredentials();
+    const update = { api_key_hash: apiKeyHash, signing_secret: signingSecret, active: true };
+    if (option("platform")) update.default_platform = option("platform");
+    if (option("ad-id")) update.default_ad_id = option("ad-id");
+    if (option("profile")) update.mapping_profile = option("profile");
+
+    const partner = await LeadPartner.findOneAndUpdate({ name }, { $set: update }, { upsert: true, new: true });
+
+    console.log(`✅ Partner ${partner.name} (${partner._id})`);
+    console.log(`   API key:        ${apiKey}`);
+    console.log(`   Signing secret: ${signingSecret}`);
+    console.log("⚠️ Store both now, the API key cannot be shown again");
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Creating partner failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
@@ -0,0 +1,117 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+import { normalizeIndianMobile } from "../utils/phoneNumbers.js";
+import { reevaluateDuplicates, DEDUP_LEAD_FIELDS } from "../utils/instantLeadImporter.js";
+
+/**
+ * One-off migration: fill phone_raw / phone_canonical / phone_e164 on leads
+ * stored before phone normalization, and move the phone indexes to phone_canonical.
+ *
+ * Usage: node scripts/migrate-phone-numbers.js [--recheck-duplicates]
+ *
+ * --recheck-duplicates re-runs duplicate evaluation for leads that now share a
+ * canonical number (e.g. "919034955557" and "9034955557" stored as two originals).
+ */
+
+const BATCH_SIZE = 1000;
+const MAX_LOGGED_INVALID = 50;
+
+const backfillPhoneNumbers = async () => {
+    const summary = { scanned: 0, normalized: 0, invalid: 0 };
+    let lastId = null;
+
+    while (true) {
+        const filter = { phone_canonical: null };
+        if (lastId) filter._id = { $gt: lastId };
+
+        const leads = await InstantFormLead.find(filter)
+            .select("_id phone_number phone_raw")
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const operations = leads.map(lead => {
+            const raw = lead.phone_raw || lead.phone_number;
+            const phone = normalizeIndianMobile(raw);
+
+            if (!phone.valid) {
+                summary.invalid++;
+                if (summary.invalid <= MAX_LOGGED_INVALID) {
+                    console.log(`⚠️ Lead ${lead._id}: ${phone.reason}`);
+                }
+            } else {
+                summary.normalized++;
+            }
+
+            return {
+                updateOne: {
+                    filter: { _id: lead._id },
+                    update: { $set: { phone_raw: raw, phone_canonical: phone.mobile, phone_e164: phone.e164 } }
+                }
+            };
+        });
+
+        await InstantFormLead.bulkWrite(operations, { ordered: false });
+
+        summary.scanned += leads.length;
+        lastId = leads[leads.length - 1]._id;
+        console.log(`📊 ${summary.scanned} leads processed`);
+    }
+
+    return summary;
+};
+
+const recheckDuplicates = async () => {
+    const groups = await InstantFormLead.aggregate([
+        { $match: { phone_canonical: { $ne: null }, deleted_at: null } },
+        { $group: { _id: "$phone_canonical", count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]).allowDiskUse(true);
+
+    const summary = { repointed: 0, promoted: 0, reEngaged: 0 };
+
+    for (let start = 0; start < groups.length; start += BATCH_SIZE) {
+        const phones = groups.slice(start, start + BATCH_SIZE).map(group => group._id);
+        // Soft-deleted leads are out of dedup, they must not become originals again
+        const leads = await InstantFormLead.find({ phone_canonical: { $in: phones }, deleted_at: null })
+            .select(DEDUP_LEAD_FIELDS)
+            .lean();
+
+        const result = await reevaluateDuplicates(leads);
+        summary.repointed += result.repointed;
+        summary.promoted += result.promoted;
+        summary.reEngaged += result.reEngaged;
+    }
+
+    return { sharedNumbers: groups.length, ...summary };
+};
+
+const run = async () => {
+    await connectDB();
+
+    console.log("📋 Normalizing stored phone numbers...");
+    const backfill = await backfillPhoneNumbers();
+    console.log("✅ Phone numbers normalized:", backfill);
+
+    // Drops the old phone_number indexes and builds the phone_canonical ones
+    const dropped = await InstantFormLead.syncIndexes();
+    console.log("✅ Indexes synced, dropped:", dropped);
+
+    if (process.argv.includes("--recheck-duplicates")) {
+        console.log("📋 Re-checking duplicates on canonical phone numbers...");
+        const duplicates = await recheckDuplicates();
+        console.log("✅ Duplicates re-checked:", duplicates);
+    }
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Phone number migration failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
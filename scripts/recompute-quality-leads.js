@@ -0,0 +1,77 @@
+import "dotenv/config.js";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstantFormLead from "../models/InstantFormLead.js";
+import { QUALITY_RULES } from "../config/qualityRules.js";
+import { applyQualityRules } from "../utils/qualityRules.js";
+
+/**
+ * Re-evaluate quality_lead for leads scored with another rule version than the
+ * current QUALITY_RULES.version (or never scored).
+ *
+ * Usage: node scripts/recompute-quality-leads.js [--all]
+ *
+ * --all re-evaluates every lead, e.g. after editing the rules without bumping the version.
+ */
+
+const BATCH_SIZE = 1000;
+
+const recomputeQualityLeads = async (all) => {
+    const summary = { scanned: 0, quality: 0, notQuality: 0 };
+    let lastId = null;
+
+    while (true) {
+        const filter = all ? {} : { quality_rule_version: { $ne: QUALITY_RULES.version } };
+        if (lastId) filter._id = { $gt: lastId };
+
+        const leads = await InstantFormLead.find(filter)
+            .select("_id what_is_your_monthly_salary age city state platform")
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const operations = leads.map(lead => {
+            const { qualityLead, salaryValue, ruleVersion } = applyQualityRules({ ...lead });
+            qualityLead ? summary.quality++ : summary.notQuality++;
+
+            return {
+                updateOne: {
+                    filter: { _id: lead._id },
+                    update: {
+                        $set: {
+                            quality_lead: qualityLead,
+                            salary_numeric_value: salaryValue,
+                            quality_rule_version: ruleVersion
+                        }
+                    }
+                }
+            };
+        });
+
+        await InstantFormLead.bulkWrite(operations, { ordered: false });
+
+        summary.scanned += leads.length;
+        lastId = leads[leads.length - 1]._id;
+        console.log(`📊 ${summary.scanned} leads processed`);
+    }
+
+    return summary;
+};
+
+const run = async () => {
+    await connectDB();
+
+    console.log(`📋 Evaluating quality leads with rules ${QUALITY_RULES.version}...`);
+    const summary = await recomputeQualityLeads(process.argv.includes("--all"));
+    console.log("✅ Quality leads recomputed:", summary);
+
+    await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+    console.error("❌ Quality lead recompute failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
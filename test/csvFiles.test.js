@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeTextFile, detectDelimiter } from '../utils/instantLeadImporter.js';
+
+const header = 'full_name,phone_number\nRamesh Kumar,9876543210\n';
+const utf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+test('text exports are decoded from every encoding they arrive in', () => {
+    const cases = [
+        ['UTF-8', Buffer.from(header, 'utf8'), header],
+        ['UTF-8 with BOM', Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(header, 'utf8')]), header],
+        ['UTF-8 with non-ASCII text', Buffer.from('city\nBengaluru – Karnātaka\n', 'utf8'), 'city\nBengaluru – Karnātaka\n'],
+        ['UTF-16LE with BOM', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(header, 'utf16le')]), header],
+        ['UTF-16BE with BOM', Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(header)]), header],
+        ['UTF-16LE without BOM', Buffer.from(header, 'utf16le'), header],
+        ['UTF-16BE without BOM', utf16be(header), header],
+        ['Windows-1252', Buffer.from([0x63, 0x61, 0x66, 0xE9, 0x0A]), 'café\n'],
+        ['empty file', Buffer.alloc(0), '']
+    ];
+
+    cases.forEach(([encoding, buffer, expected]) => {
+        assert.equal(decodeTextFile(buffer), expected, encoding);
+    });
+});
+
+test('the delimiter is the one splitting the header line into the most columns', () => {
+    const cases = [
+        ['full_name,phone_number,city\nA,1,B', ','],
+        ['full_name\tphone_number\tcity\nA\t1\tB', '\t'],
+        ['full_name;phone_number;city\r\nA;1;B', ';'],
+        ['full_name|phone_number|city\nA|1|B', '|'],
+        // Delimiters inside quoted headers do not count
+        ['"salary, monthly";"city, state";phone\n1;2;3', ';'],
+        // Only the header line counts, not the rows below it
+        ['full_name;phone_number\nKumar, Ramesh;9876543210', ';'],
+        ['full_name\nRamesh', ','],
+        ['', ',']
+    ];
+
+    cases.forEach(([text, expected]) => {
+        assert.equal(detectDelimiter(text), expected, JSON.stringify(text));
+    });
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DuplicateCluster from '../models/DuplicateCluster.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { mergeDuplicateCluster } from '../utils/duplicateClusters.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const lead = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    created_time: '2025-01-01T10:00:00+0530',
+    ad_id: 'ad-1',
+    platform: 'fb',
+    what_is_your_monthly_salary: '₹50,000 - ₹75,000',
+    phone_number: '9876543210',
+    is_duplicate: false,
+    duplicate_reason: null,
+    original_lead_id: null,
+    duplicate_cluster_id: null,
+    is_golden_record: false,
+    deleted_at: null,
+    ...fields
+});
+
+const cluster = (goldenLeadId) => ({ _id: new mongoose.Types.ObjectId(), golden_lead_id: goldenLeadId, member_count: 2 });
+
+const merge = async (t, { leads, clusters, ...options }) => {
+    const leadStore = useMemoryCollection(t, InstantFormLead, leads);
+    const clusterStore = useMemoryCollection(t, DuplicateCluster, clusters);
+    const mergedCluster = await DuplicateCluster.findById(clusters[clusters.length - 1]._id);
+
+    const result = await mergeDuplicateCluster(mergedCluster, { mergedBy: 'tester', ...options });
+    return { leadStore, clusterStore, result };
+};
+
+test('a golden record that takes the PAN of an earlier lead becomes its duplicate and joins its cluster', async (t) => {
+    const earlierCluster = cluster(null);
+    const earlier = lead({ phone_canonical: '9000000001', pan_number: 'ABCDE1234F', duplicate_cluster_id: earlierCluster._id, is_golden_record: true });
+    const earlierDuplicate = lead({
+        phone_canonical: '9000000001', is_duplicate: true, duplicate_reason: 'Phone number already exists',
+        original_lead_id: earlier._id, duplicate_cluster_id: earlierCluster._id
+    });
+    earlierCluster.golden_lead_id = earlier._id;
+
+    const mergedCluster = cluster(null);
+    const golden = lead({ phone_canonical: '9000000002', duplicate_cluster_id: mergedCluster._id, is_golden_record: true });
+    const member = lead({
+        phone_canonical: '9000000002', pan_number: 'ABCDE1234F', is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: golden._id, duplicate_cluster_id: mergedCluster._id
+    });
+    mergedCluster.golden_lead_id = golden._id;
+
+    const { leadStore, clusterStore, result } = await merge(t, {
+        leads: [earlier, earlierDuplicate, golden, member],
+        clusters: [earlierCluster, mergedCluster]
+    });
+
+    const merged = leadStore.get(golden._id);
+    assert.equal(merged.pan_number, 'ABCDE1234F');
+    assert.equal(merged.is_duplicate, true);
+    assert.equal(merged.duplicate_reason, 'PAN number already exists');
+    assert.equal(String(merged.original_lead_id), String(earlier._id));
+    assert.equal(String(result.duplicateOf), String(earlier._id));
+
+    // Both clusters are one now, around the earlier lead
+    [earlier, earlierDuplicate, golden, member].forEach(({ _id }) => {
+        assert.equal(String(leadStore.get(_id).duplicate_cluster_id), String(earlierCluster._id));
+    });
+    assert.equal(leadStore.get(golden._id).is_golden_record, false);
+    assert.equal(clusterStore.get(mergedCluster._id), undefined);
+    assert.equal(clusterStore.get(earlierCluster._id).member_count, 4);
+});
+
+test('a golden record whose merged values are its own stays an original', async (t) => {
+    const mergedCluster = cluster(null);
+    const golden = lead({ phone_canonical: '9000000002', duplicate_cluster_id: mergedCluster._id, is_golden_record: true });
+    const member = lead({
+        phone_canonical: '9000000002', email: 'someone@example.com', is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: golden._id, duplicate_cluster_id: mergedCluster._id
+    });
+    mergedCluster.golden_lead_id = golden._id;
+
+    const { leadStore, result } = await merge(t, { leads: [golden, member], clusters: [mergedCluster] });
+
+    const merged = leadStore.get(golden._id);
+    assert.equal(merged.email, 'someone@example.com');
+    assert.equal(merged.is_duplicate, false);
+    assert.equal(merged.is_golden_record, true);
+    assert.equal(result.duplicateOf, null);
+    assert.equal(String(leadStore.get(member._id).original_lead_id), String(golden._id));
+});
+
+test('soft-deleted members are not merged', async (t) => {
+    const mergedCluster = cluster(null);
+    const golden = lead({ phone_canonical: '9000000002', duplicate_cluster_id: mergedCluster._id, is_golden_record: true });
+    const deleted = lead({
+        phone_canonical: '9000000002', pan_number: 'ABCDE1234F', is_duplicate: true, original_lead_id: golden._id,
+        duplicate_cluster_id: mergedCluster._id, deleted_at: new Date()
+    });
+    mergedCluster.golden_lead_id = golden._id;
+
+    const { leadStore, result } = await merge(t, { leads: [golden, deleted], clusters: [mergedCluster] });
+
+    assert.equal(result.memberCount, 1);
+    assert.equal(leadStore.get(golden._id).pan_number ?? null, null);
+    assert.ok(result.mergedFields.every(({ source_lead_id }) => String(source_lead_id) === String(golden._id)));
+});
+
+test('a newer golden record gets the merged values while the earliest member stays the original', async (t) => {
+    const mergedCluster = cluster(null);
+    const original = lead({ phone_canonical: '9000000002', duplicate_cluster_id: mergedCluster._id, is_golden_record: true });
+    const golden = lead({
+        phone_canonical: '9000000002', email: 'someone@example.com', is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: original._id, duplicate_cluster_id: mergedCluster._id
+    });
+    mergedCluster.golden_lead_id = original._id;
+
+    const { leadStore, clusterStore, result } = await merge(t, {
+        leads: [original, golden],
+        clusters: [mergedCluster],
+        goldenLeadId: golden._id
+    });
+
+    assert.equal(String(result.originalLeadId), String(original._id));
+    assert.equal(leadStore.get(original._id).is_duplicate, false);
+    assert.equal(leadStore.get(original._id).is_golden_record, false);
+    assert.equal(leadStore.get(golden._id).is_golden_record, true);
+    assert.equal(leadStore.get(golden._id).is_duplicate, true);
+    assert.equal(String(leadStore.get(golden._id).original_lead_id), String(original._id));
+    assert.equal(String(clusterStore.get(mergedCluster._id).golden_lead_id), String(golden._id));
+});
+
+test('additional_data keys with dots are merged as keys, not nested paths', async (t) => {
+    const mergedCluster = cluster(null);
+    const golden = lead({ phone_canonical: '9000000002', duplicate_cluster_id: mergedCluster._id, is_golden_record: true, additional_data: { 'Q1. Income': '40000' } });
+    const member = lead({
+        phone_canonical: '9000000002', is_duplicate: true, original_lead_id: golden._id, duplicate_cluster_id: mergedCluster._id,
+        lead_created_at: new Date('2025-02-01'), additional_data: { 'Q1. Income': '60000', 'utm.source': 'fb' }
+    });
+    mergedCluster.golden_lead_id = golden._id;
+
+    const { leadStore } = await merge(t, { leads: [golden, member], clusters: [mergedCluster] });
+
+    assert.deepEqual(leadStore.get(golden._id).additional_data, { 'Q1. Income': '60000', 'utm.source': 'fb' });
+});
+
+test('a golden lead outside the cluster is refused', async (t) => {
+    const mergedCluster = cluster(null);
+    const golden = lead({ phone_canonical: '9000000002', duplicate_cluster_id: mergedCluster._id, is_golden_record: true });
+    const member = lead({ phone_canonical: '9000000002', is_duplicate: true, original_lead_id: golden._id, duplicate_cluster_id: mergedCluster._id });
+    const stranger = lead({ phone_canonical: '9000000003' });
+    mergedCluster.golden_lead_id = golden._id;
+
+    const { leadStore, result } = await merge(t, {
+        leads: [golden, member, stranger],
+        clusters: [mergedCluster],
+        goldenLeadId: stranger._id
+    });
+
+    assert.equal(result, null);
+    assert.equal(leadStore.get(stranger._id).is_golden_record, false);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FUZZY_DUPLICATE_SETTINGS } from '../config/fuzzyDuplicates.js';
+import { scoreLeadPair, phoneOneEditVariants } from '../utils/fuzzyDuplicates.js';
+
+const lead = {
+    name_key: 'rahul sharma',
+    phone_canonical: '9876543210',
+    pan_number: 'ABCDE1234F',
+    city: 'Pune',
+    pincode: '411001'
+};
+
+// Candidate that shares only the given signals with `lead`
+const candidateWith = (...signals) => ({
+    name_key: signals.includes('name') ? 'rahul sarma' : 'anita verma',
+    phone_canonical: signals.includes('phone_one_edit') ? '9876543211' : '9123456780',
+    pan_number: signals.includes('pan_one_char') ? 'ABCDE1235F' : 'PQRST6789Z',
+    city: signals.includes('same_city') || signals.includes('same_pincode') ? 'pune' : 'Nagpur',
+    pincode: signals.includes('same_pincode') ? '411001' : '440001'
+});
+
+const flagged = (...signals) => {
+    const { score, reasons } = scoreLeadPair(lead, candidateWith(...signals));
+    assert.deepEqual(reasons, signals);
+    return score >= FUZZY_DUPLICATE_SETTINGS.minScore;
+};
+
+test('a similar name with one more signal is a possible duplicate', () => {
+    assert.equal(flagged('name', 'same_pincode'), true);
+    assert.equal(flagged('name', 'same_city'), true);
+    assert.equal(flagged('name', 'phone_one_edit'), true);
+    assert.equal(flagged('name', 'pan_one_char'), true);
+});
+
+test('phone and PAN typos together are a possible duplicate without a name', () => {
+    assert.equal(flagged('phone_one_edit', 'pan_one_char'), true);
+});
+
+test('no signal is enough on its own', () => {
+    ['name', 'same_pincode', 'same_city', 'phone_one_edit', 'pan_one_char'].forEach(signal => {
+        assert.equal(flagged(signal), false, signal);
+    });
+});
+
+test('a typo in phone or PAN with only the same place is not enough', () => {
+    assert.equal(flagged('same_pincode', 'phone_one_edit'), false);
+    assert.equal(flagged('same_pincode', 'pan_one_char'), false);
+    assert.equal(flagged('same_city', 'phone_one_edit'), false);
+});
+
+test('the least similar name still passing the name check passes with the same city', () => {
+    const { score, nameSimilarity, reasons } = scoreLeadPair(lead, { name_key: 'rohit sharma', city: 'Pune' });
+    assert.equal(nameSimilarity, 0.85);
+    assert.deepEqual(reasons, ['name', 'same_city']);
+    assert.ok(score >= FUZZY_DUPLICATE_SETTINGS.minScore);
+});
+
+test('phone variants are one digit away or two neighbouring digits swapped', () => {
+    const variants = phoneOneEditVariants('9876543210');
+    assert.ok(variants.includes('9876543211'));
+    assert.ok(variants.includes('8976543210'));
+    assert.ok(!variants.includes('9876543210'));
+    assert.ok(!variants.includes('9876543222'));
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GOOGLE_LEAD_FORMS } from '../config/leadWebhooks.js';
+import { verifyGoogleKey, googleLeadToRow } from '../utils/googleLeadForms.js';
+
+test('deliveries carrying the configured key are accepted, others rejected', () => {
+    assert.equal(verifyGoogleKey('form-key', 'form-key'), true);
+    assert.equal(verifyGoogleKey('form-kez', 'form-key'), false);
+    assert.equal(verifyGoogleKey('form-key-longer', 'form-key'), false);
+    assert.equal(verifyGoogleKey(undefined, 'form-key'), false);
+});
+
+test('no delivery is accepted while no key is configured', () => {
+    assert.equal(verifyGoogleKey('', ''), false);
+    assert.equal(verifyGoogleKey('anything', ''), false);
+});
+
+test('standard columns map onto lead fields and custom questions keep their column id', () => {
+    const row = googleLeadToRow({
+        lead_id: 'lead-1',
+        lead_submit_time: '2025-01-01 10:00:00+05:30',
+        creative_id: 42,
+        form_id: 7,
+        user_column_data: [
+            { column_id: 'FULL_NAME', string_value: 'Test Lead' },
+            { column_id: 'PHONE_NUMBER', string_value: '+919876543210' },
+            { column_id: 'monthly_salary_question', string_value: '50000' }
+        ]
+    });
+
+    assert.equal(row.ad_id, '42');
+    assert.equal(row.form_id, '7');
+    assert.equal(row.platform, GOOGLE_LEAD_FORMS.platform);
+    assert.equal(row.created_time, '2025-01-01 10:00:00+05:30');
+    assert.equal(row.monthly_salary_question, '50000');
+    assert.ok(Object.values(row).includes('Test Lead'));
+    assert.ok(Object.values(row).includes('+919876543210'));
+});
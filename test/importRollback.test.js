@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import InstantFormLead from '../models/InstantFormLead.js';
+import PossibleDuplicate from '../models/PossibleDuplicate.js';
+import { rollbackImportBatch } from '../utils/instantLeadImporter.js';
+import { DEDUP_WINDOWS, RE_ENGAGED_REASON } from '../config/dedupWindows.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const rolledBackBatch = new mongoose.Types.ObjectId();
+const laterBatch = new mongoose.Types.ObjectId();
+
+const lead = (batchId, fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    import_batch_id: batchId,
+    platform: 'fb',
+    is_duplicate: false,
+    duplicate_reason: null,
+    original_lead_id: null,
+    duplicate_cluster_id: null,
+    deleted_at: null,
+    ...fields
+});
+
+const duplicateOf = (original, batchId, fields) => lead(batchId, {
+    is_duplicate: true,
+    duplicate_reason: 'Phone number already exists',
+    original_lead_id: original._id,
+    ...fields
+});
+
+const rollBack = async (t, leads) => {
+    const store = useMemoryCollection(t, InstantFormLead, leads);
+    useMemoryCollection(t, PossibleDuplicate);
+    const batch = { _id: rolledBackBatch, save: async () => {} };
+
+    const result = await rollbackImportBatch(batch, 'tester');
+    return { store, batch, result };
+};
+
+test('rolling back an original promotes its first later duplicate and re-points the second to it', async (t) => {
+    const original = lead(rolledBackBatch, { phone_canonical: '9876543210' });
+    const first = duplicateOf(original, laterBatch, { phone_canonical: '9876543210' });
+    const second = duplicateOf(original, laterBatch, { phone_canonical: '9876543210' });
+
+    const { store, batch, result } = await rollBack(t, [original, first, second]);
+
+    assert.equal(store.get(original._id), undefined);
+
+    const promoted = store.get(first._id);
+    assert.equal(promoted.is_duplicate, false);
+    assert.equal(promoted.original_lead_id, null);
+
+    const repointed = store.get(second._id);
+    assert.equal(repointed.is_duplicate, true);
+    assert.equal(repointed.duplicate_reason, 'Phone number already exists');
+    assert.equal(String(repointed.original_lead_id), String(first._id));
+
+    assert.deepEqual(result, { deletedLeads: 1, repointedDuplicates: 1, promotedOriginals: 1, reEngagedLeads: 0 });
+    assert.equal(batch.status, 'rolled_back');
+});
+
+test('later duplicates are re-pointed to an earlier original that stays', async (t) => {
+    const earliest = lead(new mongoose.Types.ObjectId(), { phone_canonical: '9876543210' });
+    const original = lead(rolledBackBatch, { phone_canonical: '9876543210', pan_number: 'ABCDE1234F' });
+    const first = duplicateOf(original, laterBatch, { pan_number: 'ABCDE1234F', duplicate_reason: 'PAN number already exists' });
+    const second = duplicateOf(original, laterBatch, { phone_canonical: '9876543210' });
+
+    const { store, result } = await rollBack(t, [earliest, original, first, second]);
+
+    // Only the rolled back lead held the PAN: the first becomes an original
+    assert.equal(store.get(first._id).is_duplicate, false);
+    assert.equal(String(store.get(second._id).original_lead_id), String(earliest._id));
+    assert.equal(result.promotedOriginals, 1);
+    assert.equal(result.repointedDuplicates, 1);
+});
+
+test('a duplicate matching a promoted lead by PAN follows it', async (t) => {
+    const original = lead(rolledBackBatch, { phone_canonical: '9876543210' });
+    const first = duplicateOf(original, laterBatch, { phone_canonical: '9876543210', pan_number: 'ABCDE1234F' });
+    const second = duplicateOf(original, laterBatch, { phone_canonical: '9876543210', pan_number: 'ABCDE1234F' });
+    const third = duplicateOf(first, laterBatch, { pan_number: 'ABCDE1234F', duplicate_reason: 'PAN number already exists' });
+
+    const { store } = await rollBack(t, [original, first, second, third]);
+
+    assert.equal(store.get(first._id).is_duplicate, false);
+    assert.equal(String(store.get(second._id).original_lead_id), String(first._id));
+    // Not a dependent of the rolled back lead: left as it was
+    assert.equal(String(store.get(third._id).original_lead_id), String(first._id));
+    assert.equal(store.docs.filter(doc => doc.is_duplicate === false).length, 1);
+});
+
+test('with a dedup window, a later duplicate sees the re-engagement of an earlier one', async (t) => {
+    DEDUP_WINDOWS.platformDays.fb = 30;
+    t.after(() => delete DEDUP_WINDOWS.platformDays.fb);
+
+    const day = (days) => new Date(Date.UTC(2025, 0, 1) + days * 24 * 60 * 60 * 1000);
+    const earliest = lead(new mongoose.Types.ObjectId(), { phone_canonical: '9876543210', lead_created_at: day(0) });
+    const original = lead(rolledBackBatch, {
+        phone_canonical: '9876543210', lead_created_at: day(40), duplicate_reason: RE_ENGAGED_REASON, original_lead_id: earliest._id
+    });
+    const first = duplicateOf(original, laterBatch, { phone_canonical: '9876543210', lead_created_at: day(50) });
+    const second = duplicateOf(original, laterBatch, { phone_canonical: '9876543210', lead_created_at: day(60) });
+
+    const { store, result } = await rollBack(t, [earliest, original, first, second]);
+
+    // 50 days after the earliest lead: a re-engagement, and the latest engagement for the second
+    const reEngaged = store.get(first._id);
+    assert.equal(reEngaged.is_duplicate, false);
+    assert.equal(reEngaged.duplicate_reason, RE_ENGAGED_REASON);
+    assert.equal(String(reEngaged.original_lead_id), String(earliest._id));
+
+    const repointed = store.get(second._id);
+    assert.equal(repointed.is_duplicate, true);
+    assert.equal(String(repointed.original_lead_id), String(first._id));
+    assert.deepEqual(result, { deletedLeads: 1, repointedDuplicates: 1, promotedOriginals: 0, reEngagedLeads: 1 });
+});
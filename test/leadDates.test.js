@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLeadTimestamp } from '../utils/leadDates.js';
+
+test('created_time is parsed from every format leads are exported in', () => {
+    const cases = [
+        // ISO 8601, the offset wins over LEAD_TIMEZONE
+        ['2025-01-15T10:00:00+05:30', '2025-01-15T04:30:00.000Z'],
+        ['2025-01-15T10:00:00+0530', '2025-01-15T04:30:00.000Z'],
+        ['2025-01-15T10:00:00Z', '2025-01-15T10:00:00.000Z'],
+        // No offset: wall-clock time in Asia/Kolkata
+        ['2025-01-15T10:00:00', '2025-01-15T04:30:00.000Z'],
+        ['2025-01-15', '2025-01-14T18:30:00.000Z'],
+        ['2025-01-15 14:05', '2025-01-15T08:35:00.000Z'],
+        ['2025-01-15 14:05:30', '2025-01-15T08:35:30.000Z'],
+        // Month first, as typed into Excel
+        ['1/15/25', '2025-01-14T18:30:00.000Z'],
+        ['01/15/2025', '2025-01-14T18:30:00.000Z'],
+        ['01/05/25', '2025-01-04T18:30:00.000Z'],
+        ['01/15/2025 09:05', '2025-01-15T03:35:00.000Z'],
+        ['01/15/2025 02:05 PM', '2025-01-15T08:35:00.000Z'],
+        ['1/15/2025 14:05', '2025-01-15T08:35:00.000Z'],
+        ['1/15/25 14:05:30', '2025-01-15T08:35:30.000Z'],
+        ['1/15/2025 2:05 PM', '2025-01-15T08:35:00.000Z'],
+        // Excel date serials
+        ['45672', '2025-01-14T18:30:00.000Z'],
+        [45672.5, '2025-01-15T06:30:00.000Z'],
+        [' 2025-01-15T10:00:00Z ', '2025-01-15T10:00:00.000Z']
+    ];
+
+    cases.forEach(([value, expected]) => {
+        assert.equal(parseLeadTimestamp(value)?.toISOString(), expected, `created_time=${value}`);
+    });
+});
+
+test('values that are not dates are null', () => {
+    const cases = [undefined, null, '', '   ', 'yesterday', '15/1/2025', '2025-02-30', '13/1/25', '12345', '99999', '1234567'];
+
+    cases.forEach(value => {
+        assert.equal(parseLeadTimestamp(value), null, `created_time=${value}`);
+    });
+});
+
+test('profile formats and the timezone are applied', () => {
+    const cases = [
+        ['15-01-2025', { formats: ['DD-MM-YYYY'] }, '2025-01-14T18:30:00.000Z'],
+        ['15-01-2025', {}, null],
+        // Profile formats are tried first, so they decide ambiguous dates
+        ['2/1/2025', { formats: ['D/M/YYYY'] }, '2025-01-01T18:30:00.000Z'],
+        ['2/1/2025', {}, '2025-01-31T18:30:00.000Z'],
+        ['2025-01-15 10:00', { timezone: 'UTC' }, '2025-01-15T10:00:00.000Z'],
+        ['2025-01-15T10:00:00+05:30', { timezone: 'UTC' }, '2025-01-15T04:30:00.000Z']
+    ];
+
+    cases.forEach(([value, options, expected]) => {
+        assert.equal(parseLeadTimestamp(value, options)?.toISOString() ?? null, expected, `${value} ${JSON.stringify(options)}`);
+    });
+});
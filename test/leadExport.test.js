@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import mongoose from 'mongoose';
+import xlsx from 'xlsx';
+import { LEAD_EXPORTS } from '../config/leadExports.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { writeLeadExport } from '../utils/leadExport.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const leads = ['Asha', 'Ravi', 'Meena'].map((full_name, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    full_name,
+    phone_number: `900000000${index}`,
+    additional_data: { utm_source: index === 1 ? 'summer, sale' : 'ads' },
+    deleted_at: null
+}));
+
+const exportTo = async (format) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+
+    const rows = await writeLeadExport(output, {
+        query: { deleted_at: null },
+        sort: { _id: 1 },
+        columns: ['full_name', 'phone_number', 'additional_data.utm_source'],
+        format
+    });
+    output.end();
+    return { rows, content: Buffer.concat(chunks) };
+};
+
+test('csv exports every lead with additional_data columns under their own name', async (t) => {
+    useMemoryCollection(t, InstantFormLead, leads);
+
+    const { rows, content } = await exportTo('csv');
+
+    assert.equal(rows, 3);
+    assert.deepEqual(content.toString().trim().split('\n'), [
+        'full_name,phone_number,utm_source',
+        'Asha,9000000000,ads',
+        'Ravi,9000000001,"summer, sale"',
+        'Meena,9000000002,ads'
+    ]);
+});
+
+test('xlsx exports write one sheet with a header row', async (t) => {
+    useMemoryCollection(t, InstantFormLead, leads);
+
+    const { rows, content } = await exportTo('xlsx');
+
+    const sheet = xlsx.read(content).Sheets.Leads;
+    assert.equal(rows, 3);
+    assert.deepEqual(xlsx.utils.sheet_to_json(sheet, { header: 1 })[0], ['full_name', 'phone_number', 'utm_source']);
+    assert.equal(xlsx.utils.sheet_to_json(sheet).length, 3);
+});
+
+test('xlsx exports stop at the row cap instead of growing the sheet in memory', async (t) => {
+    useMemoryCollection(t, InstantFormLead, leads);
+    const { xlsxMaxRows } = LEAD_EXPORTS;
+    LEAD_EXPORTS.xlsxMaxRows = 2;
+    t.after(() => {
+        LEAD_EXPORTS.xlsxMaxRows = xlsxMaxRows;
+    });
+
+    await assert.rejects(exportTo('xlsx'), /More than 2 leads to export, use csv/);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { FIELD_CATALOG, buildFieldCatalog } from '../utils/leadFieldCatalog.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const useCatalogLimits = (t, limits) => {
+    const saved = { ...FIELD_CATALOG };
+    Object.assign(FIELD_CATALOG, limits);
+    t.after(() => Object.assign(FIELD_CATALOG, saved));
+};
+
+// Leads with ascending _ids, each with the additional_data keys key_0 ... key_<keys - 1>
+const leads = (count, keys) => Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    full_name: `Lead ${index}`,
+    additional_data: Object.fromEntries(Array.from({ length: keys }, (__, key) => [`key_${key}`, `value ${index}`])),
+    deleted_at: null
+}));
+
+// Field stats as the aggregation returns them, for the leads the pipeline matches
+const useFieldStats = (t, store) => {
+    const matched = [];
+    t.mock.method(InstantFormLead, 'aggregate', (pipeline) => {
+        const query = pipeline[0].$match;
+        matched.push(query);
+        const found = store.docs.filter(doc => !query._id || doc._id >= query._id.$gte);
+        const keys = [...new Set(found.flatMap(doc => Object.keys(doc.additional_data)))];
+        const stats = [
+            { _id: 'full_name', count: found.length, kinds: [{ kind: 'string', count: found.length }] },
+            ...keys.map(key => ({ _id: `additional_data.${key}`, count: found.length, kinds: [{ kind: 'string', count: found.length }] }))
+        ];
+        return { allowDiskUse: async () => stats };
+    });
+    return matched;
+};
+
+test('the catalogue only reads the most recent leads', async (t) => {
+    useCatalogLimits(t, { leadLimit: 3 });
+    const docs = leads(5, 1);
+    const store = useMemoryCollection(t, InstantFormLead, docs);
+    const matched = useFieldStats(t, store);
+
+    const { totalLeads, scannedLeads, fields } = await buildFieldCatalog({ deleted_at: null });
+
+    assert.equal(totalLeads, 5);
+    assert.equal(scannedLeads, 3);
+    assert.deepEqual(matched, [{ deleted_at: null, _id: { $gte: docs[2]._id } }]);
+
+    const fullName = fields.find(field => field.name === 'full_name');
+    assert.equal(fullName.coverage, 1);
+    assert.deepEqual(fullName.samples, ['Lead 4', 'Lead 3', 'Lead 2']);
+});
+
+test('a query under the lead limit is read as is', async (t) => {
+    const store = useMemoryCollection(t, InstantFormLead, leads(2, 1));
+    const matched = useFieldStats(t, store);
+
+    const { scannedLeads } = await buildFieldCatalog({ deleted_at: null });
+
+    assert.equal(scannedLeads, 2);
+    assert.deepEqual(matched, [{ deleted_at: null }]);
+});
+
+test('only the most used fields get samples', async (t) => {
+    useCatalogLimits(t, { sampledFields: 4 });
+    const store = useMemoryCollection(t, InstantFormLead, leads(2, 10));
+    useFieldStats(t, store);
+    const find = t.mock.method(InstantFormLead, 'find');
+
+    const { fields } = await buildFieldCatalog({ deleted_at: null });
+
+    assert.equal(find.mock.callCount(), 4);
+    assert.equal(fields.filter(field => field.samples.length > 0).length, 4);
+    assert.equal(fields.filter(field => field.count > 0).length, 11);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLeadListQuery } from '../utils/leadFilters.js';
+
+const search = (value) => {
+    const { query, errors } = buildLeadListQuery({ search: value });
+    assert.deepEqual(errors, []);
+    return query.$or;
+};
+
+// Conditions of the search, with regular expressions written as their source
+const conditions = (value) => search(value).map(condition => {
+    const [[field, match]] = Object.entries(condition);
+    return [field, match instanceof RegExp ? `/${match.source}/${match.flags}` : match];
+});
+
+test('search builds only anchored, case-sensitive conditions on normalized fields', () => {
+    const cases = [
+        ['Rahul', [['email', '/^rahul/'], ['name_key', '/^rahul/'], ['pan_number', '/^RAHUL/']]],
+        ['Rahul Kumar', [['email', '/^rahul kumar/'], ['name_key', '/^rahul kumar/']]],
+        ['abcpe1234f', [['email', '/^abcpe1234f/'], ['pan_number', '/^ABCPE1234F/']]],
+        ['Someone@Example.com', [['email', '/^someone@example\\.com/'], ['name_key', '/^someone example com/']]],
+        ['9876543210', [['email', '/^9876543210/'], ['pan_number', '/^9876543210/'], ['phone_canonical', '9876543210']]],
+        ['+91 98765 43210', [['email', '/^\\+91 98765 43210/'], ['phone_canonical', '9876543210']]],
+        ['98765', [['email', '/^98765/'], ['pan_number', '/^98765/'], ['phone_canonical', '/^98765/']]],
+        ['987', [['email', '/^987/'], ['pan_number', '/^987/']]],
+        ['a.*', [['email', '/^a\\.\\*/'], ['name_key', '/^a/']]]
+    ];
+
+    cases.forEach(([value, expected]) => {
+        assert.deepEqual(conditions(value), expected, `search=${value}`);
+    });
+});
+
+test('city and state filter on the stored lowercase keys', () => {
+    const cases = [
+        [{ city: 'Pune' }, { city_key: 'pune' }],
+        [{ city: ' Pune , MUMBAI' }, { city_key: { $in: ['pune', 'mumbai'] } }],
+        [{ state: ['Maharashtra', 'Goa'] }, { state_key: { $in: ['maharashtra', 'goa'] } }],
+        [{ city: '' }, {}]
+    ];
+
+    cases.forEach(([params, expected]) => {
+        const { query, errors } = buildLeadListQuery(params);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(query, { deleted_at: null, ...expected }, JSON.stringify(params));
+    });
+});
+
+test('invalid filters are all reported', () => {
+    const cases = [
+        [{ search: 'a' }, ['search']],
+        [{ lead_source: 'fax', sort: 'password' }, ['lead_source', 'sort']],
+        [{ from: '2025-02-01', to: '2025-01-01' }, ['from']],
+        [{ from: 'yesterday', is_duplicate: 'yes' }, ['from', 'is_duplicate']],
+        [{ batch_id: 'not-an-id', 'additional_data.$where': 'x' }, ['batch_id', 'additional_data.$where']]
+    ];
+
+    cases.forEach(([params, parameters]) => {
+        const { errors } = buildLeadListQuery(params);
+        assert.deepEqual(errors.map(error => error.parameter), parameters, JSON.stringify(params));
+    });
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import InstantFormLead from '../models/InstantFormLead.js';
+import MappingProfile from '../models/MappingProfile.js';
+import { ingestGoogleLead } from '../utils/googleLeadForms.js';
+import { SALARY_BUCKETS } from '../utils/qualityRules.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const googleLead = {
+    lead_id: 'google-lead-1',
+    lead_submit_time: '2025-01-01 10:00:00+05:30',
+    creative_id: 123,
+    user_column_data: [
+        { column_id: 'FULL_NAME', string_value: 'Test Lead' },
+        { column_id: 'PHONE_NUMBER', string_value: '+91 98765 43210' },
+        { column_id: 'what_is_your_monthly_salary', string_value: SALARY_BUCKETS[0] }
+    ]
+};
+
+test('a delivery losing the insert race to a retry of the same lead is skipped', async (t) => {
+    useMemoryCollection(t, MappingProfile);
+    const store = useMemoryCollection(t, InstantFormLead);
+    const storedFirst = { _id: new mongoose.Types.ObjectId(), lead_source: 'google_webhook', external_lead_id: 'google-lead-1' };
+
+    // The retry stores the lead between this delivery's findReceivedLead and its insert
+    t.mock.method(InstantFormLead, 'insertMany', async () => {
+        store.docs.push(storedFirst);
+        const error = new Error('E11000 duplicate key error');
+        error.writeErrors = [{ index: 0, code: 11000, errmsg: 'E11000 duplicate key error' }];
+        throw error;
+    });
+
+    const result = await ingestGoogleLead(googleLead);
+
+    assert.equal(result.status, 'skipped');
+    assert.equal(result.reason, 'Lead already received');
+    assert.equal(String(result.storedLeadId), String(storedFirst._id));
+});
+
+test('other insert errors are still reported as errors', async (t) => {
+    useMemoryCollection(t, MappingProfile);
+    useMemoryCollection(t, InstantFormLead);
+    t.mock.method(InstantFormLead, 'insertMany', async () => {
+        const error = new Error('Document failed validation');
+        error.writeErrors = [{ index: 0, code: 121, errmsg: 'Document failed validation' }];
+        throw error;
+    });
+
+    const result = await ingestGoogleLead(googleLead);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /Document failed validation/);
+});
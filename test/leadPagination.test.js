@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { parseLeadPageParams, findLeadPage, encodeLeadCursor } from '../utils/leadPagination.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const at = (minutes) => new Date(Date.UTC(2025, 0, 1, 10, minutes));
+
+// Leads sharing a createdAt, and two without one
+const storedLeads = () => [at(1), at(2), at(2), at(2), at(3), null, at(4), null].map(createdAt => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt,
+    deleted_at: null
+}));
+
+const readAllPages = async (sort, limit) => {
+    const pages = [];
+    let cursor;
+    do {
+        const paging = parseLeadPageParams({ limit: String(limit), ...(cursor ? { cursor } : {}) }, sort);
+        assert.deepEqual(paging.errors, []);
+        const { leads, pagination } = await findLeadPage({ deleted_at: null }, sort, paging);
+        pages.push(leads);
+        cursor = pagination.nextCursor;
+        assert.equal(pagination.hasMore, Boolean(cursor));
+    } while (cursor);
+    return pages;
+};
+
+[{ createdAt: -1, _id: -1 }, { createdAt: 1, _id: 1 }].forEach(sort => {
+    test(`cursor pages sorted by ${sort.createdAt === 1 ? '' : '-'}createdAt return every lead once, in order`, async (t) => {
+        const leads = storedLeads();
+        const store = useMemoryCollection(t, InstantFormLead, leads);
+        const expected = (await InstantFormLead.find({}).sort(sort).lean()).map(lead => String(lead._id));
+
+        const pages = await readAllPages(sort, 3);
+
+        assert.deepEqual(pages.map(page => page.length), [3, 3, 2]);
+        assert.deepEqual(pages.flat().map(lead => String(lead._id)), expected);
+        assert.equal(new Set(expected).size, store.docs.length);
+    });
+});
+
+test('a page ending on a lead without the sort value continues after it', async (t) => {
+    useMemoryCollection(t, InstantFormLead, storedLeads());
+    const pages = await readAllPages({ createdAt: -1, _id: -1 }, 1);
+    assert.equal(pages.length, 8);
+});
+
+test('a cursor from another sort, or a broken cursor, is rejected', () => {
+    const cursor = encodeLeadCursor({ _id: new mongoose.Types.ObjectId(), createdAt: at(1) }, { createdAt: -1, _id: -1 });
+
+    const otherSort = parseLeadPageParams({ cursor }, { lead_created_at: -1, _id: -1 });
+    assert.equal(otherSort.errors[0].parameter, 'cursor');
+
+    const broken = parseLeadPageParams({ cursor: 'not-a-cursor' }, { createdAt: -1, _id: -1 });
+    assert.equal(broken.errors[0].parameter, 'cursor');
+});
+
+test('the deprecated page parameter still skips to the page with the old totals', async (t) => {
+    useMemoryCollection(t, InstantFormLead, storedLeads());
+    const sort = { createdAt: -1, _id: -1 };
+    const expected = (await InstantFormLead.find({}).sort(sort).lean()).map(lead => String(lead._id));
+
+    const paging = parseLeadPageParams({ page: '2', limit: '3' }, sort);
+    assert.deepEqual(paging.errors, []);
+    const { leads, pagination } = await findLeadPage({ deleted_at: null }, sort, paging);
+
+    assert.deepEqual(leads.map(lead => String(lead._id)), expected.slice(3, 6));
+    assert.equal(pagination.current, 2);
+    assert.equal(pagination.pages, 3);
+    assert.equal(pagination.total, 8);
+    assert.equal(pagination.hasMore, true);
+});
+
+test('page must be a whole number and cannot be combined with a cursor', () => {
+    const sort = { createdAt: -1, _id: -1 };
+    const cursor = encodeLeadCursor({ _id: new mongoose.Types.ObjectId(), createdAt: at(1) }, sort);
+
+    assert.equal(parseLeadPageParams({ page: '0' }, sort).errors[0].parameter, 'page');
+    assert.equal(parseLeadPageParams({ page: 'two' }, sort).errors[0].parameter, 'page');
+    assert.equal(parseLeadPageParams({ page: '2', cursor }, sort).errors[0].parameter, 'page');
+});
+
+test('limit is bounded', () => {
+    const sort = { createdAt: -1, _id: -1 };
+    assert.equal(parseLeadPageParams({}, sort).limit, 100);
+    assert.equal(parseLeadPageParams({ limit: '501' }, sort).errors[0].parameter, 'limit');
+    assert.equal(parseLeadPageParams({ limit: '80' }, sort, { defaultLimit: 50, maxLimit: 100 }).limit, 80);
+    assert.equal(parseLeadPageParams({ limit: '101' }, sort, { defaultLimit: 50, maxLimit: 100 }).errors.length, 1);
+});
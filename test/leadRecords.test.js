@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { DEDUP_WINDOWS, RE_ENGAGED_REASON } from '../config/dedupWindows.js';
+import DuplicateCluster from '../models/DuplicateCluster.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { prepareLeadChunk } from '../utils/instantLeadImporter.js';
+import { prepareLeadChanges, updateLead } from '../utils/leadRecords.js';
+import { SALARY_BUCKETS } from '../utils/qualityRules.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const row = {
+    created_time: '2025-01-01T10:00:00+05:30',
+    ad_id: 'ad-1',
+    platform: 'fb',
+    what_is_your_monthly_salary: SALARY_BUCKETS[0],
+    phone_number: '9876543210',
+    full_name: 'Test Lead'
+};
+
+const fingerprintOf = async (t) => {
+    useMemoryCollection(t, InstantFormLead);
+    const { leads } = await prepareLeadChunk([row], 2);
+    return leads[0].leadData.row_fingerprint;
+};
+
+test('rows identical to a stored lead are skipped', async (t) => {
+    const fingerprint = await fingerprintOf(t);
+    const stored = { _id: new mongoose.Types.ObjectId(), row_fingerprint: fingerprint, deleted_at: null };
+    useMemoryCollection(t, InstantFormLead, [stored]);
+
+    const { results, leads } = await prepareLeadChunk([row], 2);
+
+    assert.equal(leads.length, 0);
+    assert.equal(results[0].status, 'skipped');
+    assert.equal(String(results[0].existingLeadId), String(stored._id));
+});
+
+test('rows identical to a soft-deleted lead are imported again', async (t) => {
+    const fingerprint = await fingerprintOf(t);
+    useMemoryCollection(t, InstantFormLead, [
+        { _id: new mongoose.Types.ObjectId(), row_fingerprint: fingerprint, deleted_at: new Date() }
+    ]);
+
+    const { results, leads } = await prepareLeadChunk([row], 2);
+
+    assert.equal(leads.length, 1);
+    assert.equal(results[0].status, 'stored');
+    assert.equal(results[0].existingLeadId, undefined);
+});
+
+test('a later lead holding the edited phone becomes a duplicate of the edited lead', async (t) => {
+    const lead = (phone) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ...row,
+        phone_number: phone,
+        phone_canonical: phone,
+        is_duplicate: false,
+        duplicate_reason: null,
+        original_lead_id: null,
+        duplicate_cluster_id: null,
+        deleted_at: null,
+        change_history: []
+    });
+    const edited = lead('9000000001');
+    const later = lead('9000000002');
+    const store = useMemoryCollection(t, InstantFormLead, [edited, later]);
+    useMemoryCollection(t, DuplicateCluster);
+
+    const document = await InstantFormLead.findById(edited._id);
+    const { updates, errors } = prepareLeadChanges(document, { phone_number: '9000000002' });
+    assert.deepEqual(errors, []);
+
+    const { duplicates } = await updateLead(document, updates, 'tester');
+
+    assert.equal(store.get(edited._id).is_duplicate, false);
+    const repointed = store.get(later._id);
+    assert.equal(repointed.is_duplicate, true);
+    assert.equal(String(repointed.original_lead_id), String(edited._id));
+    assert.equal(duplicates.repointed, 1);
+
+    // Both in one cluster, with the edited lead as golden record
+    assert.ok(repointed.duplicate_cluster_id);
+    assert.equal(String(store.get(edited._id).duplicate_cluster_id), String(repointed.duplicate_cluster_id));
+    assert.equal(store.get(edited._id).is_golden_record, true);
+});
+
+test('an upload of the corrected row is skipped as the edited lead', async (t) => {
+    useMemoryCollection(t, InstantFormLead);
+    const { leads: [imported] } = await prepareLeadChunk([row], 2);
+    useMemoryCollection(t, InstantFormLead, [{ ...imported.leadData, deleted_at: null, change_history: [] }]);
+    useMemoryCollection(t, DuplicateCluster);
+
+    const document = await InstantFormLead.findById(imported.leadData._id);
+    const { updates } = prepareLeadChanges(document, { full_name: 'Corrected Name' });
+    await updateLead(document, updates, 'tester');
+
+    const corrected = await prepareLeadChunk([{ ...row, full_name: 'Corrected Name' }], 2);
+    assert.equal(corrected.results[0].status, 'skipped');
+    assert.equal(String(corrected.results[0].existingLeadId), String(imported.leadData._id));
+
+    const original = await prepareLeadChunk([row], 2);
+    assert.equal(original.results[0].status, 'duplicate');
+});
+
+test('a platform change re-runs the duplicate check with the new dedup window', async (t) => {
+    DEDUP_WINDOWS.platformDays.ig = 30;
+    t.after(() => { delete DEDUP_WINDOWS.platformDays.ig; });
+    const lead = (fields) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ...row,
+        phone_canonical: '9000000001',
+        is_duplicate: false,
+        duplicate_reason: null,
+        original_lead_id: null,
+        duplicate_cluster_id: null,
+        deleted_at: null,
+        change_history: [],
+        ...fields
+    });
+    const first = lead({ lead_created_at: new Date('2025-01-01') });
+    const repeat = lead({
+        lead_created_at: new Date('2025-03-01'), is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: first._id
+    });
+    const store = useMemoryCollection(t, InstantFormLead, [first, repeat]);
+    useMemoryCollection(t, DuplicateCluster);
+
+    const document = await InstantFormLead.findById(repeat._id);
+    const { updates } = prepareLeadChanges(document, { platform: 'ig' });
+    const { duplicates } = await updateLead(document, updates, 'tester');
+
+    assert.equal(duplicates.reEngaged, 1);
+    assert.equal(store.get(repeat._id).is_duplicate, false);
+    assert.equal(store.get(repeat._id).duplicate_reason, RE_ENGAGED_REASON);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatValidationWarnings, validateLeadFields } from '../utils/leadValidation.js';
+import { SALARY_BUCKETS } from '../utils/qualityRules.js';
+
+const validLead = {
+    created_time: '2025-01-01T10:00:00+05:30',
+    lead_created_at: new Date('2025-01-01T04:30:00Z'),
+    pan_number: 'ABCPE1234F',
+    email: 'someone@example.com',
+    pincode: '411001',
+    age: '30',
+    what_is_your_monthly_salary: SALARY_BUCKETS[0]
+};
+
+test('a lead with valid fields has no warnings', () => {
+    assert.deepEqual(validateLeadFields(validLead), []);
+});
+
+test('empty and missing fields are not checked', () => {
+    assert.deepEqual(validateLeadFields({ pan_number: '', email: null, age: undefined }), []);
+});
+
+test('each invalid field gets its own warning', () => {
+    const cases = [
+        [{ lead_created_at: null }, 'created_time', "Date '2025-01-01T10:00:00+05:30' is not in a recognised format"],
+        [{ pan_number: 'ABCPE1234' }, 'pan_number', 'PAN must be 5 letters, 4 digits and 1 letter (e.g. ABCPE1234F)'],
+        [{ pan_number: 'abcpe1234f' }, 'pan_number', 'PAN must be 5 letters, 4 digits and 1 letter (e.g. ABCPE1234F)'],
+        [{ pan_number: 'ABCXE1234F' }, 'pan_number', "PAN holder type 'X' (4th character) is not valid"],
+        [{ email: 'someone@example' }, 'email', 'Email address is not valid'],
+        [{ email: 'some one@example.com' }, 'email', 'Email address is not valid'],
+        [{ email: 'someone@@example.com' }, 'email', 'Email address is not valid'],
+        [{ email: 'someone@example..com' }, 'email', 'Email address is not valid'],
+        [{ pincode: '011001' }, 'pincode', 'Pincode must be a 6-digit Indian pincode'],
+        [{ pincode: '41100' }, 'pincode', 'Pincode must be a 6-digit Indian pincode'],
+        [{ age: 'thirty' }, 'age', 'Age must be a whole number'],
+        [{ age: '30.5' }, 'age', 'Age must be a whole number'],
+        [{ age: '17' }, 'age', 'Age must be between 18 and 65'],
+        [{ age: '66' }, 'age', 'Age must be between 18 and 65'],
+        [{ what_is_your_monthly_salary: '50000' }, 'what_is_your_monthly_salary',
+            `Salary '50000' is not a known bucket (${SALARY_BUCKETS.join(', ')})`]
+    ];
+
+    cases.forEach(([fields, field, message]) => {
+        const lead = { ...validLead, ...fields };
+        assert.deepEqual(validateLeadFields(lead), [{ field, value: String(lead[field]), message }], JSON.stringify(fields));
+    });
+});
+
+test('the edges of the accepted values pass', () => {
+    const cases = [
+        { age: '18' },
+        { age: '65' },
+        { pan_number: 'AAATE1234F' },
+        { pincode: '999999' },
+        { email: 'first.last+tag@mail.example.co.in' },
+        ...SALARY_BUCKETS.map(bucket => ({ what_is_your_monthly_salary: bucket }))
+    ];
+
+    cases.forEach(fields => {
+        assert.deepEqual(validateLeadFields({ ...validLead, ...fields }), [], JSON.stringify(fields));
+    });
+});
+
+test('warnings are summarized on one line', () => {
+    const warnings = validateLeadFields({ ...validLead, pincode: '1', age: '99' });
+    assert.equal(formatValidationWarnings(warnings), 'pincode: Pincode must be a 6-digit Indian pincode; age: Age must be between 18 and 65');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DISBURSED_STATUS } from '../config/leadMatching.js';
+import { buildStatusChangeUpdate } from '../utils/loanStatusSync.js';
+
+const changedAt = new Date('2025-01-15T10:00:00Z');
+const disbursedAt = new Date('2025-01-10T10:00:00Z');
+// Expected previous_status of a change that updates nothing
+const UNCHANGED = Symbol('unchanged');
+
+test('a status change adds a history entry, a repeated status adds nothing', () => {
+    const cases = [
+        ['first match', {}, { leadId: 7, status: 'NEW' }, null],
+        ['new status of the same application', { mysql_match: { lead_id: 7, status: 'NEW' } }, { leadId: 7, status: 'APPROVED' }, 'NEW'],
+        ['same status again', { mysql_match: { lead_id: 7, status: 'NEW' } }, { leadId: 7, status: 'NEW' }, UNCHANGED],
+        ['null status again', { mysql_match: { lead_id: 7, status: null } }, { leadId: 7, status: null }, UNCHANGED],
+        ['another application', { mysql_match: { lead_id: 7, status: 'NEW' } }, { leadId: 8, status: 'NEW' }, null],
+        ['first status of the application', { mysql_match: { lead_id: 7 } }, { leadId: 7, status: 'NEW' }, null]
+    ];
+
+    cases.forEach(([name, lead, change, previousStatus]) => {
+        const update = buildStatusChangeUpdate(lead, { ...change, changedAt });
+        if (previousStatus === UNCHANGED) {
+            assert.equal(update, null, name);
+            return;
+        }
+
+        const { recorded_at: recordedAt, ...entry } = update.$push.status_history;
+        assert.deepEqual(entry, { lead_id: change.leadId, status: change.status, previous_status: previousStatus, changed_at: changedAt }, name);
+        assert.ok(recordedAt instanceof Date, name);
+        assert.deepEqual(update.$set, {}, name);
+    });
+});
+
+test('disbursed_at is set by the first disbursal only', () => {
+    const cases = [
+        ['first disbursal', {}, changedAt, { disbursed_at: changedAt }],
+        ['already disbursed', { disbursed_at: disbursedAt }, changedAt, {}]
+    ];
+
+    cases.forEach(([name, lead, at, set]) => {
+        const update = buildStatusChangeUpdate(lead, { leadId: 7, status: DISBURSED_STATUS, changedAt: at });
+        assert.deepEqual(update.$set, set, name);
+    });
+});
+
+test('a change without a MySQL timestamp is dated now', () => {
+    const before = Date.now();
+    const update = buildStatusChangeUpdate({}, { leadId: 7, status: DISBURSED_STATUS, changedAt: null });
+
+    assert.ok(update.$push.status_history.changed_at.getTime() >= before);
+    assert.ok(update.$set.disbursed_at.getTime() >= before);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MappingProfile from '../models/MappingProfile.js';
+import { compileMappingProfile, mapHeader } from '../utils/mappingProfiles.js';
+
+const profileWith = (field) => new MappingProfile({
+    name: 'test-profile',
+    fields: [{ field, aliases: ['some column'] }]
+});
+
+test('profiles can map columns onto lead form fields', () => {
+    assert.equal(profileWith('phone_number').validateSync(), undefined);
+    assert.equal(profileWith('campaign_id').validateSync(), undefined);
+});
+
+test('profiles cannot map columns onto system or dedup fields', () => {
+    ['_id', 'is_duplicate', 'original_lead_id', 'duplicate_cluster_id', 'deleted_at',
+        'import_batch_id', 'quality_lead', 'row_fingerprint'].forEach(field => {
+        const error = profileWith(field).validateSync();
+        assert.ok(error, `${field} should be rejected`);
+        assert.match(error.errors['fields.0.field'].message, /not an importable lead field/);
+    });
+});
+
+test('stored profiles mapping system fields leave those columns in additional_data', () => {
+    const profile = compileMappingProfile({
+        name: 'legacy',
+        fields: [
+            { field: 'phone_number', aliases: ['mobile'] },
+            { field: 'is_duplicate', aliases: ['dup'] }
+        ]
+    });
+
+    assert.equal(mapHeader('mobile', profile), 'phone_number');
+    assert.equal(mapHeader('dup', profile), null);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyMetaSignature } from '../utils/metaLeadAds.js';
+
+const appSecret = 'test-app-secret';
+const rawBody = Buffer.from(JSON.stringify({ object: 'page', entry: [{ changes: [{ field: 'leadgen', value: { leadgen_id: '1' } }] }] }));
+const sign = (body, secret = appSecret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('events signed with the app secret are accepted', () => {
+    assert.equal(verifyMetaSignature(rawBody, sign(rawBody), appSecret), true);
+});
+
+test('events signed with another secret or for another body are rejected', () => {
+    assert.equal(verifyMetaSignature(rawBody, sign(rawBody, 'other-secret'), appSecret), false);
+    assert.equal(verifyMetaSignature(Buffer.from(`${rawBody} `), sign(rawBody), appSecret), false);
+});
+
+test('missing, malformed or truncated signatures are rejected', () => {
+    assert.equal(verifyMetaSignature(rawBody, undefined, appSecret), false);
+    assert.equal(verifyMetaSignature(rawBody, sign(rawBody).replace('sha256=', 'sha1='), appSecret), false);
+    assert.equal(verifyMetaSignature(rawBody, sign(rawBody).slice(0, -2), appSecret), false);
+    assert.equal(verifyMetaSignature(undefined, sign(rawBody), appSecret), false);
+});
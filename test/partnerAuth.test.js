@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LeadPartner from '../models/LeadPartner.js';
+import { PARTNER_LEAD_API } from '../config/leadWebhooks.js';
+import { authenticatePartner } from '../middleware/partnerAuth.js';
+import { generatePartnerCredentials, hashApiKey, signPartnerRequest } from '../utils/partnerLeads.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const { apiKey, signingSecret } = generatePartnerCredentials();
+const rawBody = Buffer.from(JSON.stringify({ leads: [{ phone_number: '9876543210' }] }));
+const now = () => String(Math.floor(Date.now() / 1000));
+
+const usePartner = (t, fields = {}) => useMemoryCollection(t, LeadPartner, [{
+    _id: new mongoose.Types.ObjectId(),
+    name: 'test-partner',
+    api_key_hash: hashApiKey(apiKey),
+    signing_secret: signingSecret,
+    active: true,
+    last_used_at: null,
+    ...fields
+}]);
+
+// Run the middleware on a request with the given headers
+const authenticate = async (headers) => {
+    const req = { rawBody, get: (name) => headers[name] };
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let nextCalledWith;
+    await authenticatePartner(req, res, (error) => { nextCalledWith = error ?? null; });
+    return { req, res, nextCalledWith };
+};
+
+const signedHeaders = (timestamp = now(), secret = signingSecret) => ({
+    'X-Api-Key': apiKey,
+    'X-Timestamp': timestamp,
+    'X-Signature': signPartnerRequest(secret, timestamp, rawBody)
+});
+
+test('requests signed with the partner secret are let through', async (t) => {
+    const store = usePartner(t);
+
+    const { req, res, nextCalledWith } = await authenticate(signedHeaders());
+
+    assert.equal(nextCalledWith, null);
+    assert.equal(res.statusCode, 200);
+    assert.equal(req.partner.name, 'test-partner');
+    assert.ok(store.docs[0].last_used_at);
+});
+
+test('a wrong signature, secret or body is rejected', async (t) => {
+    usePartner(t);
+
+    const otherSecret = await authenticate(signedHeaders(now(), 'other-secret'));
+    assert.equal(otherSecret.res.statusCode, 401);
+    assert.equal(otherSecret.res.body.message, 'Invalid signature');
+
+    const headers = signedHeaders();
+    const truncated = await authenticate({ ...headers, 'X-Signature': headers['X-Signature'].slice(0, -2) });
+    assert.equal(truncated.res.statusCode, 401);
+
+    // Signature for the same body under another timestamp
+    const replayed = await authenticate({ ...signedHeaders(), 'X-Timestamp': String(Number(now()) - 1) });
+    assert.equal(replayed.res.statusCode, 401);
+    assert.equal(replayed.nextCalledWith, undefined);
+});
+
+test('timestamps outside the allowed window are rejected', async (t) => {
+    usePartner(t);
+    const stale = String(Math.floor(Date.now() / 1000) - PARTNER_LEAD_API.signatureToleranceSeconds - 60);
+
+    const { res } = await authenticate(signedHeaders(stale));
+
+    assert.equal(res.statusCode, 401);
+    assert.match(res.body.message, /X-Timestamp/);
+});
+
+test('unknown or inactive API keys and missing headers are rejected', async (t) => {
+    usePartner(t, { active: false });
+
+    assert.equal((await authenticate(signedHeaders())).res.statusCode, 401);
+    assert.equal((await authenticate({ 'X-Api-Key': apiKey })).res.statusCode, 401);
+});
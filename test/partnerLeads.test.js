@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { PARTNER_LEAD_API } from '../config/leadWebhooks.js';
+import IdempotencyRecord from '../models/IdempotencyRecord.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { prepareLeadChunk } from '../utils/instantLeadImporter.js';
+import { runIdempotent } from '../utils/partnerLeads.js';
+import { SALARY_BUCKETS } from '../utils/qualityRules.js';
+import { matches, useMemoryCollection } from './support/memoryStore.js';
+
+const partner = { _id: new mongoose.Types.ObjectId(), name: 'test-partner' };
+const rawBody = Buffer.from('{"phone_number":"9876543210"}');
+const accepted = async () => ({ statusCode: 201, body: { success: true } });
+
+// Idempotency records, with the unique { partner_id, key } index
+const useIdempotencyRecords = (t, docs = []) => {
+    const store = useMemoryCollection(t, IdempotencyRecord, docs);
+    const create = IdempotencyRecord.create;
+    t.mock.method(IdempotencyRecord, 'create', async (data) => {
+        if (store.docs.some(doc => matches(doc, { partner_id: data.partner_id, key: data.key }))) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        return create.call(IdempotencyRecord, { createdAt: new Date(), ...data });
+    });
+    return store;
+};
+
+const pendingRecord = (secondsAgo) => ({
+    _id: new mongoose.Types.ObjectId(),
+    partner_id: partner._id,
+    key: 'key-1',
+    request_hash: crypto.createHash('sha256').update(rawBody).digest('hex'),
+    status_code: null,
+    response: null,
+    createdAt: new Date(Date.now() - secondsAgo * 1000)
+});
+
+test('a repeated Idempotency-Key gets the stored response back', async (t) => {
+    useIdempotencyRecords(t);
+
+    const first = await runIdempotent(partner, 'key-1', rawBody, accepted);
+    const again = await runIdempotent(partner, 'key-1', rawBody, async () => assert.fail('handler ran twice'));
+
+    assert.equal(first.replayed, false);
+    assert.deepEqual(again, { statusCode: 201, body: { success: true }, replayed: true });
+});
+
+test('a request that throws releases its key for a retry', async (t) => {
+    const store = useIdempotencyRecords(t);
+
+    await assert.rejects(runIdempotent(partner, 'key-1', rawBody, async () => {
+        throw new Error('MongoDB unavailable');
+    }), /MongoDB unavailable/);
+    assert.equal(store.docs.length, 0);
+
+    const retry = await runIdempotent(partner, 'key-1', rawBody, accepted);
+    assert.equal(retry.statusCode, 201);
+});
+
+test('a key still being processed answers 409, one left behind by a dead request is taken over', async (t) => {
+    useIdempotencyRecords(t, [pendingRecord(5)]);
+    const running = await runIdempotent(partner, 'key-1', rawBody, accepted);
+    assert.equal(running.statusCode, 409);
+
+    useIdempotencyRecords(t, [pendingRecord(PARTNER_LEAD_API.idempotencyPendingSeconds + 60)]);
+    const takenOver = await runIdempotent(partner, 'key-1', rawBody, accepted);
+    assert.equal(takenOver.statusCode, 201);
+    assert.equal(takenOver.replayed, false);
+});
+
+test('a lead sent by one partner is not skipped as already imported for another', async (t) => {
+    const row = {
+        created_time: '2025-01-01T10:00:00+05:30',
+        ad_id: 'ad-1',
+        platform: 'partner',
+        what_is_your_monthly_salary: SALARY_BUCKETS[0],
+        phone_number: '9876543210',
+        full_name: 'Test Lead'
+    };
+    const partnerA = new mongoose.Types.ObjectId();
+    const partnerB = new mongoose.Types.ObjectId();
+
+    useMemoryCollection(t, InstantFormLead);
+    const { leads: [sentByA] } = await prepareLeadChunk([row], 1, { extra: { partner_id: partnerA } });
+    useMemoryCollection(t, InstantFormLead, [{ ...sentByA.leadData, deleted_at: null }]);
+
+    const again = await prepareLeadChunk([row], 1, { extra: { partner_id: partnerA } });
+    assert.equal(again.results[0].status, 'skipped');
+
+    const fromB = await prepareLeadChunk([row], 1, { extra: { partner_id: partnerB } });
+    assert.equal(fromB.results[0].status, 'duplicate');
+    assert.equal(fromB.results[0].reason, 'Phone number already exists');
+});
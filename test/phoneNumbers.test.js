@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeIndianMobile } from '../utils/phoneNumbers.js';
+
+test('every way of writing an Indian mobile normalizes to the same number', () => {
+    const cases = [
+        '9034955557',
+        9034955557,
+        ' 9034955557 ',
+        '09034955557',
+        '919034955557',
+        '+919034955557',
+        '+91 90349 55557',
+        '+91-90349-55557',
+        '(+91) 90349 55557',
+        '0091 9034955557',
+        '+91 0 9034955557',
+        '090349 55557'
+    ];
+
+    cases.forEach(value => {
+        assert.deepEqual(normalizeIndianMobile(value), {
+            valid: true,
+            raw: String(value).trim(),
+            mobile: '9034955557',
+            e164: '+919034955557',
+            reason: null
+        }, `phone=${value}`);
+    });
+});
+
+test('numbers that are not Indian mobiles are rejected with the reason', () => {
+    const cases = [
+        [undefined, 'Phone number is missing'],
+        [null, 'Phone number is missing'],
+        ['', 'Phone number is missing'],
+        ['n/a', 'Phone number is missing'],
+        ['903495555', "Invalid phone number '903495555': expected a 10-digit Indian mobile"],
+        ['90349555571', "Invalid phone number '90349555571': expected a 10-digit Indian mobile"],
+        ['+44 7700 900123', "Invalid phone number '+44 7700 900123': expected a 10-digit Indian mobile"],
+        ['5034955557', "Invalid phone number '5034955557': Indian mobiles start with 6, 7, 8 or 9"],
+        ['+91 1234567890', "Invalid phone number '+91 1234567890': Indian mobiles start with 6, 7, 8 or 9"],
+        ['022 2345 6789', "Invalid phone number '022 2345 6789': Indian mobiles start with 6, 7, 8 or 9"]
+    ];
+
+    cases.forEach(([value, reason]) => {
+        const result = normalizeIndianMobile(value);
+        assert.equal(result.valid, false, `phone=${value}`);
+        assert.equal(result.mobile, null, `phone=${value}`);
+        assert.equal(result.e164, null, `phone=${value}`);
+        assert.equal(result.reason, reason, `phone=${value}`);
+    });
+});
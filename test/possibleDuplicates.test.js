@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { CONFIRMED_DUPLICATE_REASON } from '../config/fuzzyDuplicates.js';
+import DuplicateCluster from '../models/DuplicateCluster.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import PossibleDuplicate from '../models/PossibleDuplicate.js';
+import { confirmPossibleDuplicate, dismissConfirmedDuplicate } from '../utils/fuzzyDuplicates.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const lead = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    platform: 'fb',
+    is_duplicate: false,
+    duplicate_reason: null,
+    original_lead_id: null,
+    duplicate_cluster_id: null,
+    is_golden_record: false,
+    deleted_at: null,
+    ...fields
+});
+
+// Reviewed possible duplicate pairs of the lead
+const usePairs = (t, confirmed, ...candidates) => useMemoryCollection(t, PossibleDuplicate, candidates.map(candidate => ({
+    _id: new mongoose.Types.ObjectId(),
+    lead_id: confirmed._id,
+    candidate_lead_id: candidate._id,
+    status: 'confirmed'
+}))).docs;
+
+test('confirming a pair re-points the leads that had the confirmed lead as original', async (t) => {
+    const candidate = lead({ phone_canonical: '9000000001' });
+    const confirmed = lead({ phone_canonical: '9000000002' });
+    const dependent = lead({
+        phone_canonical: '9000000002', is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: confirmed._id
+    });
+    const store = useMemoryCollection(t, InstantFormLead, [candidate, confirmed, dependent]);
+    useMemoryCollection(t, DuplicateCluster);
+
+    const { originalLeadId, repointed } = await confirmPossibleDuplicate(confirmed, candidate);
+
+    assert.equal(String(originalLeadId), String(candidate._id));
+    assert.equal(repointed, 1);
+    assert.equal(store.get(confirmed._id).duplicate_reason, CONFIRMED_DUPLICATE_REASON);
+    assert.equal(String(store.get(dependent._id).original_lead_id), String(candidate._id));
+
+    // One cluster around the candidate
+    const clusterId = String(store.get(candidate._id).duplicate_cluster_id);
+    assert.notEqual(clusterId, 'null');
+    assert.equal(String(store.get(confirmed._id).duplicate_cluster_id), clusterId);
+    assert.equal(String(store.get(dependent._id).duplicate_cluster_id), clusterId);
+});
+
+test('confirming against a duplicate points at its original', async (t) => {
+    const original = lead({ phone_canonical: '9000000001' });
+    const candidate = lead({
+        phone_canonical: '9000000001', is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: original._id
+    });
+    const confirmed = lead({ phone_canonical: '9000000002' });
+    const store = useMemoryCollection(t, InstantFormLead, [original, candidate, confirmed]);
+    useMemoryCollection(t, DuplicateCluster);
+
+    await confirmPossibleDuplicate(confirmed, candidate);
+
+    assert.equal(String(store.get(confirmed._id).original_lead_id), String(original._id));
+});
+
+test('dismissing a confirmed pair takes the lead out of the cluster', async (t) => {
+    const candidate = lead({ phone_canonical: '9000000001' });
+    const confirmed = lead({ phone_canonical: '9000000002' });
+    const other = lead({
+        phone_canonical: '9000000001', is_duplicate: true,
+        duplicate_reason: 'Phone number already exists', original_lead_id: candidate._id
+    });
+    const store = useMemoryCollection(t, InstantFormLead, [candidate, confirmed, other]);
+    const clusters = useMemoryCollection(t, DuplicateCluster);
+
+    const [pair] = usePairs(t, confirmed, candidate);
+
+    await confirmPossibleDuplicate(confirmed, candidate);
+    await InstantFormLead.updateOne({ _id: other._id }, { $set: { duplicate_cluster_id: store.get(candidate._id).duplicate_cluster_id } });
+
+    const summary = await dismissConfirmedDuplicate(store.get(confirmed._id), pair);
+
+    const dismissed = store.get(confirmed._id);
+    assert.equal(dismissed.is_duplicate, false);
+    assert.equal(dismissed.duplicate_reason, null);
+    assert.equal(dismissed.original_lead_id, null);
+    assert.equal(dismissed.duplicate_cluster_id, null);
+    assert.equal(summary.promoted, 1);
+
+    // The cluster keeps the candidate and its exact duplicate
+    const clusterId = store.get(candidate._id).duplicate_cluster_id;
+    assert.ok(clusterId);
+    assert.equal(String(store.get(other._id).duplicate_cluster_id), String(clusterId));
+    assert.equal(clusters.docs.length, 1);
+});
+
+test('a dismissed lead that is also an exact duplicate goes back to its exact original and cluster', async (t) => {
+    const exactOriginal = lead({ phone_canonical: '9000000003' });
+    const candidate = lead({ phone_canonical: '9000000001' });
+    const confirmed = lead({ phone_canonical: '9000000003' });
+    const store = useMemoryCollection(t, InstantFormLead, [exactOriginal, candidate, confirmed]);
+    useMemoryCollection(t, DuplicateCluster);
+
+    const [pair] = usePairs(t, confirmed, candidate);
+
+    await confirmPossibleDuplicate(confirmed, candidate);
+    await dismissConfirmedDuplicate(store.get(confirmed._id), pair);
+
+    const dismissed = store.get(confirmed._id);
+    assert.equal(dismissed.is_duplicate, true);
+    assert.equal(dismissed.duplicate_reason, 'Phone number already exists');
+    assert.equal(String(dismissed.original_lead_id), String(exactOriginal._id));
+    assert.equal(String(dismissed.duplicate_cluster_id), String(store.get(exactOriginal._id).duplicate_cluster_id));
+    assert.notEqual(String(dismissed.duplicate_cluster_id), String(store.get(candidate._id).duplicate_cluster_id));
+});
+
+test('a lead with another confirmed pair stays a duplicate of the other candidate', async (t) => {
+    const dismissedCandidate = lead({ phone_canonical: '9000000001' });
+    const keptCandidate = lead({ phone_canonical: '9000000003' });
+    const confirmed = lead({ phone_canonical: '9000000002' });
+    const store = useMemoryCollection(t, InstantFormLead, [dismissedCandidate, keptCandidate, confirmed]);
+    useMemoryCollection(t, DuplicateCluster);
+    const [dismissedPair] = usePairs(t, confirmed, dismissedCandidate, keptCandidate);
+
+    await confirmPossibleDuplicate(confirmed, dismissedCandidate);
+    const { keptBy } = await dismissConfirmedDuplicate(store.get(confirmed._id), dismissedPair);
+
+    const kept = store.get(confirmed._id);
+    assert.equal(String(keptBy), String(keptCandidate._id));
+    assert.equal(kept.is_duplicate, true);
+    assert.equal(kept.duplicate_reason, CONFIRMED_DUPLICATE_REASON);
+    assert.equal(String(kept.original_lead_id), String(keptCandidate._id));
+    assert.equal(String(kept.duplicate_cluster_id), String(store.get(keptCandidate._id).duplicate_cluster_id));
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyQualityRules, buildQualitySqlFilter, evaluateQualityLead, getSalaryValue } from '../utils/qualityRules.js';
+
+const rules = {
+    version: 'test',
+    minSalary: 35000,
+    minAge: null,
+    maxAge: null,
+    allowedCities: [],
+    allowedStates: [],
+    allowedPlatforms: [],
+    utmCampaign: 'campaign-1'
+};
+
+const lead = {
+    what_is_your_monthly_salary: '₹50,000_to_₹70,000',
+    age: '30',
+    city: 'Pune',
+    state: 'Maharashtra',
+    platform: 'fb'
+};
+
+test('salary buckets have their configured amounts', () => {
+    const cases = [
+        ['below 35K', 30000],
+        ['₹35,000_to_₹50,000', 42500],
+        ['₹50,000_to_₹70,000', 60000],
+        ['₹70,000_to_₹1,00,000', 85000],
+        ['above 1 Lakh', 120000],
+        ['50000', 0],
+        [undefined, 0]
+    ];
+
+    cases.forEach(([bucket, amount]) => {
+        assert.equal(getSalaryValue(bucket), amount, `salary=${bucket}`);
+    });
+});
+
+test('a lead is a quality lead only when it passes every rule', () => {
+    const cases = [
+        ['default rules', {}, {}, []],
+        ['salary at the threshold', {}, { minSalary: 60000 }, ['salary']],
+        ['salary below the threshold', { what_is_your_monthly_salary: 'below 35K' }, {}, ['salary']],
+        ['unknown salary bucket', { what_is_your_monthly_salary: '50000' }, {}, ['salary']],
+        ['age within bounds', {}, { minAge: 21, maxAge: 30 }, []],
+        ['too young', { age: '20' }, { minAge: 21 }, ['age']],
+        ['too old', { age: '31' }, { maxAge: 30 }, ['age']],
+        ['age missing while checked', { age: '' }, { minAge: 21 }, ['age']],
+        ['age not a number', { age: 'thirty' }, { maxAge: 60 }, ['age']],
+        ['age missing while not checked', { age: '' }, {}, []],
+        ['allowed city, any case', { city: ' pune ' }, { allowedCities: ['Pune', 'Mumbai'] }, []],
+        ['city not allowed', { city: 'Nagpur' }, { allowedCities: ['Pune'] }, ['city']],
+        ['city missing', { city: null }, { allowedCities: ['Pune'] }, ['city']],
+        ['state not allowed', {}, { allowedStates: ['Karnataka'] }, ['state']],
+        ['platform not allowed', { platform: 'ig' }, { allowedPlatforms: ['FB'] }, ['platform']],
+        ['every rule failing', { what_is_your_monthly_salary: 'below 35K', age: '70', city: 'Nagpur', state: 'Goa', platform: 'ig' },
+            { maxAge: 60, allowedCities: ['Pune'], allowedStates: ['Maharashtra'], allowedPlatforms: ['fb'] },
+            ['salary', 'age', 'city', 'state', 'platform']]
+    ];
+
+    cases.forEach(([name, fields, ruleChanges, failedRules]) => {
+        const result = evaluateQualityLead({ ...lead, ...fields }, { ...rules, ...ruleChanges });
+        assert.deepEqual(result.failedRules, failedRules, name);
+        assert.equal(result.qualityLead, failedRules.length === 0, name);
+        assert.equal(result.ruleVersion, 'test', name);
+    });
+});
+
+test('the rule result is stored on the lead', () => {
+    const stored = { ...lead, what_is_your_monthly_salary: 'below 35K' };
+
+    applyQualityRules(stored, rules);
+
+    assert.equal(stored.salary_numeric_value, 30000);
+    assert.equal(stored.quality_lead, false);
+    assert.equal(stored.quality_rule_version, 'test');
+});
+
+test('MySQL reports filter on the same campaign and salary threshold', () => {
+    const cases = [
+        ['', { sql: 'utm_campaign = ? AND monthly_salary_amount > ?', params: ['campaign-1', 35000] }],
+        ['le', { sql: 'le.utm_campaign = ? AND le.monthly_salary_amount > ?', params: ['campaign-1', 35000] }]
+    ];
+
+    cases.forEach(([alias, expected]) => {
+        assert.deepEqual(buildQualitySqlFilter(alias, rules), expected, `alias=${alias}`);
+    });
+});
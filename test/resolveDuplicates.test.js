@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { DEDUP_WINDOWS, RE_ENGAGED_REASON } from '../config/dedupWindows.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { resolveDuplicates } from '../utils/instantLeadImporter.js';
+import { useMemoryCollection } from './support/memoryStore.js';
+
+const day = (n) => new Date(Date.UTC(2025, 0, n, 10));
+
+const lead = (fields) => ({
+    platform: 'fb',
+    ad_id: 'ad-1',
+    phone_canonical: null,
+    pan_number: null,
+    email: null,
+    lead_created_at: day(1),
+    ...fields
+});
+
+const stored = (fields) => ({ _id: new mongoose.Types.ObjectId(), is_duplicate: false, deleted_at: null, ...lead(fields) });
+
+test('a lead repeating a stored phone, PAN or email is a duplicate of the first holder', async (t) => {
+    const first = stored({ phone_canonical: '9000000001', pan_number: 'ABCDE1234F', email: 'a@example.com' });
+    const later = stored({ phone_canonical: '9000000001', is_duplicate: true, original_lead_id: first._id });
+    useMemoryCollection(t, InstantFormLead, [first, later]);
+
+    const results = await resolveDuplicates([
+        lead({ phone_canonical: '9000000001' }),
+        lead({ pan_number: 'ABCDE1234F' }),
+        lead({ email: 'a@example.com' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.isDuplicate), [true, true, true]);
+    assert.deepEqual(results.map(result => result.reason), ['Phone number already exists', 'PAN number already exists', 'Email already exists']);
+    results.forEach(result => assert.equal(String(result.originalLeadId), String(first._id)));
+});
+
+test('earlier leads of the same chunk count as originals', async (t) => {
+    useMemoryCollection(t, InstantFormLead);
+    const leads = [
+        lead({ phone_canonical: '9000000001' }),
+        lead({ phone_canonical: '9000000002', email: 'b@example.com' }),
+        lead({ phone_canonical: '9000000001' }),
+        lead({ email: 'b@example.com' })
+    ];
+
+    const results = await resolveDuplicates(leads);
+
+    assert.deepEqual(results.map(result => result.isDuplicate), [false, false, true, true]);
+    assert.equal(String(results[2].originalLeadId), String(leads[0]._id));
+    assert.equal(String(results[3].originalLeadId), String(leads[1]._id));
+});
+
+test('soft-deleted leads are not originals', async (t) => {
+    useMemoryCollection(t, InstantFormLead, [stored({ phone_canonical: '9000000001', deleted_at: day(2) })]);
+
+    const [result] = await resolveDuplicates([lead({ phone_canonical: '9000000001' })]);
+
+    assert.equal(result.isDuplicate, false);
+    assert.equal(result.originalLeadId, null);
+});
+
+test('the index passed across calls carries chunks of a dry run', async (t) => {
+    useMemoryCollection(t, InstantFormLead);
+    const firstSeen = {};
+    const firstChunkLead = lead({ phone_canonical: '9000000001' });
+
+    await resolveDuplicates([firstChunkLead], firstSeen);
+    const [result] = await resolveDuplicates([lead({ phone_canonical: '9000000001' })], firstSeen);
+
+    assert.equal(result.isDuplicate, true);
+    assert.equal(String(result.originalLeadId), String(firstChunkLead._id));
+});
+
+test('inside a dedup window a repeat is a duplicate of the latest engagement, outside it a re-engagement', async (t) => {
+    DEDUP_WINDOWS.platformDays.fb = 30;
+    t.after(() => { delete DEDUP_WINDOWS.platformDays.fb; });
+    const first = stored({ phone_canonical: '9000000001', lead_created_at: day(1) });
+    const repeat = stored({ phone_canonical: '9000000001', lead_created_at: day(20), is_duplicate: true, original_lead_id: first._id });
+    const reEngaged = stored({ phone_canonical: '9000000001', lead_created_at: day(45), original_lead_id: first._id });
+    useMemoryCollection(t, InstantFormLead, [first, repeat, reEngaged]);
+
+    const [inside] = await resolveDuplicates([lead({ phone_canonical: '9000000001', lead_created_at: day(50) })]);
+    assert.equal(inside.isDuplicate, true);
+    assert.equal(String(inside.originalLeadId), String(reEngaged._id));
+    assert.equal(inside.daysSinceLast, 5);
+
+    const [outside] = await resolveDuplicates([lead({ phone_canonical: '9000000001', lead_created_at: day(90) })]);
+    assert.equal(outside.isDuplicate, false);
+    assert.equal(outside.reEngaged, true);
+    assert.equal(outside.reason, RE_ENGAGED_REASON);
+    assert.equal(String(outside.originalLeadId), String(reEngaged._id));
+    assert.equal(outside.daysSinceLast, 45);
+});
+
+test('a campaign window takes precedence over the platform window', async (t) => {
+    DEDUP_WINDOWS.platformDays.fb = 30;
+    DEDUP_WINDOWS.campaignDays['ad-1'] = 90;
+    t.after(() => {
+        delete DEDUP_WINDOWS.platformDays.fb;
+        delete DEDUP_WINDOWS.campaignDays['ad-1'];
+    });
+    const first = stored({ phone_canonical: '9000000001', lead_created_at: day(1) });
+    useMemoryCollection(t, InstantFormLead, [first]);
+
+    const [sameCampaign, otherCampaign] = await resolveDuplicates([
+        lead({ phone_canonical: '9000000001', lead_created_at: day(60) }),
+        lead({ phone_canonical: '9000000001', ad_id: 'ad-2', lead_created_at: day(61) })
+    ]);
+
+    assert.equal(sameCampaign.isDuplicate, true);
+    assert.equal(otherCampaign.isDuplicate, false);
+    assert.equal(otherCampaign.reEngaged, true);
+    assert.equal(String(otherCampaign.originalLeadId), String(first._id));
+});
+
+test('campaign windows apply to every ad of the campaign, and to ad_id when a lead has no campaign_id', async (t) => {
+    DEDUP_WINDOWS.campaignDays['campaign-1'] = 30;
+    t.after(() => { delete DEDUP_WINDOWS.campaignDays['campaign-1']; });
+    useMemoryCollection(t, InstantFormLead, [stored({ phone_canonical: '9000000001', lead_created_at: day(1) })]);
+
+    const [otherAd, uploadedWithoutCampaign, otherCampaign] = await resolveDuplicates([
+        lead({ phone_canonical: '9000000001', campaign_id: 'campaign-1', ad_id: 'ad-2', lead_created_at: day(60) }),
+        lead({ phone_canonical: '9000000001', ad_id: 'campaign-1', lead_created_at: day(61) }),
+        lead({ phone_canonical: '9000000001', campaign_id: 'campaign-2', ad_id: 'campaign-1', lead_created_at: day(62) })
+    ]);
+
+    assert.equal(otherAd.reEngaged, true);
+    assert.equal(uploadedWithoutCampaign.isDuplicate, true);
+    assert.equal(otherCampaign.isDuplicate, true);
+});
@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-memory stand-in for the MongoDB collections of a model, enough for the
+ * queries the lead utilities run: equality, $in, $nin, $ne, $lt(e), $gt(e),
+ * $exists, $or, $and, $set / $inc / $unset updates and $match / $group
+ * counting pipelines. Queries without .lean() return documents whose save()
+ * writes back to the collection. Installed with the node:test mock, so it is
+ * restored after each test.
+ */
+
+const getPath = (doc, path) => path.split('.').reduce((object, key) => object?.[key], doc);
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((object, key) => {
+        if (object[key] === undefined || object[key] === null) object[key] = {};
+        return object[key];
+    }, doc);
+    target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((object, key) => object?.[key], doc);
+    if (target) delete target[last];
+};
+
+// Comparable form of a value: ObjectIds as hex strings, dates as timestamps
+const comparable = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+const isOperatorObject = (condition) => condition !== null && typeof condition === 'object'
+    && !(condition instanceof mongoose.Types.ObjectId) && !(condition instanceof Date)
+    && !(condition instanceof RegExp) && !Array.isArray(condition)
+    && Object.keys(condition).some(key => key.startsWith('$'));
+
+const valueEquals = (value, expected) => {
+    if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+    if (expected === null) return value === null || value === undefined;
+    if (Array.isArray(value)) return value.some(item => valueEquals(item, expected));
+    return comparable(value) === comparable(expected);
+};
+
+const matchesCondition = (value, condition) => {
+    if (!isOperatorObject(condition)) return valueEquals(value, condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        const present = value !== null && value !== undefined;
+        switch (operator) {
+            case '$in': return operand.some(item => valueEquals(value, item));
+            case '$nin': return !operand.some(item => valueEquals(value, item));
+            case '$ne': return !valueEquals(value, operand);
+            case '$lt': return present && comparable(value) < comparable(operand);
+            case '$lte': return present && comparable(value) <= comparable(operand);
+            case '$gt': return present && comparable(value) > comparable(operand);
+            case '$gte': return present && comparable(value) >= comparable(operand);
+            case '$exists': return (value !== undefined) === Boolean(operand);
+            case '$regex': return typeof value === 'string' && new RegExp(operand, condition.$options).test(value);
+            case '$options': return true;
+            default: throw new Error(`memoryStore: unsupported operator ${operator}`);
+        }
+    });
+};
+
+export const matches = (doc, query = {}) => Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    return matchesCondition(getPath(doc, key), condition);
+});
+
+const applyUpdate = (doc, update) => {
+    const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+    Object.entries(operators.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+    Object.entries(operators.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+    Object.keys(operators.$unset || {}).forEach(path => unsetPath(doc, path));
+};
+
+const sortDocs = (docs, spec) => {
+    const keys = Object.entries(spec || {});
+    return [...docs].sort((a, b) => {
+        for (const [key, direction] of keys) {
+            const left = comparable(getPath(a, key));
+            const right = comparable(getPath(b, key));
+            if (left === right) continue;
+            // Missing values first, as in MongoDB
+            if (left === undefined || left === null) return -direction;
+            if (right === undefined || right === null) return direction;
+            return left < right ? -direction : direction;
+        }
+        return 0;
+    });
+};
+
+// Chainable result of find / findOne, resolved when awaited
+class MemoryQuery {
+    constructor(resolver) {
+        this.resolver = resolver;
+        this.options = { sort: null, skip: 0, limit: null, lean: false };
+    }
+
+    select() { return this; }
+    populate() { return this; }
+    lean() { this.options.lean = true; return this; }
+    sort(spec) { this.options.sort = spec; return this; }
+    skip(count) { this.options.skip = count; return this; }
+    limit(count) { this.options.limit = count; return this; }
+
+    cursor() {
+        const docs = Promise.resolve().then(() => this.resolver(this.options));
+        return {
+            async *[Symbol.asyncIterator]() {
+                yield* await docs;
+            },
+            close: async () => {}
+        };
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.resolver(this.options)).then(resolve, reject);
+    }
+}
+
+const copy = (doc) => (doc ? { ...doc } : null);
+
+/**
+ * Replace a model's collection methods with an in-memory collection
+ * @param {Object} t - node:test context (mocks are restored after the test)
+ * @param {Model} model - Mongoose model
+ * @param {Array<Object>} docs - Initial documents, `_id` assigned when missing
+ * @returns {Object} { docs: live array of stored documents, get(id) }
+ */
+export const useMemoryCollection = (t, model, docs = []) => {
+    const store = docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+    const findAll = (query, options = {}) => {
+        let result = sortDocs(store.filter(doc => matches(doc, query)), options.sort);
+        result = result.slice(options.skip || 0);
+        if (options.limit) result = result.slice(0, options.limit);
+        return result;
+    };
+    const byId = (id) => store.find(doc => valueEquals(doc._id, id));
+
+    // Plain copies for .lean(), documents otherwise
+    const output = (doc, options) => {
+        if (!doc) return null;
+        return options.lean ? copy(doc) : model.hydrate(copy(doc));
+    };
+
+    t.mock.method(model, 'find', (query = {}) => new MemoryQuery(options => findAll(query, options).map(doc => output(doc, options))));
+    t.mock.method(model, 'findOne', (query = {}) => new MemoryQuery(options => output(findAll(query, { ...options, limit: 1 })[0], options)));
+    t.mock.method(model, 'findById', (id) => new MemoryQuery(options => output(byId(id), options)));
+    t.mock.method(model.prototype, 'save', async function() {
+        const saved = this.toObject({ depopulate: true });
+        const index = store.findIndex(doc => valueEquals(doc._id, saved._id));
+        if (index === -1) store.push(saved);
+        else store[index] = saved;
+        return this;
+    });
+    t.mock.method(model.prototype, 'deleteOne', async function() {
+        const index = store.findIndex(doc => valueEquals(doc._id, this._id));
+        if (index !== -1) store.splice(index, 1);
+        return { deletedCount: index === -1 ? 0 : 1 };
+    });
+    t.mock.method(model, 'exists', async (query) => (findAll(query)[0] ? { _id: findAll(query)[0]._id } : null));
+    t.mock.method(model, 'countDocuments', async (query = {}) => findAll(query).length);
+    t.mock.method(model, 'distinct', async (field, query = {}) => {
+        const values = new Map();
+        findAll(query).forEach(doc => {
+            const value = getPath(doc, field);
+            if (value !== undefined) values.set(String(comparable(value)), value);
+        });
+        return [...values.values()];
+    });
+    t.mock.method(model, 'create', async (data) => {
+        const doc = new model(data).toObject({ depopulate: true });
+        store.push(doc);
+        return model.hydrate(copy(doc));
+    });
+    t.mock.method(model, 'updateOne', async (query, update) => {
+        const doc = findAll(query)[0];
+        if (doc) applyUpdate(doc, update);
+        return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    });
+    t.mock.method(model, 'updateMany', async (query, update) => {
+        const matched = findAll(query);
+        matched.forEach(doc => applyUpdate(doc, update));
+        return { matchedCount: matched.length, modifiedCount: matched.length };
+    });
+    t.mock.method(model, 'deleteMany', async (query = {}) => {
+        const removed = findAll(query);
+        removed.forEach(doc => store.splice(store.indexOf(doc), 1));
+        return { deletedCount: removed.length };
+    });
+    t.mock.method(model, 'deleteOne', async (query = {}) => {
+        const doc = findAll(query)[0];
+        if (doc) store.splice(store.indexOf(doc), 1);
+        return { deletedCount: doc ? 1 : 0 };
+    });
+    t.mock.method(model, 'aggregate', (pipeline) => {
+        let docs = store.map(copy);
+        pipeline.forEach(stage => {
+            if (stage.$match) {
+                docs = docs.filter(doc => matches(doc, stage.$match));
+            } else if (stage.$group && Object.keys(stage.$group).length === 2 && stage.$group.count?.$sum === 1) {
+                const groups = new Map();
+                docs.forEach(doc => {
+                    const key = getPath(doc, stage.$group._id.slice(1));
+                    const group = groups.get(String(comparable(key))) || { _id: key, count: 0 };
+                    group.count++;
+                    groups.set(String(comparable(key)), group);
+                });
+                docs = [...groups.values()];
+            } else {
+                throw new Error(`memoryStore: unsupported pipeline stage ${JSON.stringify(stage)}`);
+            }
+        });
+        return Promise.resolve(docs);
+    });
+    t.mock.method(model, 'bulkWrite', async (operations) => {
+        operations.forEach(({ updateOne }) => {
+            const doc = findAll(updateOne.filter)[0];
+            if (doc) applyUpdate(doc, updateOne.update);
+        });
+        return { modifiedCount: operations.length };
+    });
+
+    return { docs: store, get: byId };
+};
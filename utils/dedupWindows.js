@@ -0,0 +1,32 @@
+import { DEDUP_WINDOWS } from '../config/dedupWindows.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dedup window of a lead, from its campaign (campaign_id, ad_id when the lead
+ * has none, as uploads without a campaign_id column keep it there) or platform
+ * @returns {number|null} Days, null when repeats are duplicates forever
+ */
+export const getDedupWindowDays = (lead, windows = DEDUP_WINDOWS) => {
+    const campaign = String(lead.campaign_id || lead.ad_id || '').trim().toLowerCase();
+    const platform = String(lead.platform || '').trim().toLowerCase();
+
+    return windows.campaignDays[campaign] ?? windows.platformDays[platform] ?? windows.defaultDays;
+};
+
+/**
+ * When the lead was submitted: lead_created_at, else when it was stored
+ * @returns {number} Epoch milliseconds
+ */
+export const getLeadTime = (lead) => new Date(lead.lead_created_at || lead.createdAt || Date.now()).getTime();
+
+/**
+ * Whether a lead submitted at `leadTime` falls inside the dedup window of an earlier one
+ */
+export const isWithinDedupWindow = (leadTime, earlierTime, days) =>
+    days === null || leadTime - earlierTime <= days * DAY_MS;
+
+/**
+ * Whole days between two submissions
+ */
+export const daysBetween = (leadTime, earlierTime) => Math.floor((leadTime - earlierTime) / DAY_MS);
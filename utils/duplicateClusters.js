@@ -0,0 +1,336 @@
+import { SURVIVORSHIP_RULES, ADDITIONAL_DATA_RULE, MERGED_DUPLICATE_REASON } from '../config/duplicateClusters.js';
+import DuplicateCluster from '../models/DuplicateCluster.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { validateLeadFields } from './leadValidation.js';
+import { reevaluateDuplicates, DEDUP_LEAD_FIELDS } from './instantLeadImporter.js';
+
+/**
+ * Duplicate clusters: every lead linked through is_duplicate / original_lead_id
+ * (directly or through a chain) belongs to one cluster with a golden record,
+ * and merging a cluster writes the best value of every field to that record.
+ */
+
+const CLUSTER_CHUNK_SIZE = 500;
+const CLUSTER_LEAD_FIELDS = '_id is_duplicate original_lead_id duplicate_cluster_id';
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Submission time of a lead, used by the most_recent rule
+const recencyOf = (lead) => new Date(lead.lead_created_at || lead.createdAt || 0).getTime();
+
+/**
+ * Refresh member_count of the given clusters
+ */
+const refreshMemberCounts = async (clusterIds) => {
+    if (clusterIds.length === 0) return;
+
+    const counts = await InstantFormLead.aggregate([
+        { $match: { duplicate_cluster_id: { $in: clusterIds } } },
+        { $group: { _id: '$duplicate_cluster_id', count: { $sum: 1 } } }
+    ]);
+
+    await DuplicateCluster.bulkWrite(counts.map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $set: { member_count: count } } }
+    })), { ordered: false });
+};
+
+/**
+ * Put duplicate leads in the cluster of their original, creating a cluster
+ * (with the original as golden record) when neither has one yet, and joining
+ * the two clusters when both have one
+ * @param {Array<Object>} leads - Leads with the fields of CLUSTER_LEAD_FIELDS
+ * @returns {Promise<Object>} { clusteredLeads, createdClusters, joinedClusters }
+ */
+export const assignDuplicateClusters = async (leads) => {
+    const summary = { clusteredLeads: 0, createdClusters: 0, joinedClusters: 0 };
+    const touchedClusters = new Map();
+
+    // Oldest first, so the original of a chain is clustered before the leads pointing at it
+    const sortedLeads = leads
+        .filter(lead => lead.is_duplicate && lead.original_lead_id)
+        .sort((a, b) => String(a._id).localeCompare(String(b._id)));
+
+    for (const { _id } of sortedLeads) {
+        // Re-read both: earlier leads of the set may have moved them to another cluster
+        const lead = await InstantFormLead.findById(_id).select(CLUSTER_LEAD_FIELDS).lean();
+        const original = lead && await InstantFormLead.findById(lead.original_lead_id).select(CLUSTER_LEAD_FIELDS).lean();
+        if (!lead || !original) continue;
+
+        const leadCluster = lead.duplicate_cluster_id;
+        const originalCluster = original.duplicate_cluster_id;
+
+        if (leadCluster && originalCluster && leadCluster.equals(originalCluster)) continue;
+
+        let clusterId = originalCluster || leadCluster;
+
+        if (!clusterId) {
+            const cluster = await DuplicateCluster.create({ golden_lead_id: original._id });
+            clusterId = cluster._id;
+            await InstantFormLead.updateOne({ _id: original._id }, {
+                $set: { duplicate_cluster_id: clusterId, is_golden_record: true }
+            });
+            summary.createdClusters++;
+        } else if (leadCluster && originalCluster) {
+            // The original's cluster keeps its golden record
+            await InstantFormLead.updateMany({ duplicate_cluster_id: leadCluster }, {
+                $set: { duplicate_cluster_id: originalCluster, is_golden_record: false }
+            });
+            await DuplicateCluster.deleteOne({ _id: leadCluster });
+            touchedClusters.delete(String(leadCluster));
+            summary.joinedClusters++;
+        } else if (!originalCluster) {
+            await InstantFormLead.updateOne({ _id: original._id }, {
+                $set: { duplicate_cluster_id: clusterId, is_golden_record: false }
+            });
+        }
+
+        if (!leadCluster) {
+            await InstantFormLead.updateOne({ _id: lead._id }, {
+                $set: { duplicate_cluster_id: clusterId, is_golden_record: false }
+            });
+        }
+
+        touchedClusters.set(String(clusterId), clusterId);
+        summary.clusteredLeads++;
+    }
+
+    await refreshMemberCounts([...touchedClusters.values()]);
+
+    return summary;
+};
+
+/**
+ * Cluster the duplicate leads of a query in chunks, walking `_id` upwards
+ * @param {Object} filter - InstantFormLead query, e.g. { import_batch_id }
+ * @returns {Promise<Object>} { clusteredLeads, createdClusters, joinedClusters }
+ */
+export const assignDuplicateClustersWhere = async (filter = {}) => {
+    const summary = { clusteredLeads: 0, createdClusters: 0, joinedClusters: 0 };
+    let lastId = null;
+
+    while (true) {
+        const query = { ...filter, is_duplicate: true };
+        if (lastId) query._id = { $gt: lastId };
+
+        const leads = await InstantFormLead.find(query)
+            .select(CLUSTER_LEAD_FIELDS)
+            .sort({ _id: 1 })
+            .limit(CLUSTER_CHUNK_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const chunkSummary = await assignDuplicateClusters(leads);
+        Object.keys(summary).forEach(key => {
+            summary[key] += chunkSummary[key];
+        });
+        lastId = leads[leads.length - 1]._id;
+    }
+
+    return summary;
+};
+
+/**
+ * Fix clusters after some of their leads were removed: a cluster left with a
+ * single lead is dissolved, one that lost its golden record gets a new one
+ * (the earliest remaining original, or the earliest lead)
+ * @param {Array} clusterIds - Clusters the removed leads belonged to
+ * @returns {Promise<Object>} { dissolvedClusters, newGoldenRecords }
+ */
+export const pruneDuplicateClusters = async (clusterIds) => {
+    const summary = { dissolvedClusters: 0, newGoldenRecords: 0 };
+
+    for (const clusterId of clusterIds) {
+        const cluster = await DuplicateCluster.findById(clusterId);
+        if (!cluster) continue;
+
+        const members = await InstantFormLead.find({ duplicate_cluster_id: cluster._id })
+            .select('_id is_duplicate')
+            .sort({ _id: 1 })
+            .lean();
+
+        if (members.length < 2) {
+            await InstantFormLead.updateMany({ duplicate_cluster_id: cluster._id }, {
+                $set: { duplicate_cluster_id: null, is_golden_record: false }
+            });
+            await cluster.deleteOne();
+            summary.dissolvedClusters++;
+            continue;
+        }
+
+        if (!members.some(member => member._id.equals(cluster.golden_lead_id))) {
+            const golden = members.find(member => !member.is_duplicate) || members[0];
+            await InstantFormLead.updateOne({ _id: golden._id }, { $set: { is_golden_record: true } });
+            cluster.golden_lead_id = golden._id;
+            summary.newGoldenRecords++;
+        }
+
+        cluster.member_count = members.length;
+        await cluster.save();
+    }
+
+    return summary;
+};
+
+/**
+ * Take leads out of their clusters, e.g. before their duplicate links are
+ * re-evaluated, and fix the clusters they leave
+ * @param {Array} leadIds - Leads to detach
+ * @returns {Promise<Object>} { dissolvedClusters, newGoldenRecords }
+ */
+export const detachFromClusters = async (leadIds) => {
+    const clusterIds = await InstantFormLead.distinct('duplicate_cluster_id', {
+        _id: { $in: leadIds },
+        duplicate_cluster_id: { $ne: null }
+    });
+    if (clusterIds.length === 0) return { dissolvedClusters: 0, newGoldenRecords: 0 };
+
+    await InstantFormLead.updateMany({ _id: { $in: leadIds } }, {
+        $set: { duplicate_cluster_id: null, is_golden_record: false }
+    });
+    return pruneDuplicateClusters(clusterIds);
+};
+
+/**
+ * Pick the surviving value of every mergeable field among cluster members
+ * @param {Array<Object>} members - Leads of the cluster
+ * @returns {Array<Object>} { field, value, source_lead_id, rule }, additional_data keys as `additional_data.<key>`
+ */
+export const buildSurvivingFields = (members) => {
+    // Most recent first, so ties go to the most recent lead
+    const byRecency = [...members].sort((a, b) =>
+        recencyOf(b) - recencyOf(a) || String(b._id).localeCompare(String(a._id))
+    );
+
+    const pick = (getValue, rule) => {
+        const withValue = byRecency.filter(member => hasValue(getValue(member)));
+        if (withValue.length === 0) return null;
+
+        const source = rule === 'longest'
+            ? withValue.reduce((best, member) =>
+                (String(getValue(member)).trim().length > String(getValue(best)).trim().length ? member : best))
+            : withValue[0];
+
+        return { value: getValue(source), source_lead_id: source._id, rule };
+    };
+
+    const fields = [];
+
+    Object.entries(SURVIVORSHIP_RULES).forEach(([field, rule]) => {
+        const survivor = pick(member => member[field], rule);
+        if (survivor) fields.push({ field, ...survivor });
+    });
+
+    const additionalKeys = new Set(members.flatMap(member => Object.keys(member.additional_data || {})));
+    additionalKeys.forEach(key => {
+        const survivor = pick(member => member.additional_data?.[key], ADDITIONAL_DATA_RULE);
+        if (survivor) fields.push({ field: `additional_data.${key}`, ...survivor });
+    });
+
+    return fields;
+};
+
+/**
+ * Merge a cluster into its golden record: the surviving value of every field
+ * is written to the golden record, and every other member points at the
+ * earliest member as a duplicate, which also flattens any chain of duplicates.
+ * The golden record can be any member (is_golden_record / golden_lead_id), but
+ * the earliest one stays the dedup original, as a later re-check
+ * (reevaluateDuplicates) only takes earlier leads as originals.
+ * The merged PAN / email may belong to an earlier lead outside the cluster, so
+ * the original and the golden record then go through the duplicate check again
+ * and the cluster joins the cluster of an earlier lead they now duplicate.
+ * @param {Object} cluster - DuplicateCluster document
+ * @param {Object} options - { goldenLeadId: member to use as golden record (current one by default),
+ *                            mergedBy, dryRun: only compute the merged fields }
+ * @returns {Promise<Object|null>} { clusterId, goldenLeadId, originalLeadId, memberCount, mergedFields, dryRun,
+ *                                  duplicateOf: earlier lead outside the cluster the cluster now duplicates },
+ *                                  null when the golden lead is not a member of the cluster (or was deleted)
+ */
+export const mergeDuplicateCluster = async (cluster, { goldenLeadId, mergedBy, dryRun = false } = {}) => {
+    const members = await InstantFormLead.find({ duplicate_cluster_id: cluster._id, deleted_at: null })
+        .sort({ _id: 1 })
+        .lean();
+    const goldenId = goldenLeadId || cluster.golden_lead_id;
+    if (!members.some(member => member._id.equals(goldenId))) return null;
+
+    const original = members[0];
+    const mergedFields = buildSurvivingFields(members);
+
+    const result = {
+        clusterId: cluster._id,
+        goldenLeadId: goldenId,
+        originalLeadId: original._id,
+        memberCount: members.length,
+        mergedFields,
+        dryRun,
+        duplicateOf: null
+    };
+
+    if (dryRun) return result;
+
+    const golden = await InstantFormLead.findById(goldenId);
+    const additionalData = { ...(golden.additional_data || {}) };
+    mergedFields.forEach(({ field, value }) => {
+        // additional_data keys are headers and may contain dots, so the object is set as a whole
+        if (field.startsWith('additional_data.')) {
+            additionalData[field.slice('additional_data.'.length)] = value;
+        } else {
+            golden.set(field, value);
+        }
+    });
+    golden.additional_data = additionalData;
+    golden.markModified('additional_data');
+    golden.validation_warnings = validateLeadFields(golden);
+    golden.is_golden_record = true;
+    // Quality and name_key are recomputed by the save middleware
+    await golden.save();
+
+    await InstantFormLead.updateOne({ _id: original._id }, {
+        $set: { is_duplicate: false, duplicate_reason: null, original_lead_id: null }
+    });
+    const others = { duplicate_cluster_id: cluster._id, _id: { $ne: original._id }, deleted_at: null };
+    await InstantFormLead.updateMany({ ...others, is_duplicate: false }, {
+        $set: { duplicate_reason: MERGED_DUPLICATE_REASON }
+    });
+    await InstantFormLead.updateMany(others, {
+        $set: { is_duplicate: true, original_lead_id: original._id }
+    });
+    await InstantFormLead.updateMany({ duplicate_cluster_id: cluster._id, _id: { $ne: golden._id } }, {
+        $set: { is_golden_record: false }
+    });
+
+    cluster.golden_lead_id = golden._id;
+    cluster.member_count = members.length;
+    cluster.merged_at = new Date();
+    cluster.merged_by = mergedBy || 'unknown';
+    cluster.merged_fields = mergedFields;
+    await cluster.save();
+
+    console.log(`🔗 Duplicate cluster ${cluster._id} merged into ${golden._id} by ${cluster.merged_by} (${members.length} leads)`);
+
+    // Members after the original only hold values it shares, so it can only
+    // become the duplicate of an earlier lead outside the cluster
+    const recheckIds = [original._id, golden._id];
+    const rechecked = await InstantFormLead.find({ _id: { $in: recheckIds } }).select(DEDUP_LEAD_FIELDS).lean();
+    await reevaluateDuplicates(rechecked);
+
+    const relinked = await InstantFormLead.find({ _id: { $in: recheckIds } }).select(CLUSTER_LEAD_FIELDS).lean();
+    const goldenLead = relinked.find(lead => lead._id.equals(golden._id));
+    if (!golden._id.equals(original._id) && !goldenLead.is_duplicate) {
+        // Merged values no longer shared with an earlier member, the merge keeps it in the cluster
+        await InstantFormLead.updateOne({ _id: golden._id }, {
+            $set: { is_duplicate: true, duplicate_reason: MERGED_DUPLICATE_REASON, original_lead_id: original._id }
+        });
+    }
+
+    const memberIds = new Set(members.map(member => String(member._id)));
+    const outside = relinked.filter(lead => lead.is_duplicate && !memberIds.has(String(lead.original_lead_id)));
+    if (outside.length > 0) {
+        await assignDuplicateClusters(outside);
+        result.duplicateOf = outside[0].original_lead_id;
+        console.log(`🔗 Duplicate cluster ${cluster._id} duplicates ${result.duplicateOf} after the merge`);
+    }
+
+    return result;
+};
@@ -0,0 +1,282 @@
+import { FUZZY_DUPLICATE_SETTINGS, FUZZY_DUPLICATE_WEIGHTS, CONFIRMED_DUPLICATE_REASON } from '../config/fuzzyDuplicates.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import PossibleDuplicate from '../models/PossibleDuplicate.js';
+import { jaroWinkler } from './nameMatching.js';
+import { reevaluateDuplicates, DEDUP_LEAD_FIELDS } from './instantLeadImporter.js';
+import { assignDuplicateClusters, detachFromClusters } from './duplicateClusters.js';
+
+/**
+ * Fuzzy duplicate pass: finds leads that are probably the same person as an
+ * earlier lead without sharing its phone, PAN or email (typo in the number,
+ * different email...) and stores them as PossibleDuplicate links for review.
+ */
+
+const FUZZY_CHUNK_SIZE = 200;
+const FUZZY_LEAD_FIELDS = '_id name_key phone_canonical pan_number city pincode import_batch_id is_duplicate original_lead_id';
+const PAN_FORMAT = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DIGITS = '0123456789';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mobiles one digit away: one digit replaced, or two neighbouring digits swapped
+ */
+export const phoneOneEditVariants = (mobile) => {
+    const variants = new Set();
+    for (let i = 0; i < mobile.length; i++) {
+        for (const digit of DIGITS) {
+            if (digit !== mobile[i]) {
+                variants.add(mobile.slice(0, i) + digit + mobile.slice(i + 1));
+            }
+        }
+        if (i < mobile.length - 1 && mobile[i] !== mobile[i + 1]) {
+            variants.add(mobile.slice(0, i) + mobile[i + 1] + mobile[i] + mobile.slice(i + 2));
+        }
+    }
+    return [...variants];
+};
+
+/**
+ * PANs with exactly one character replaced (letters by letters, digits by digits)
+ */
+export const panOneCharVariants = (pan) => {
+    const variants = [];
+    for (let i = 0; i < pan.length; i++) {
+        const alphabet = /[0-9]/.test(pan[i]) ? DIGITS : LETTERS;
+        for (const char of alphabet) {
+            if (char !== pan[i]) {
+                variants.push(pan.slice(0, i) + char + pan.slice(i + 1));
+            }
+        }
+    }
+    return variants;
+};
+
+const sameText = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Score two leads with the fuzzy signals
+ * @returns {Object} { score, reasons, nameSimilarity }
+ */
+export const scoreLeadPair = (lead, candidate) => {
+    const reasons = [];
+    let score = 0;
+
+    const nameSimilarity = lead.name_key && candidate.name_key
+        ? Number(jaroWinkler(lead.name_key, candidate.name_key).toFixed(3))
+        : null;
+    if (nameSimilarity !== null && nameSimilarity >= FUZZY_DUPLICATE_SETTINGS.minNameSimilarity) {
+        score += FUZZY_DUPLICATE_WEIGHTS.name * nameSimilarity;
+        reasons.push('name');
+    }
+
+    if (sameText(lead.pincode, candidate.pincode)) {
+        score += FUZZY_DUPLICATE_WEIGHTS.samePincode;
+        reasons.push('same_pincode');
+    } else if (sameText(lead.city, candidate.city)) {
+        score += FUZZY_DUPLICATE_WEIGHTS.sameCity;
+        reasons.push('same_city');
+    }
+
+    if (lead.phone_canonical && candidate.phone_canonical &&
+        phoneOneEditVariants(lead.phone_canonical).includes(candidate.phone_canonical)) {
+        score += FUZZY_DUPLICATE_WEIGHTS.phoneOneEdit;
+        reasons.push('phone_one_edit');
+    }
+
+    if (lead.pan_number && candidate.pan_number && lead.pan_number.length === candidate.pan_number.length &&
+        [...lead.pan_number].filter((char, i) => char !== candidate.pan_number[i]).length === 1) {
+        score += FUZZY_DUPLICATE_WEIGHTS.panOneChar;
+        reasons.push('pan_one_char');
+    }
+
+    return { score: Number(score.toFixed(3)), reasons, nameSimilarity };
+};
+
+/**
+ * Earlier leads worth scoring against a lead: phone one edit away, PAN one
+ * character away, or same first name in the same pincode / city
+ */
+const findCandidates = (lead) => {
+    const conditions = [];
+
+    if (lead.phone_canonical) {
+        conditions.push({ phone_canonical: { $in: phoneOneEditVariants(lead.phone_canonical) } });
+    }
+    if (lead.pan_number && PAN_FORMAT.test(lead.pan_number)) {
+        conditions.push({ pan_number: { $in: panOneCharVariants(lead.pan_number) } });
+    }
+
+    const firstName = lead.name_key?.split(' ')[0];
+    if (firstName && (lead.pincode || lead.city)) {
+        conditions.push({
+            name_key: { $regex: `^${escapeRegex(firstName)}( |$)` },
+            ...(lead.pincode
+                ? { pincode: lead.pincode }
+                : { city: { $regex: `^${escapeRegex(lead.city.trim())}$`, $options: 'i' } })
+        });
+    }
+
+    if (conditions.length === 0) return [];
+
+    return InstantFormLead.find({ _id: { $lt: lead._id }, $or: conditions, deleted_at: null })
+        .select(FUZZY_LEAD_FIELDS)
+        .sort({ _id: -1 })
+        .limit(FUZZY_DUPLICATE_SETTINGS.maxCandidates)
+        .lean();
+};
+
+/**
+ * Run the fuzzy pass for a set of leads and store the links found
+ * @param {Array<Object>} leads - Leads with the fields of FUZZY_LEAD_FIELDS
+ * @returns {Promise<Object>} { checkedLeads, possibleDuplicates }
+ */
+export const findPossibleDuplicates = async (leads) => {
+    const summary = { checkedLeads: 0, possibleDuplicates: 0 };
+    const operations = [];
+
+    for (const lead of leads) {
+        // Hard duplicates are already linked to their original
+        if (lead.is_duplicate) continue;
+        summary.checkedLeads++;
+
+        const candidates = await findCandidates(lead);
+        candidates.forEach(candidate => {
+            if (candidate._id.equals(lead.original_lead_id) || lead._id.equals(candidate.original_lead_id)) return;
+
+            const { score, reasons, nameSimilarity } = scoreLeadPair(lead, candidate);
+            if (score < FUZZY_DUPLICATE_SETTINGS.minScore) return;
+
+            summary.possibleDuplicates++;
+            operations.push({
+                updateOne: {
+                    filter: { lead_id: lead._id, candidate_lead_id: candidate._id },
+                    // A reviewed link keeps its decision
+                    update: {
+                        $set: { score, reasons, name_similarity: nameSimilarity },
+                        $setOnInsert: { import_batch_id: lead.import_batch_id || null, status: 'pending' }
+                    },
+                    upsert: true
+                }
+            });
+        });
+    }
+
+    if (operations.length > 0) {
+        await PossibleDuplicate.bulkWrite(operations, { ordered: false });
+    }
+
+    return summary;
+};
+
+/**
+ * Fuzzy pass over every lead of an import batch
+ * @returns {Promise<Object>} { checkedLeads, possibleDuplicates }
+ */
+export const findPossibleDuplicatesForBatch = async (batchId) => {
+    const summary = { checkedLeads: 0, possibleDuplicates: 0 };
+    let lastId = null;
+
+    while (true) {
+        const filter = { import_batch_id: batchId };
+        if (lastId) filter._id = { $gt: lastId };
+
+        const leads = await InstantFormLead.find(filter)
+            .select(FUZZY_LEAD_FIELDS)
+            .sort({ _id: 1 })
+            .limit(FUZZY_CHUNK_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const chunkSummary = await findPossibleDuplicates(leads);
+        summary.checkedLeads += chunkSummary.checkedLeads;
+        summary.possibleDuplicates += chunkSummary.possibleDuplicates;
+        lastId = leads[leads.length - 1]._id;
+    }
+
+    return summary;
+};
+
+/**
+ * Confirm a possible duplicate: the lead becomes a duplicate of the candidate's
+ * original, and the leads that had the lead as original are re-pointed there
+ * too, so no chain is created (as for exact duplicates)
+ * @param {Object} lead - Newer lead of the pair, not a duplicate yet
+ * @param {Object} candidate - Earlier lead of the pair (_id, is_duplicate, original_lead_id)
+ * @returns {Promise<Object>} { originalLeadId, repointed: leads re-pointed from the lead }
+ */
+export const confirmPossibleDuplicate = async (lead, candidate) => {
+    const originalLeadId = candidate.is_duplicate && candidate.original_lead_id
+        ? candidate.original_lead_id
+        : candidate._id;
+
+    await InstantFormLead.updateOne({ _id: lead._id }, {
+        $set: {
+            is_duplicate: true,
+            duplicate_reason: CONFIRMED_DUPLICATE_REASON,
+            original_lead_id: originalLeadId
+        }
+    });
+
+    const dependents = await InstantFormLead.find({ original_lead_id: lead._id, deleted_at: null })
+        .select('_id is_duplicate')
+        .lean();
+    if (dependents.length > 0) {
+        await InstantFormLead.updateMany({ _id: { $in: dependents.map(dependent => dependent._id) } }, {
+            $set: { original_lead_id: originalLeadId }
+        });
+    }
+
+    await assignDuplicateClusters([
+        { _id: lead._id, is_duplicate: true, original_lead_id: originalLeadId },
+        ...dependents.map(dependent => ({ ...dependent, original_lead_id: originalLeadId }))
+    ]);
+
+    return { originalLeadId, repointed: dependents.length };
+};
+
+/**
+ * Undo a confirmed possible duplicate. While another confirmed pair of the
+ * lead remains, the lead stays its duplicate (re-pointed when it pointed at the
+ * dismissed candidate's original); otherwise it leaves its duplicate cluster
+ * and goes through the exact duplicate check again
+ * @param {Object} lead - Lead confirmed as duplicate by this pair
+ * @param {Object} link - PossibleDuplicate being dismissed
+ * @returns {Promise<Object>} { repointed, promoted, reEngaged, keptBy: candidate of the remaining confirmed pair }
+ */
+export const dismissConfirmedDuplicate = async (lead, link) => {
+    const otherLinks = await PossibleDuplicate.find({ lead_id: lead._id, status: 'confirmed', _id: { $ne: link._id } })
+        .select('candidate_lead_id')
+        .lean();
+    const [keptBy] = otherLinks.length === 0 ? [] : await InstantFormLead.find({
+        _id: { $in: otherLinks.map(other => other.candidate_lead_id) },
+        deleted_at: null
+    })
+        .select('_id is_duplicate original_lead_id')
+        .sort({ _id: 1 })
+        .lean();
+
+    if (keptBy) {
+        const keptOriginal = keptBy.is_duplicate && keptBy.original_lead_id ? keptBy.original_lead_id : keptBy._id;
+        if (lead.original_lead_id && keptOriginal.equals(lead.original_lead_id)) {
+            return { repointed: 0, promoted: 0, reEngaged: 0, keptBy: keptBy._id };
+        }
+        await detachFromClusters([lead._id]);
+        const { repointed } = await confirmPossibleDuplicate(lead, keptBy);
+        return { repointed: repointed + 1, promoted: 0, reEngaged: 0, keptBy: keptBy._id };
+    }
+
+    await detachFromClusters([lead._id]);
+
+    const current = await InstantFormLead.findById(lead._id).select(DEDUP_LEAD_FIELDS).lean();
+    const summary = await reevaluateDuplicates([current]);
+
+    const relinked = await InstantFormLead.findById(lead._id)
+        .select('_id is_duplicate original_lead_id duplicate_cluster_id')
+        .lean();
+    await assignDuplicateClusters([relinked]);
+
+    return { ...summary, keptBy: null };
+};
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { GOOGLE_LEAD_FORMS, GOOGLE_COLUMN_FIELDS } from '../config/leadWebhooks.js';
+import { ingestLeadRows, findReceivedLead } from './leadIngest.js';
+
+/**
+ * Google Ads lead form assets: the webhook carries the answers as
+ * user_column_data, imported like a row of an uploaded file.
+ */
+
+const GOOGLE_SOURCE = 'google_webhook';
+
+const toId = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+/**
+ * Compare the google_key of a delivery with GOOGLE_LEAD_FORM_KEY
+ * @returns {boolean}
+ */
+export const verifyGoogleKey = (googleKey, expectedKey = GOOGLE_LEAD_FORMS.key) => {
+    if (!googleKey || !expectedKey) return false;
+
+    const received = Buffer.from(String(googleKey));
+    const expected = Buffer.from(expectedKey);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Google lead -> row keyed by InstantFormLead field (standard columns) or column_id (custom questions)
+ * @param {Object} lead - Webhook body
+ */
+export const googleLeadToRow = (lead) => {
+    const row = {
+        lead_id: lead.lead_id,
+        created_time: lead.lead_submit_time || new Date().toISOString(),
+        ad_id: toId(lead.creative_id) || '',
+        platform: GOOGLE_LEAD_FORMS.platform,
+        form_id: toId(lead.form_id) || '',
+        gcl_id: lead.gcl_id || '',
+        is_test: lead.is_test ? 'true' : ''
+    };
+
+    (lead.user_column_data || []).forEach(({ column_id, string_value }) => {
+        if (!column_id) return;
+        row[GOOGLE_COLUMN_FIELDS[column_id] || column_id] = string_value ?? '';
+    });
+
+    return row;
+};
+
+/**
+ * Import a Google lead form delivery
+ * @param {Object} lead - Webhook body ({ lead_id, user_column_data, campaign_id, adgroup_id, creative_id, ... })
+ * @returns {Promise<Object>} { leadId: Google lead_id, status: 'stored' | 'duplicate' | 'skipped' | 'error', storedLeadId, reason, error }
+ */
+export const ingestGoogleLead = async (lead) => {
+    const externalLeadId = toId(lead.lead_id);
+
+    const existing = externalLeadId && await findReceivedLead(GOOGLE_SOURCE, externalLeadId);
+    if (existing) {
+        return { leadId: externalLeadId, status: 'skipped', storedLeadId: existing._id, reason: 'Lead already received' };
+    }
+
+    const [result] = await ingestLeadRows([googleLeadToRow(lead)], {
+        source: GOOGLE_SOURCE,
+        profileName: GOOGLE_LEAD_FORMS.mappingProfile,
+        rowExtras: [{
+            external_lead_id: externalLeadId,
+            campaign_id: toId(lead.campaign_id),
+            adgroup_id: toId(lead.adgroup_id)
+        }]
+    });
+
+    const { status, leadId, originalLeadId, existingLeadId, reason, error } = result;
+    return { leadId: externalLeadId, status, storedLeadId: leadId, originalLeadId, existingLeadId, reason, error };
+};
@@ -0,0 +1,86 @@
+import xlsx from 'xlsx';
+import ImportRowResult from '../models/ImportRowResult.js';
+
+/**
+ * Row-level Excel report of an import batch
+ */
+
+// Columns appended to the uploaded rows; the importer ignores them on re-upload
+export const REPORT_COLUMNS = {
+    status: 'import_status',
+    reason: 'import_reason',
+    warnings: 'import_warnings',
+    leadId: 'import_lead_id',
+    originalLeadId: 'import_original_lead_id'
+};
+
+export const REPORT_STATUSES = ['stored', 'duplicate', 'skipped', 'rejected'];
+
+/**
+ * Build the report workbook: one sheet per uploaded sheet, with the original
+ * columns followed by the import status, reason, validation warnings and matched lead ids
+ * @param {Object} batch - ImportBatch document
+ * @param {Array<string>} statuses - Only include rows with these statuses (all when empty)
+ * @returns {Promise<Buffer|null>} .xlsx contents, null when no row results are stored
+ */
+export const buildImportReport = async (batch, statuses = []) => {
+    const query = { import_batch_id: batch._id };
+    if (statuses.length > 0) {
+        query.status = { $in: statuses };
+    }
+
+    const rowResults = await ImportRowResult.find(query)
+        .sort({ _id: 1 })
+        .lean();
+
+    if (rowResults.length === 0) {
+        return null;
+    }
+
+    const workbook = xlsx.utils.book_new();
+    const sheetOrder = batch.sheets.length > 0
+        ? batch.sheets.map(sheet => sheet.name)
+        : [...new Set(rowResults.map(result => result.excel_sheet_name))];
+    const usedSheetNames = new Set();
+
+    sheetOrder.forEach(sheetName => {
+        const sheetResults = rowResults.filter(result => result.excel_sheet_name === sheetName);
+        if (sheetResults.length === 0) return;
+
+        const uploadedHeaders = batch.sheets.find(sheet => sheet.name === sheetName)?.headers || [];
+        const headers = [...new Set([
+            ...uploadedHeaders,
+            ...sheetResults.flatMap(result => Object.keys(result.row_data || {}))
+        ])];
+
+        const data = sheetResults
+            .sort((a, b) => a.excel_row_number - b.excel_row_number)
+            .map(result => {
+                const row = {};
+                headers.forEach(header => {
+                    row[header] = result.row_data?.[header] ?? '';
+                });
+                row[REPORT_COLUMNS.status] = result.status;
+                row[REPORT_COLUMNS.reason] = result.reason || '';
+                row[REPORT_COLUMNS.warnings] = (result.warnings || []).join('; ');
+                row[REPORT_COLUMNS.leadId] = result.lead_id ? String(result.lead_id) : '';
+                row[REPORT_COLUMNS.originalLeadId] = result.original_lead_id ? String(result.original_lead_id) : '';
+                return row;
+            });
+
+        const worksheet = xlsx.utils.json_to_sheet(data, {
+            header: [...headers, ...Object.values(REPORT_COLUMNS)]
+        });
+
+        // Excel limits sheet names to 31 characters and requires them to be unique
+        let reportSheetName = String(sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, '_').slice(0, 31);
+        for (let suffix = 2; usedSheetNames.has(reportSheetName); suffix++) {
+            reportSheetName = `${reportSheetName.slice(0, 28)}_${suffix}`;
+        }
+        usedSheetNames.add(reportSheetName);
+
+        xlsx.utils.book_append_sheet(workbook, worksheet, reportSheetName);
+    });
+
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
@@ -0,0 +1,820 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import xlsx from 'xlsx';
+import csv from 'csv-parser';
+import mongoose from 'mongoose';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { IMPORTABLE_LEAD_FIELDS } from '../models/MappingProfile.js';
+import PossibleDuplicate from '../models/PossibleDuplicate.js';
+import { pruneDuplicateClusters } from './duplicateClusters.js';
+import {
+    DEFAULT_MAPPING_PROFILE,
+    mapHeader,
+    applyFieldTransforms,
+    resolveMappingProfile
+} from './mappingProfiles.js';
+import { normalizeIndianMobile } from './phoneNumbers.js';
+import { parseLeadTimestamp } from './leadDates.js';
+import { validateLeadFields, formatValidationWarnings, DEFAULT_VALIDATION_STRICTNESS } from './leadValidation.js';
+import { REPORT_COLUMNS } from './importReport.js';
+import { getDedupWindowDays, getLeadTime, isWithinDedupWindow, daysBetween } from './dedupWindows.js';
+import { RE_ENGAGED_REASON } from '../config/dedupWindows.js';
+
+/**
+ * Instant form lead import helpers, shared by the upload route and the import worker
+ */
+
+const CSV_EXTENSIONS = ['.csv', '.tsv'];
+const PREVIEW_CHUNK_SIZE = 500;
+const MAX_PREVIEW_REJECTED_ROWS = 500;
+
+const REPORT_HEADERS = new Set(Object.values(REPORT_COLUMNS));
+
+// Duplicate checks in priority order
+const DUPLICATE_KEYS = [
+    { field: 'phone_canonical', reason: 'Phone number already exists' },
+    { field: 'pan_number', reason: 'PAN number already exists' },
+    { field: 'email', reason: 'Email already exists' }
+];
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Decode a text export, detecting UTF-8 / UTF-16 (with or without BOM) and
+ * falling back to Windows-1252 for legacy files
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {string} Decoded text without BOM
+ */
+export const decodeTextFile = (buffer) => {
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+    }
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return new TextDecoder('utf-8').decode(buffer.subarray(3));
+    }
+
+    // No BOM: ASCII text in UTF-16 has a NUL in every other byte
+    const sample = buffer.subarray(0, 1000);
+    let evenNuls = 0;
+    let oddNuls = 0;
+    sample.forEach((byte, index) => {
+        if (byte === 0) {
+            index % 2 === 0 ? evenNuls++ : oddNuls++;
+        }
+    });
+    if (oddNuls > sample.length / 4) {
+        return new TextDecoder('utf-16le').decode(buffer);
+    }
+    if (evenNuls > sample.length / 4) {
+        return new TextDecoder('utf-16be').decode(buffer);
+    }
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+};
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} text - Decoded file contents
+ * @returns {string} Delimiter character
+ */
+export const detectDelimiter = (text) => {
+    const headerLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+
+    CSV_DELIMITERS.forEach(delimiter => {
+        const count = headerLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+
+    return best;
+};
+
+/**
+ * Parse a CSV/TSV file into rows keyed by header
+ */
+const readCsvRows = (filePath) => new Promise((resolve, reject) => {
+    const text = decodeTextFile(fs.readFileSync(filePath));
+    const rows = [];
+
+    Readable.from([text])
+        .pipe(csv({
+            separator: detectDelimiter(text),
+            mapHeaders: ({ header }) => header.trim()
+        }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+});
+
+/**
+ * SHA-256 of an uploaded file
+ * @param {string} filePath - Path of the uploaded file on disk
+ * @returns {string} Hex digest
+ */
+export const computeFileChecksum = (filePath) =>
+    crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+/**
+ * Read an uploaded Excel or CSV file
+ * @param {string} filePath - Path of the uploaded file on disk
+ * @param {string} fileName - Original file name, used to tell CSV from Excel
+ * @param {Array<string>} sheetNames - Sheets to read, all sheets when empty
+ * @returns {Promise<Array<Object>>} { sheetName, rows } per sheet, rows keyed by header
+ */
+export const readImportFile = async (filePath, fileName, sheetNames = []) => {
+    if (CSV_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        return [{ sheetName: path.basename(fileName), rows: await readCsvRows(filePath) }];
+    }
+
+    const workbook = xlsx.readFile(filePath);
+
+    const missingSheets = sheetNames.filter(name => !workbook.SheetNames.includes(name));
+    if (missingSheets.length > 0) {
+        throw new Error(`Sheet(s) not found: ${missingSheets.join(', ')}. Available sheets: ${workbook.SheetNames.join(', ')}`);
+    }
+
+    const selectedSheets = sheetNames.length > 0
+        ? workbook.SheetNames.filter(name => sheetNames.includes(name))
+        : workbook.SheetNames;
+
+    return selectedSheets.map(sheetName => ({
+        sheetName,
+        rows: xlsx.utils.sheet_to_json(workbook.Sheets[sheetName])
+    }));
+};
+
+/**
+ * All headers found in the sheets of a file
+ * @param {Array<Object>} sheets - Result of readImportFile
+ * @returns {Array<string>} Unique headers
+ */
+export const getFileHeaders = (sheets) =>
+    [...new Set(sheets.flatMap(({ rows }) => rows.flatMap(row => Object.keys(row))))];
+
+// Function to extract ALL fields from Excel row dynamically
+export function extractAllFields(row, rowNumber, profile = DEFAULT_MAPPING_PROFILE) {
+    const leadData = {
+        excel_row_number: rowNumber,
+        additional_data: {}
+    };
+
+    // Process each Excel column
+    Object.keys(row).forEach(excelHeader => {
+        const value = String(row[excelHeader] || '').trim();
+
+        if (!value) return; // Skip empty values
+        if (REPORT_HEADERS.has(excelHeader)) return; // Status columns of a re-uploaded import report
+
+        const modelField = mapHeader(excelHeader, profile);
+
+        if (modelField === 'phone_number') {
+            leadData.phone_raw = value; // As written in the file, for audit
+        }
+
+        if (modelField) {
+            // Profile transforms (digits only, uppercase, dates, value maps...)
+            leadData[modelField] = applyFieldTransforms(value, modelField, profile);
+        } else {
+            // If not mapped to known field, store in additional_data
+            leadData.additional_data[excelHeader] = value;
+        }
+    });
+
+    // As the schema stores them, so rows of one chunk are deduped on the same values
+    if (leadData.email) leadData.email = leadData.email.toLowerCase();
+    if (leadData.pan_number) leadData.pan_number = leadData.pan_number.toUpperCase();
+
+    return leadData;
+}
+
+/**
+ * Remember a lead as a holder of an identifier value: the first holder, and
+ * the most recent one that is not a duplicate (its latest engagement)
+ */
+const registerHolder = (index, value, lead, isEngagement) => {
+    const at = getLeadTime(lead);
+    let entry = index.get(value);
+
+    if (!entry) {
+        entry = { firstId: lead._id, firstAt: at, engagementId: null, engagementAt: null };
+        index.set(value, entry);
+    }
+    if (isEngagement && (entry.engagementAt === null || at >= entry.engagementAt)) {
+        entry.engagementId = lead._id;
+        entry.engagementAt = at;
+    }
+};
+
+/**
+ * Duplicate check of one lead against the holders of its phone / PAN / email.
+ * Without a dedup window the lead is a duplicate of the first holder; with one,
+ * it is a duplicate of the latest engagement when inside the window and a
+ * re-engagement of it when every match is older than the window.
+ * @param {Object} lead - Lead data with phone_canonical, pan_number, email
+ * @param {Function} getHolder - (field, value) -> { firstId, firstAt, engagementId, engagementAt } or null
+ * @returns {Object} { isDuplicate, reEngaged, reason, originalLeadId, daysSinceLast }
+ */
+const evaluateDuplicate = (lead, getHolder) => {
+    const windowDays = getDedupWindowDays(lead);
+    const leadTime = getLeadTime(lead);
+    let reEngagement = null;
+
+    for (const { field, reason } of DUPLICATE_KEYS) {
+        const holder = lead[field] ? getHolder(field, lead[field]) : null;
+        if (!holder) continue;
+
+        if (windowDays === null) {
+            return { isDuplicate: true, reEngaged: false, reason, originalLeadId: holder.firstId, daysSinceLast: null };
+        }
+
+        const lastId = holder.engagementId || holder.firstId;
+        const lastAt = holder.engagementId ? holder.engagementAt : holder.firstAt;
+
+        if (isWithinDedupWindow(leadTime, lastAt, windowDays)) {
+            return { isDuplicate: true, reEngaged: false, reason, originalLeadId: lastId, daysSinceLast: daysBetween(leadTime, lastAt) };
+        }
+        reEngagement = reEngagement || { lastId, lastAt };
+    }
+
+    if (reEngagement) {
+        return {
+            isDuplicate: false,
+            reEngaged: true,
+            reason: RE_ENGAGED_REASON,
+            originalLeadId: reEngagement.lastId,
+            daysSinceLast: daysBetween(leadTime, reEngagement.lastAt)
+        };
+    }
+
+    return { isDuplicate: false, reEngaged: false, reason: null, originalLeadId: null, daysSinceLast: null };
+};
+
+/**
+ * Resolve duplicates for a whole set of leads at once.
+ *
+ * Existing leads (not soft-deleted) are looked up in a single query (`$in` per key), and leads earlier
+ * in the same set count as originals for the ones after them. A lead is checked
+ * by phone, then PAN, then email, and points at the first lead holding that value,
+ * or, when its platform / campaign has a dedup window, at the latest lead holding
+ * it that is not a duplicate (see config/dedupWindows.js).
+ * Leads without an `_id` get one assigned so later leads can reference them.
+ * @param {Array<Object>} leads - Extracted lead data
+ * @param {Object} firstSeen - Index kept across calls when nothing is written in between (dry runs)
+ * @returns {Promise<Array<Object>>} { isDuplicate, reEngaged, reason, originalLeadId, daysSinceLast } per lead
+ */
+export const resolveDuplicates = async (leads, firstSeen = {}) => {
+
+    // First lead and latest engagement seen for every canonical phone / PAN / email value
+    const orConditions = [];
+
+    DUPLICATE_KEYS.forEach(({ field }) => {
+        firstSeen[field] = firstSeen[field] || new Map();
+        const values = [...new Set(leads.map(lead => lead[field]).filter(Boolean))]
+            .filter(value => !firstSeen[field].has(value));
+        if (values.length > 0) {
+            orConditions.push({ [field]: { $in: values } });
+        }
+    });
+
+    if (orConditions.length > 0) {
+        const existingLeads = await InstantFormLead.find({ $or: orConditions, deleted_at: null })
+            .select('_id phone_canonical pan_number email is_duplicate lead_created_at createdAt')
+            .sort({ _id: 1 })
+            .lean();
+
+        existingLeads.forEach(existing => {
+            DUPLICATE_KEYS.forEach(({ field }) => {
+                if (existing[field]) {
+                    registerHolder(firstSeen[field], existing[field], existing, !existing.is_duplicate);
+                }
+            });
+        });
+    }
+
+    return leads.map(lead => {
+        if (!lead._id) {
+            lead._id = new mongoose.Types.ObjectId();
+        }
+
+        const result = evaluateDuplicate(lead, (field, value) => firstSeen[field].get(value) || null);
+
+        // Register this lead as the original (or latest engagement) for any later lead in the set
+        DUPLICATE_KEYS.forEach(({ field }) => {
+            if (lead[field]) {
+                registerHolder(firstSeen[field], lead[field], lead, !result.isDuplicate);
+            }
+        });
+
+        return result;
+    });
+};
+
+// Fields reevaluateDuplicates needs on each lead
+export const DEDUP_LEAD_FIELDS = '_id phone_canonical pan_number email campaign_id ad_id platform lead_created_at createdAt';
+
+/**
+ * Re-run duplicate evaluation for stored leads, e.g. after the leads they
+ * pointed at are removed. Each lead is compared with the leads stored before it
+ * (lower `_id`), using the same phone > PAN > email order and dedup windows as
+ * resolveDuplicates; a lead with no earlier match becomes an original.
+ *
+ * The other leads holding the same values are loaded once and replayed with
+ * the re-evaluated ones in `_id` order through one holder index, so each lead
+ * sees the new state of the re-evaluated leads before it.
+ * @param {Array<Object>} leads - Leads with the fields of DEDUP_LEAD_FIELDS
+ * @param {Array} excludeIds - Leads that must not be used as originals (about to be removed)
+ * @returns {Promise<Object>} { repointed, promoted, reEngaged } counts
+ */
+export const reevaluateDuplicates = async (leads, excludeIds = []) => {
+    const summary = { repointed: 0, promoted: 0, reEngaged: 0 };
+    if (leads.length === 0) return summary;
+
+    // Oldest first, so a lead promoted to original is seen by the ones after it
+    const sortedLeads = [...leads].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+    const lastId = sortedLeads[sortedLeads.length - 1]._id;
+
+    const orConditions = [];
+    DUPLICATE_KEYS.forEach(({ field }) => {
+        const values = [...new Set(sortedLeads.map(lead => lead[field]).filter(Boolean))];
+        if (values.length > 0) {
+            orConditions.push({ [field]: { $in: values } });
+        }
+    });
+
+    // Earlier leads that keep their state
+    const otherHolders = orConditions.length === 0 ? [] : await InstantFormLead.find({
+        $or: orConditions,
+        _id: { $lte: lastId, $nin: [...excludeIds, ...sortedLeads.map(lead => lead._id)] },
+        deleted_at: null
+    })
+        .select('_id phone_canonical pan_number email is_duplicate lead_created_at createdAt')
+        .sort({ _id: 1 })
+        .lean();
+
+    const timeline = [
+        ...otherHolders.map(lead => ({ lead, reevaluate: false })),
+        ...sortedLeads.map(lead => ({ lead, reevaluate: true }))
+    ].sort((a, b) => String(a.lead._id).localeCompare(String(b.lead._id)));
+
+    const holders = {};
+    DUPLICATE_KEYS.forEach(({ field }) => {
+        holders[field] = new Map();
+    });
+    const register = (lead, isEngagement) => {
+        DUPLICATE_KEYS.forEach(({ field }) => {
+            if (lead[field]) {
+                registerHolder(holders[field], lead[field], lead, isEngagement);
+            }
+        });
+    };
+
+    const operations = [];
+
+    for (const { lead, reevaluate } of timeline) {
+        if (!reevaluate) {
+            register(lead, !lead.is_duplicate);
+            continue;
+        }
+
+        const result = evaluateDuplicate(lead, (field, value) => holders[field].get(value) || null);
+        register(lead, !result.isDuplicate);
+
+        if (result.isDuplicate) summary.repointed++;
+        else if (result.reEngaged) summary.reEngaged++;
+        else summary.promoted++;
+        operations.push({
+            updateOne: {
+                filter: { _id: lead._id },
+                update: {
+                    $set: {
+                        is_duplicate: result.isDuplicate,
+                        duplicate_reason: result.reason,
+                        original_lead_id: result.originalLeadId
+                    }
+                }
+            }
+        });
+    }
+
+    await InstantFormLead.bulkWrite(operations, { ordered: false });
+
+    return summary;
+};
+
+/**
+ * Fingerprint of a normalized row: every mapped field and additional_data
+ * value, ignoring where the row came from (file, sheet, row number) and how
+ * the phone number was formatted
+ * @param {Object} leadData - Result of extractAllFields, with partner_id for partner leads
+ * @returns {string} SHA-256 hex digest
+ */
+export const computeRowFingerprint = (leadData) => {
+    const { excel_row_number, phone_raw, additional_data = {}, ...fields } = leadData;
+    const sortEntries = (object) => Object.keys(object).sort().map(key => [key, object[key]]);
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([sortEntries(fields), sortEntries(additional_data)]))
+        .digest('hex');
+};
+
+/**
+ * Fingerprint of the current values of a stored lead, the one a row holding
+ * them gets from computeRowFingerprint, e.g. after the lead was edited
+ * @param {Object} lead - Lead with its importable fields, additional_data and partner_id
+ * @returns {string} SHA-256 hex digest
+ */
+export const computeLeadFingerprint = (lead) => {
+    const fields = {};
+    IMPORTABLE_LEAD_FIELDS.forEach(field => {
+        const value = lead[field];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            fields[field] = value;
+        }
+    });
+    if (lead.partner_id) fields.partner_id = String(lead.partner_id);
+
+    return computeRowFingerprint({ ...fields, additional_data: lead.additional_data || {} });
+};
+
+/**
+ * Drop rows whose fingerprint was already imported (or seen earlier in the same file).
+ * Soft-deleted leads do not count, so a deleted row can be imported again
+ * @param {Array<Object>} leads - { leadData, result } pairs from prepareLeadChunk
+ * @param {Object} firstSeen - Index shared across chunks, fingerprints are kept under `row_fingerprint`
+ * @returns {Promise<Array<Object>>} The leads that are new
+ */
+const skipImportedRows = async (leads, firstSeen) => {
+    const seen = firstSeen.row_fingerprint = firstSeen.row_fingerprint || new Map();
+
+    const unknownFingerprints = [...new Set(leads.map(({ leadData }) => leadData.row_fingerprint))]
+        .filter(fingerprint => !seen.has(fingerprint));
+
+    if (unknownFingerprints.length > 0) {
+        const existingLeads = await InstantFormLead.find({ row_fingerprint: { $in: unknownFingerprints }, deleted_at: null })
+            .select('_id row_fingerprint')
+            .sort({ _id: 1 })
+            .lean();
+
+        existingLeads.forEach(existing => {
+            if (!seen.has(existing.row_fingerprint)) {
+                seen.set(existing.row_fingerprint, existing._id);
+            }
+        });
+    }
+
+    return leads.filter(({ leadData, result }) => {
+        if (seen.has(leadData.row_fingerprint)) {
+            result.status = 'skipped';
+            result.reason = 'Identical row already imported';
+            result.existingLeadId = seen.get(leadData.row_fingerprint);
+            delete result.warnings;
+            return false;
+        }
+
+        leadData._id = new mongoose.Types.ObjectId();
+        seen.set(leadData.row_fingerprint, leadData._id);
+        return true;
+    });
+};
+
+/**
+ * Check a single lead for duplicates
+ */
+export const checkForDuplicates = async (leadData) => {
+    const [result] = await resolveDuplicates([leadData]);
+    return result;
+};
+
+/**
+ * Result entry for a rejected row
+ */
+const rowError = (rowNumber, reason) => ({
+    rowNumber,
+    status: 'error',
+    reason,
+    error: `Row ${rowNumber}: ${reason}`
+});
+
+/**
+ * Extract, validate and dedup a chunk of Excel rows without writing anything
+ * @param {Array<Object>} rows - Excel rows keyed by header
+ * @param {number} firstRowNumber - Excel row number of rows[0]
+ * @param {Object} options - { extra: fields to set on every lead, rowExtras: fields to set on single leads, by row position,
+ *                            profile: compiled mapping profile,
+ *                            firstSeen: duplicate index shared across chunks, see resolveDuplicates,
+ *                            force: keep rows identical to ones already imported,
+ *                            strictness: 'warn' stores leads with validation warnings, 'strict' rejects them }
+ * @returns {Promise<Object>} { results, leads } where leads pairs each valid leadData with its result
+ */
+export const prepareLeadChunk = async (rows, firstRowNumber, {
+    extra = {},
+    rowExtras = [],
+    profile = DEFAULT_MAPPING_PROFILE,
+    firstSeen = {},
+    force = false,
+    strictness = DEFAULT_VALIDATION_STRICTNESS
+} = {}) => {
+    const results = [];
+    const leads = [];
+
+    rows.forEach((row, index) => {
+        const rowNumber = firstRowNumber + index;
+
+        // Extract ALL data from Excel row dynamically
+        let leadData;
+        try {
+            const extracted = extractAllFields(row, rowNumber, profile);
+            // A partner's lead is only identical to rows that partner sent
+            const fingerprinted = extra.partner_id ? { ...extracted, partner_id: String(extra.partner_id) } : extracted;
+            leadData = { ...extracted, row_fingerprint: computeRowFingerprint(fingerprinted), ...extra, ...rowExtras[index] };
+        } catch (error) {
+            results.push(rowError(rowNumber, error.message));
+            return;
+        }
+
+        // Canonical 10-digit mobile, used for dedup
+        const phone = normalizeIndianMobile(leadData.phone_raw);
+        if (!phone.valid) {
+            results.push(rowError(rowNumber, phone.reason));
+            return;
+        }
+        leadData.phone_canonical = phone.mobile;
+        leadData.phone_e164 = phone.e164;
+
+        // Real timestamp of the lead, created_time keeps the value as exported
+        leadData.lead_created_at = parseLeadTimestamp(leadData.created_time, {
+            formats: profile.fields.created_time?.dateFormats
+        });
+
+        const validationError = new InstantFormLead(leadData).validateSync();
+        if (validationError) {
+            results.push(rowError(rowNumber, validationError.message));
+            return;
+        }
+
+        // Date, PAN, email, pincode, age and salary checks
+        const warnings = validateLeadFields(leadData);
+        if (warnings.length > 0 && strictness === 'strict') {
+            results.push(rowError(rowNumber, formatValidationWarnings(warnings)));
+            return;
+        }
+        leadData.validation_warnings = warnings;
+
+        const result = { rowNumber, status: 'stored', warnings: warnings.map(warning => warning.message) };
+        results.push(result);
+        leads.push({ leadData, result });
+    });
+
+    const newLeads = force ? leads : await skipImportedRows(leads, firstSeen);
+
+    if (newLeads.length === 0) {
+        return { results, leads: newLeads };
+    }
+
+    const duplicateChecks = await resolveDuplicates(newLeads.map(({ leadData }) => leadData), firstSeen);
+
+    newLeads.forEach(({ leadData, result }, index) => {
+        const duplicateCheck = duplicateChecks[index];
+        if (duplicateCheck.isDuplicate) {
+            leadData.is_duplicate = true;
+            leadData.duplicate_reason = duplicateCheck.reason;
+            leadData.original_lead_id = duplicateCheck.originalLeadId;
+            result.status = 'duplicate';
+            result.reason = duplicateCheck.reason;
+            result.originalLeadId = duplicateCheck.originalLeadId;
+        } else if (duplicateCheck.reEngaged) {
+            // Stored as a new lead, linked to the previous engagement
+            leadData.duplicate_reason = duplicateCheck.reason;
+            leadData.original_lead_id = duplicateCheck.originalLeadId;
+            result.reEngaged = true;
+            result.reason = `Re-engaged after ${duplicateCheck.daysSinceLast} days`;
+            result.originalLeadId = duplicateCheck.originalLeadId;
+        }
+        result.leadId = leadData._id;
+    });
+
+    return { results, leads: newLeads };
+};
+
+/**
+ * Validate, dedup and bulk insert a chunk of Excel rows
+ * @param {Array<Object>} rows - Excel rows keyed by header
+ * @param {number} firstRowNumber - Excel row number of rows[0]
+ * @param {Object} options - { extra: fields to set on every stored lead, rowExtras: fields to set on single leads,
+ *                            profile: compiled mapping profile, force: store rows identical to ones already imported,
+ *                            strictness: validation strictness, see prepareLeadChunk }
+ * @returns {Promise<Array<Object>>} { rowNumber, status: 'stored' | 'duplicate' | 'skipped' | 'error', leadId,
+ *                                    originalLeadId, existingLeadId, reEngaged, reason, warnings, error,
+ *                                    errorCode: MongoDB code of a failed insert } per row, in row order
+ */
+export const importLeadChunk = async (rows, firstRowNumber, {
+    extra = {},
+    rowExtras = [],
+    profile = DEFAULT_MAPPING_PROFILE,
+    force = false,
+    strictness = DEFAULT_VALIDATION_STRICTNESS
+} = {}) => {
+    const { results, leads } = await prepareLeadChunk(rows, firstRowNumber, { extra, rowExtras, profile, force, strictness });
+
+    if (leads.length === 0) {
+        return results;
+    }
+
+    // Store in MongoDB, one round trip for the whole chunk
+    try {
+        await InstantFormLead.insertMany(leads.map(({ leadData }) => leadData), { ordered: false });
+    } catch (error) {
+        if (!error.writeErrors) {
+            throw error;
+        }
+
+        error.writeErrors.forEach(writeError => {
+            const { result } = leads[writeError.index];
+            Object.assign(result, rowError(result.rowNumber, writeError.errmsg || writeError.err?.errmsg || 'Insert failed'));
+            result.errorCode = writeError.code ?? writeError.err?.code;
+            delete result.leadId;
+            delete result.originalLeadId;
+            delete result.warnings;
+        });
+    }
+
+    return results;
+};
+
+/**
+ * Dry run of an import: header mapping, normalized sample rows, rejected rows
+ * and duplicate counts, without writing anything to MongoDB
+ * @param {string} filePath - Path of the uploaded file on disk
+ * @param {string} fileName - Original file name
+ * @param {Object} options - { sheets: sheet names to read, sampleSize: normalized rows to return,
+ *                            mappingProfile: profile name, detected from the headers when omitted,
+ *                            force: count rows identical to ones already imported as new,
+ *                            strictness: validation strictness, see prepareLeadChunk }
+ * @returns {Promise<Object>} Preview report
+ */
+export const previewImportFile = async (filePath, fileName, {
+    sheets = [],
+    sampleSize = 20,
+    mappingProfile,
+    force = false,
+    strictness = DEFAULT_VALIDATION_STRICTNESS
+} = {}) => {
+    const requiredFields = Object.keys(InstantFormLead.schema.paths)
+        .filter(field => InstantFormLead.schema.paths[field].isRequired);
+    const sheetData = await readImportFile(filePath, fileName, sheets);
+    const profile = await resolveMappingProfile(mappingProfile, getFileHeaders(sheetData));
+    const firstSeen = {};
+    const sampleRows = [];
+    const rejectedRows = [];
+    let rejectedCount = 0;
+
+    const sheetReports = [];
+
+    for (const { sheetName, rows } of sheetData) {
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const headerMapping = {};
+        const additionalDataColumns = [];
+
+        headers.forEach(header => {
+            const modelField = mapHeader(header, profile);
+            if (modelField) {
+                headerMapping[header] = modelField;
+            } else {
+                additionalDataColumns.push(header);
+            }
+        });
+
+        const mappedFields = Object.values(headerMapping);
+        const report = {
+            name: sheetName,
+            totalRows: rows.length,
+            headerMapping,
+            additionalDataColumns,
+            missingRequiredFields: requiredFields.filter(field => !mappedFields.includes(field)),
+            validRows: 0,
+            rejectedRows: 0,
+            duplicateRows: 0,
+            skippedRows: 0,
+            warningRows: 0,
+            reEngagedRows: 0
+        };
+
+        for (let start = 0; start < rows.length; start += PREVIEW_CHUNK_SIZE) {
+            const chunk = rows.slice(start, start + PREVIEW_CHUNK_SIZE);
+            const { results, leads } = await prepareLeadChunk(chunk, start + 2, { profile, firstSeen, force, strictness });
+
+            results.forEach(result => {
+                if (result.status === 'error') {
+                    report.rejectedRows++;
+                    rejectedCount++;
+                    if (rejectedRows.length < MAX_PREVIEW_REJECTED_ROWS) {
+                        rejectedRows.push({ sheet: sheetName, row: result.rowNumber, reason: result.error });
+                    }
+                } else if (result.status === 'skipped') {
+                    report.skippedRows++;
+                } else {
+                    report.validRows++;
+                    if (result.status === 'duplicate') {
+                        report.duplicateRows++;
+                    }
+                    if (result.reEngaged) {
+                        report.reEngagedRows++;
+                    }
+                    if (result.warnings.length > 0) {
+                        report.warningRows++;
+                    }
+                }
+            });
+
+            leads.forEach(({ leadData }) => {
+                if (sampleRows.length < sampleSize) {
+                    const { _id, ...normalized } = leadData;
+                    sampleRows.push({ sheet: sheetName, ...normalized });
+                }
+            });
+        }
+
+        sheetReports.push(report);
+    }
+
+    return {
+        fileName,
+        mappingProfile: profile.name,
+        validationStrictness: strictness,
+        totalRows: sheetReports.reduce((total, sheet) => total + sheet.totalRows, 0),
+        validRows: sheetReports.reduce((total, sheet) => total + sheet.validRows, 0),
+        rejectedRows: rejectedCount,
+        duplicateRows: sheetReports.reduce((total, sheet) => total + sheet.duplicateRows, 0),
+        skippedRows: sheetReports.reduce((total, sheet) => total + sheet.skippedRows, 0),
+        warningRows: sheetReports.reduce((total, sheet) => total + sheet.warningRows, 0),
+        reEngagedRows: sheetReports.reduce((total, sheet) => total + sheet.reEngagedRows, 0),
+        sheets: sheetReports,
+        sampleRows,
+        rejectedRowList: rejectedRows
+    };
+};
+
+/**
+ * Remove every lead of an import batch, with its possible duplicate links.
+ * Duplicate clusters that lose leads are dissolved or get a new golden record.
+ * Leads from other batches whose original was one of them are re-pointed to
+ * the next earlier match, or become originals themselves, before anything is deleted.
+ * @param {Object} batch - ImportBatch document (completed or failed)
+ * @param {string} rolledBackBy - Who asked for the rollback
+ * @returns {Promise<Object>} { deletedLeads, repointedDuplicates, promotedOriginals, reEngagedLeads }
+ */
+export const rollbackImportBatch = async (batch, rolledBackBy) => {
+    const batchLeadIds = (await InstantFormLead.find({ import_batch_id: batch._id }).select('_id').lean())
+        .map(lead => lead._id);
+
+    const dependentLeads = await InstantFormLead.find({
+        original_lead_id: { $in: batchLeadIds },
+        import_batch_id: { $ne: batch._id }
+    }).select(DEDUP_LEAD_FIELDS).lean();
+
+    const clusterIds = await InstantFormLead.distinct('duplicate_cluster_id', {
+        import_batch_id: batch._id,
+        duplicate_cluster_id: { $ne: null }
+    });
+
+    const { repointed, promoted, reEngaged } = await reevaluateDuplicates(dependentLeads, batchLeadIds);
+    const { deletedCount } = await InstantFormLead.deleteMany({ import_batch_id: batch._id });
+    await PossibleDuplicate.deleteMany({
+        $or: [{ lead_id: { $in: batchLeadIds } }, { candidate_lead_id: { $in: batchLeadIds } }]
+    });
+    await pruneDuplicateClusters(clusterIds);
+
+    const summary = {
+        deleted_leads: deletedCount,
+        repointed_duplicates: repointed,
+        promoted_originals: promoted,
+        re_engaged_leads: reEngaged
+    };
+
+    batch.status = 'rolled_back';
+    batch.rolled_back_at = new Date();
+    batch.rolled_back_by = rolledBackBy || 'unknown';
+    batch.rollback_summary = summary;
+    await batch.save();
+
+    console.log(`↩️ Import batch ${batch._id} rolled back:`, summary);
+
+    return {
+        deletedLeads: summary.deleted_leads,
+        repointedDuplicates: summary.repointed_duplicates,
+        promotedOriginals: summary.promoted_originals,
+        reEngagedLeads: summary.re_engaged_leads
+    };
+};
@@ -0,0 +1,66 @@
+import moment from 'moment-timezone';
+
+/**
+ * Lead timestamp parsing.
+ *
+ * created_time arrives as Meta ISO strings with an offset, "M/D/YY" text typed
+ * into Excel, or an Excel date serial number. Values without an offset are read
+ * as wall-clock time in LEAD_TIMEZONE (Asia/Kolkata by default).
+ */
+
+export const DEFAULT_TIMEZONE = process.env.LEAD_TIMEZONE || 'Asia/Kolkata';
+
+// Month first, as in Meta and Google exports; ISO 8601 (with or without offset) is always accepted
+const LEAD_DATE_FORMATS = [
+    'M/D/YY',
+    'M/D/YYYY',
+    'M/D/YY H:mm',
+    'M/D/YYYY H:mm',
+    'M/D/YY H:mm:ss',
+    'M/D/YYYY H:mm:ss',
+    'M/D/YY h:mm A',
+    'M/D/YYYY h:mm A',
+    // Strict parsing takes M / D without a leading zero only, Excel often writes one
+    'MM/DD/YY',
+    'MM/DD/YYYY',
+    'MM/DD/YYYY HH:mm',
+    'MM/DD/YYYY HH:mm:ss',
+    'MM/DD/YYYY hh:mm A',
+    'YYYY-MM-DD HH:mm',
+    'YYYY-MM-DD HH:mm:ss'
+];
+
+// Excel serials between 1950 and 2100, anything else numeric is not a date
+const EXCEL_SERIAL_PATTERN = /^\d{5}(\.\d+)?$/;
+const MIN_EXCEL_SERIAL = 18264;
+const MAX_EXCEL_SERIAL = 73051;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert an Excel date serial (days since 1899-12-30) to a wall-clock time in a timezone
+ */
+const parseExcelSerial = (serial, timezone) => {
+    const wallClock = new Date(EXCEL_EPOCH + Math.round(serial * MS_PER_DAY));
+    return moment.tz(wallClock.toISOString().slice(0, 23), 'YYYY-MM-DDTHH:mm:ss.SSS', true, timezone);
+};
+
+/**
+ * Parse a lead's created_time
+ * @param {string|number} value - Raw value from the file or the lead source
+ * @param {Object} options - { timezone: zone for values without an offset, formats: extra moment formats tried first }
+ * @returns {Date|null} The timestamp, null when the value is empty or not a recognised date
+ */
+export const parseLeadTimestamp = (value, { timezone = DEFAULT_TIMEZONE, formats = [] } = {}) => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (!text) return null;
+
+    if (EXCEL_SERIAL_PATTERN.test(text)) {
+        const serial = parseFloat(text);
+        if (serial < MIN_EXCEL_SERIAL || serial > MAX_EXCEL_SERIAL) return null;
+        return parseExcelSerial(serial, timezone).toDate();
+    }
+
+    const parsed = moment.tz(text, [...formats, ...LEAD_DATE_FORMATS, moment.ISO_8601], true, timezone);
+    return parsed.isValid() ? parsed.toDate() : null;
+};
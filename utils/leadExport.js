@@ -0,0 +1,182 @@
+import { once } from 'events';
+import moment from 'moment-timezone';
+import xlsx from 'xlsx';
+import { createArrayCsvStringifier } from 'csv-writer';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { LEAD_EXPORTS } from '../config/leadExports.js';
+import { DEFAULT_TIMEZONE } from './leadDates.js';
+import { formatValidationWarnings } from './leadValidation.js';
+
+/**
+ * CSV / Excel export of filtered leads (GET /api/instant-leads/export).
+ *
+ * Leads are read from a MongoDB cursor in batches; CSV rows are written to
+ * the output as they are read, an Excel sheet is filled batch by batch and
+ * written at the end, so Excel exports are capped at LEAD_EXPORTS.xlsxMaxRows.
+ * additional_data keys become columns of their own.
+ */
+
+const ADDITIONAL_DATA_PREFIX = 'additional_data.';
+
+// Columns of an export without ?columns=, followed by every additional_data key of the exported leads
+export const DEFAULT_EXPORT_COLUMNS = [
+    '_id', 'created_time', 'lead_created_at', 'platform', 'ad_id', 'campaign_id',
+    'full_name', 'first_name', 'last_name', 'phone_number', 'email', 'pan_number',
+    'what_is_your_monthly_salary', 'age', 'gender', 'city', 'state', 'pincode',
+    'occupation', 'company_name', 'loan_amount', 'loan_purpose', 'existing_loans', 'credit_score',
+    'quality_lead', 'is_duplicate', 'duplicate_reason', 'match_status', 'lead_source', 'uploaded_by', 'createdAt'
+];
+
+const SCALAR_TYPES = ['String', 'Number', 'Date', 'Boolean', 'ObjectId'];
+
+// Single-value lead fields, plus validation_warnings written as one line
+const EXPORTABLE_FIELDS = [
+    ...Object.entries(InstantFormLead.schema.paths)
+        .filter(([field, schemaType]) => !field.includes('.') && field !== '__v' && SCALAR_TYPES.includes(schemaType.instance))
+        .map(([field]) => field),
+    'validation_warnings'
+];
+
+/**
+ * Columns asked for with ?columns=a,b,additional_data.c, in that order
+ * @param {string} columns - Comma-separated columns, empty for the default columns
+ * @returns {Object} { columns: null for the default columns, error }
+ */
+export const resolveExportColumns = (columns) => {
+    if (columns === undefined || columns === '') return { columns: null, error: null };
+    if (typeof columns !== 'string') return { columns: null, error: 'columns must be given once, comma-separated' };
+
+    const names = [...new Set(columns.split(',').map(name => name.trim()).filter(Boolean))];
+    const unknown = names.filter(name => !EXPORTABLE_FIELDS.includes(name)
+        && !/^additional_data\.[^$.][^.]*$/.test(name));
+
+    if (unknown.length > 0) {
+        return { columns: null, error: `Unknown columns ${unknown.join(', ')} (lead fields or additional_data.<column>)` };
+    }
+    return { columns: names, error: null };
+};
+
+/**
+ * additional_data keys of the leads matching a query, sorted by name
+ */
+export const findAdditionalDataKeys = async (query) => {
+    const keys = await InstantFormLead.aggregate([
+        { $match: query },
+        { $project: { keys: { $map: { input: { $objectToArray: { $ifNull: ['$additional_data', {}] } }, in: '$$this.k' } } } },
+        { $unwind: '$keys' },
+        { $group: { _id: '$keys' } },
+        { $sort: { _id: 1 } }
+    ]).allowDiskUse(true);
+
+    return keys.map(({ _id }) => _id);
+};
+
+/**
+ * Default columns for a query: DEFAULT_EXPORT_COLUMNS and the additional_data keys in use
+ */
+export const defaultExportColumns = async (query) => [
+    ...DEFAULT_EXPORT_COLUMNS,
+    ...(await findAdditionalDataKeys(query)).map(key => `${ADDITIONAL_DATA_PREFIX}${key}`)
+];
+
+// Column header: additional_data keys under their own name, unless a lead field has that name
+const columnHeader = (column) => {
+    const key = column.startsWith(ADDITIONAL_DATA_PREFIX) ? column.slice(ADDITIONAL_DATA_PREFIX.length) : column;
+    return key !== column && EXPORTABLE_FIELDS.includes(key) ? column : key;
+};
+
+const formatCell = (value) => {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return moment(value).tz(DEFAULT_TIMEZONE).format('YYYY-MM-DD HH:mm:ss');
+    if (typeof value === 'object') return String(value);
+    return value;
+};
+
+/**
+ * Values of a lead for the export columns
+ */
+const leadToCells = (lead, columns) => columns.map(column => {
+    if (column === 'validation_warnings') return formatValidationWarnings(lead.validation_warnings || []);
+    if (column.startsWith(ADDITIONAL_DATA_PREFIX)) return formatCell(lead.additional_data?.[column.slice(ADDITIONAL_DATA_PREFIX.length)]);
+    return formatCell(lead[column]);
+});
+
+/**
+ * Write the leads of a query to a stream
+ * @param {Writable} output - HTTP response or file stream, not ended here
+ * @param {Object} options - { query, sort, columns, format: csv|xlsx, onProgress(exportedRows) }
+ * @returns {Promise<number>} Exported rows
+ */
+export const writeLeadExport = async (output, { query, sort, columns, format, onProgress = null }) => {
+    const projection = { additional_data: 1 };
+    columns.filter(column => !column.startsWith(ADDITIONAL_DATA_PREFIX)).forEach(column => {
+        projection[column] = 1;
+    });
+
+    const cursor = InstantFormLead.find(query, projection)
+        .sort(sort)
+        .lean()
+        .cursor({ batchSize: LEAD_EXPORTS.batchSize });
+
+    const headers = columns.map(columnHeader);
+    const csv = createArrayCsvStringifier({ header: headers });
+    const worksheet = format === 'xlsx' ? xlsx.utils.aoa_to_sheet([headers]) : null;
+
+    const write = async (chunk) => {
+        if (output.destroyed) return;
+        if (!output.write(chunk)) await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    };
+
+    if (format === 'csv') await write(csv.getHeaderString());
+
+    let exportedRows = 0;
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        if (format === 'csv') {
+            await write(csv.stringifyRecords(batch));
+        } else {
+            // Leads added since the export was queued must not grow the in-memory sheet past the cap
+            if (exportedRows + batch.length > LEAD_EXPORTS.xlsxMaxRows) {
+                throw new Error(`More than ${LEAD_EXPORTS.xlsxMaxRows} leads to export, use csv`);
+            }
+            xlsx.utils.sheet_add_aoa(worksheet, batch, { origin: -1 });
+        }
+        exportedRows += batch.length;
+        batch = [];
+        if (onProgress) await onProgress(exportedRows);
+    };
+
+    try {
+        for await (const lead of cursor) {
+            // Client went away, stop reading
+            if (output.destroyed) break;
+
+            batch.push(leadToCells(lead, columns));
+            if (batch.length >= LEAD_EXPORTS.batchSize) await flush();
+        }
+        await flush();
+    } finally {
+        await cursor.close();
+    }
+
+    if (format === 'xlsx' && !output.destroyed) {
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, worksheet, 'Leads');
+        await write(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    }
+
+    return exportedRows;
+};
+
+/**
+ * Download file name of an export, e.g. leads-export-20251025-1430.csv
+ */
+export const exportFileName = (format, date = new Date()) =>
+    `leads-export-${moment(date).tz(DEFAULT_TIMEZONE).format('YYYYMMDD-HHmm')}.${format}`;
+
+export const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
@@ -0,0 +1,205 @@
+import InstantFormLead from '../models/InstantFormLead.js';
+
+/**
+ * Catalogue of the fields stored on instant form leads (GET /api/instant-leads/fields):
+ * every single-value field of the lead schema and every additional_data key,
+ * with how many leads have it, sample values, the type its values look like
+ * and when it was first and last seen.
+ *
+ * Only the most recent leads of the query are read, so the catalogue costs the
+ * same on a large collection as on a small one.
+ */
+
+export const FIELD_CATALOG = {
+    // Most recent matching leads the counts, types and samples are taken from
+    leadLimit: parseInt(process.env.FIELD_CATALOG_LEAD_LIMIT) || 10000,
+    // Fields that get samples, the most used first
+    sampledFields: parseInt(process.env.FIELD_CATALOG_SAMPLED_FIELDS) || 100
+};
+
+const ADDITIONAL_DATA_PREFIX = 'additional_data.';
+const SAMPLE_COUNT = 5;
+// Leads read per field to pick distinct samples
+const SAMPLE_SCAN = 50;
+const SAMPLE_CONCURRENCY = 10;
+
+const SCALAR_TYPES = ['String', 'Number', 'Date', 'Boolean', 'ObjectId'];
+
+// Single-value fields of the lead schema, in schema order
+export const STANDARD_FIELDS = Object.entries(InstantFormLead.schema.paths)
+    .filter(([field, schemaType]) => !field.includes('.') && !['_id', '__v'].includes(field)
+        && SCALAR_TYPES.includes(schemaType.instance))
+    .map(([field, schemaType]) => ({
+        name: field,
+        schemaType: schemaType.instance,
+        required: Boolean(schemaType.isRequired),
+        enumValues: schemaType.enumValues?.length ? schemaType.enumValues : undefined
+    }));
+
+// BSON types of non-string values, as reported types
+const BSON_VALUE_TYPES = {
+    int: 'number',
+    long: 'number',
+    double: 'number',
+    decimal: 'number',
+    bool: 'boolean',
+    date: 'date',
+    objectId: 'objectId',
+    object: 'object',
+    array: 'array'
+};
+
+// What a string value looks like, checked in this order (values from files are always strings)
+const valueKind = (value) => ({
+    $switch: {
+        branches: [
+            { case: { $ne: [{ $type: value }, 'string'] }, then: { $type: value } },
+            { case: { $regexMatch: { input: value, regex: /^(\+?91[\s-]?|0)?[6-9]\d{9}$/ } }, then: 'phone' },
+            { case: { $regexMatch: { input: value, regex: /^-?\d+(\.\d+)?$/ } }, then: 'number' },
+            { case: { $regexMatch: { input: value, regex: /^(true|false|yes|no)$/i } }, then: 'boolean' },
+            { case: { $regexMatch: { input: value, regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ } }, then: 'email' },
+            {
+                case: { $regexMatch: { input: value, regex: /^(\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}.*)?|\d{1,2}\/\d{1,2}\/\d{2,4}( .*)?)$/ } },
+                then: 'date'
+            }
+        ],
+        default: 'string'
+    }
+});
+
+/**
+ * Count, type breakdown and first / last seen (createdAt) of every field, in one pass
+ */
+const aggregateFieldStats = (query) => InstantFormLead.aggregate([
+    { $match: query },
+    {
+        $project: {
+            _id: 0,
+            createdAt: 1,
+            fields: {
+                $concatArrays: [
+                    STANDARD_FIELDS.map(({ name }) => ({ k: name, v: `$${name}` })),
+                    {
+                        $map: {
+                            input: { $objectToArray: { $ifNull: ['$additional_data', {}] } },
+                            in: { k: { $concat: [ADDITIONAL_DATA_PREFIX, '$$this.k'] }, v: '$$this.v' }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+    { $unwind: '$fields' },
+    { $match: { 'fields.v': { $nin: [null, ''] } } },
+    {
+        $group: {
+            _id: { field: '$fields.k', kind: valueKind('$fields.v') },
+            count: { $sum: 1 },
+            firstSeen: { $min: '$createdAt' },
+            lastSeen: { $max: '$createdAt' }
+        }
+    },
+    {
+        $group: {
+            _id: '$_id.field',
+            count: { $sum: '$count' },
+            kinds: { $push: { kind: '$_id.kind', count: '$count' } },
+            firstSeen: { $min: '$firstSeen' },
+            lastSeen: { $max: '$lastSeen' }
+        }
+    }
+]).allowDiskUse(true);
+
+/**
+ * Restrict a query to its FIELD_CATALOG.leadLimit most recent leads (an _id range)
+ */
+const recentLeadsQuery = async (query, totalLeads) => {
+    if (totalLeads <= FIELD_CATALOG.leadLimit) return query;
+
+    const [oldest] = await InstantFormLead.find(query)
+        .select({ _id: 1 })
+        .sort({ _id: -1 })
+        .skip(FIELD_CATALOG.leadLimit - 1)
+        .limit(1)
+        .lean();
+    return oldest ? { ...query, _id: { $gte: oldest._id } } : query;
+};
+
+/**
+ * Up to SAMPLE_COUNT distinct values of a field among the most recent leads that have it
+ */
+const findSamples = async (query, field) => {
+    const leads = await InstantFormLead.find({ ...query, [field]: { $nin: [null, ''] } })
+        .select({ [field]: 1, _id: 0 })
+        .sort({ _id: -1 })
+        .limit(SAMPLE_SCAN)
+        .lean();
+
+    const values = leads.map(lead => field.split('.').reduce((object, key) => object?.[key], lead));
+    return [...new Set(values.map(String))].slice(0, SAMPLE_COUNT);
+};
+
+// Type most of the values have; mixed when no type covers 90% of them
+const inferType = (kinds, count) => {
+    const totals = {};
+    kinds.forEach(({ kind, count: kindCount }) => {
+        const type = BSON_VALUE_TYPES[kind] || kind;
+        totals[type] = (totals[type] || 0) + kindCount;
+    });
+
+    const [type, typeCount] = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+    return { inferredType: typeCount / count >= 0.9 ? type : 'mixed', valueTypes: totals };
+};
+
+/**
+ * Build the field catalogue of the leads matching a query
+ * @param {Object} query - Leads to look at (e.g. { import_batch_id }, a lead date range)
+ * @returns {Promise<Object>} { totalLeads, scannedLeads: most recent leads the fields were read from,
+ *                             fields: [{ name, source, schemaType, required, enumValues, count, coverage,
+ *                             inferredType, valueTypes, samples, firstSeen, lastSeen }] }
+ */
+export const buildFieldCatalog = async (query) => {
+    const totalLeads = await InstantFormLead.countDocuments(query);
+    const scannedLeads = Math.min(totalLeads, FIELD_CATALOG.leadLimit);
+    const recentQuery = await recentLeadsQuery(query, totalLeads);
+
+    const stats = await aggregateFieldStats(recentQuery);
+    const statsByField = new Map(stats.map(stat => [stat._id, stat]));
+
+    const describe = (name, source, schema = {}) => {
+        const stat = statsByField.get(name);
+        const count = stat?.count || 0;
+        return {
+            name: source === 'additional_data' ? name.slice(ADDITIONAL_DATA_PREFIX.length) : name,
+            path: name,
+            source,
+            ...schema,
+            count,
+            coverage: scannedLeads > 0 ? Math.round((count / scannedLeads) * 10000) / 10000 : 0,
+            ...(stat ? inferType(stat.kinds, count) : { inferredType: null, valueTypes: {} }),
+            samples: [],
+            firstSeen: stat?.firstSeen || null,
+            lastSeen: stat?.lastSeen || null
+        };
+    };
+
+    const fields = [
+        ...STANDARD_FIELDS.map(({ name, ...schema }) => describe(name, 'standard', schema)),
+        ...stats
+            .filter(stat => stat._id.startsWith(ADDITIONAL_DATA_PREFIX))
+            .sort((a, b) => b.count - a.count || a._id.localeCompare(b._id))
+            .map(stat => describe(stat._id, 'additional_data'))
+    ];
+
+    const sampled = fields
+        .filter(field => field.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, FIELD_CATALOG.sampledFields);
+    for (let start = 0; start < sampled.length; start += SAMPLE_CONCURRENCY) {
+        await Promise.all(sampled.slice(start, start + SAMPLE_CONCURRENCY).map(async field => {
+            field.samples = await findSamples(recentQuery, field.path);
+        }));
+    }
+
+    return { totalLeads, scannedLeads, fields };
+};
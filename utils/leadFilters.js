@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { DEFAULT_TIMEZONE } from './leadDates.js';
+import { SALARY_BUCKETS } from './qualityRules.js';
+import { normalizeIndianMobile } from './phoneNumbers.js';
+import { normalizeName } from './nameMatching.js';
+
+/**
+ * Query-string filters of the lead list (GET /api/instant-leads) and export,
+ * turned into a MongoDB query and sort. Every problem is reported, so a bad request gets
+ * one 400 listing all of them.
+ */
+
+// ?sort=<field> ascending, ?sort=-<field> descending
+export const LEAD_SORT_FIELDS = [
+    'createdAt', 'lead_created_at', 'uploaded_at', 'salary_numeric_value',
+    'full_name', 'platform', 'ad_id', 'city', 'state', 'match_status'
+];
+const DEFAULT_SORT = '-createdAt';
+
+// Query parameter -> lead field; several values (repeated parameter, or comma-separated
+// except for salary buckets, which contain commas) match any of them
+const LIST_FILTERS = {
+    platform: 'platform',
+    ad_id: 'ad_id',
+    campaign_id: 'campaign_id',
+    uploaded_by: 'uploaded_by',
+    lead_source: 'lead_source',
+    match_status: 'match_status',
+    salary: 'what_is_your_monthly_salary'
+};
+
+// Compared case-insensitively, as typed in forms, on the lowercase keys stored with the lead
+const TEXT_FILTERS = { city: 'city_key', state: 'state_key' };
+const BOOLEAN_FILTERS = ['is_duplicate', 'quality_lead'];
+const ADDITIONAL_DATA_PREFIX = 'additional_data.';
+
+// Dates without a time: `from` starts at the beginning of the day, `to` includes the whole day
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-sensitive and anchored, so MongoDB reads it as a range of the field's index
+const startsWith = (value) => new RegExp(`^${escapeRegex(value)}`);
+
+// Values of a repeatable parameter
+const listValues = (value, split) => [value].flat()
+    .flatMap(item => (split ? String(item).split(',') : [String(item)]))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Allowed values of an enum field of the lead schema
+const enumValues = (field) => InstantFormLead.schema.path(field).enumValues;
+
+/**
+ * Parse a `from` / `to` date: YYYY-MM-DD (in LEAD_TIMEZONE) or a full ISO timestamp
+ */
+const parseDateFilter = (value, endOfDay) => {
+    const day = moment.tz(value, DAY_FORMAT, true, DEFAULT_TIMEZONE);
+    if (day.isValid()) {
+        return (endOfDay ? day.endOf('day') : day.startOf('day')).toDate();
+    }
+    const timestamp = moment.tz(value, moment.ISO_8601, true, DEFAULT_TIMEZONE);
+    return timestamp.isValid() ? timestamp.toDate() : null;
+};
+
+/**
+ * Free-text search: the start of the name, email or PAN, or a phone number (full, or its first digits).
+ * Every condition is a prefix of an indexed, normalized field (name_key, email, pan_number,
+ * phone_canonical), so the search does not scan the collection.
+ */
+const buildSearchQuery = (search) => {
+    const conditions = [{ email: startsWith(search.toLowerCase()) }];
+
+    const nameKey = normalizeName({ full_name: search });
+    // Names have no digits, phone numbers and PANs do
+    if (nameKey && !/\d/.test(search)) conditions.push({ name_key: startsWith(nameKey) });
+
+    if (/^[a-z0-9]{1,10}$/i.test(search)) conditions.push({ pan_number: startsWith(search.toUpperCase()) });
+
+    const phone = normalizeIndianMobile(search);
+    const digits = search.replace(/\D/g, '');
+    if (phone.valid) {
+        conditions.push({ phone_canonical: phone.mobile });
+    } else if (digits.length >= 4 && /^[\d\s+()-]+$/.test(search)) {
+        conditions.push({ phone_canonical: startsWith(digits) });
+    }
+
+    return { $or: conditions };
+};
+
+/**
+ * additional_data filters, as `additional_data.<key>=value` or `additional_data[<key>]=value`
+ */
+const collectAdditionalDataFilters = (params) => {
+    const filters = Object.entries(params)
+        .filter(([name]) => name.startsWith(ADDITIONAL_DATA_PREFIX))
+        .map(([name, value]) => [name.slice(ADDITIONAL_DATA_PREFIX.length), value]);
+
+    const nested = params.additional_data;
+    if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+        filters.push(...Object.entries(nested));
+    }
+
+    return filters;
+};
+
+/**
+ * Build the MongoDB query and sort of a lead list request (paging: utils/leadPagination.js)
+ * @param {Object} params - req.query
+ * @returns {Object} { query, sort, errors: [{ parameter, value, message }] }
+ */
+export const buildLeadListQuery = (params = {}) => {
+    const errors = [];
+    const query = params.include_deleted === 'true' ? {} : { deleted_at: null };
+    const invalid = (parameter, message) => errors.push({ parameter, value: params[parameter] ?? null, message });
+
+    // Parameters that take one value
+    const single = (parameter) => {
+        const value = params[parameter];
+        if (value === undefined || value === '') return undefined;
+        if (typeof value !== 'string') {
+            invalid(parameter, `${parameter} must be given once`);
+            return undefined;
+        }
+        return value.trim();
+    };
+
+    const from = single('from');
+    const to = single('to');
+    if (from || to) {
+        const range = {};
+        if (from) {
+            range.$gte = parseDateFilter(from, false);
+            if (!range.$gte) invalid('from', 'from must be a date (YYYY-MM-DD) or an ISO timestamp');
+        }
+        if (to) {
+            range.$lte = parseDateFilter(to, true);
+            if (!range.$lte) invalid('to', 'to must be a date (YYYY-MM-DD) or an ISO timestamp');
+        }
+        if (range.$gte && range.$lte && range.$gte > range.$lte) {
+            invalid('from', 'from must be before to');
+        }
+        query.lead_created_at = range;
+    }
+
+    Object.entries(LIST_FILTERS).forEach(([parameter, field]) => {
+        const values = listValues(params[parameter] ?? [], parameter !== 'salary');
+        if (values.length === 0) return;
+
+        const allowed = parameter === 'salary' ? SALARY_BUCKETS : enumValues(field);
+        const unknown = allowed?.length ? values.filter(item => !allowed.includes(item)) : [];
+        if (unknown.length > 0) {
+            invalid(parameter, `Unknown ${parameter} ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+            return;
+        }
+
+        query[field] = values.length === 1 ? values[0] : { $in: values };
+    });
+
+    Object.entries(TEXT_FILTERS).forEach(([parameter, field]) => {
+        const values = listValues(params[parameter] ?? [], true).map(value => value.toLowerCase());
+        if (values.length === 0) return;
+
+        query[field] = values.length === 1 ? values[0] : { $in: values };
+    });
+
+    BOOLEAN_FILTERS.forEach(parameter => {
+        const value = single(parameter);
+        if (value === undefined) return;
+
+        if (!['true', 'false'].includes(value)) {
+            invalid(parameter, `${parameter} must be true or false`);
+            return;
+        }
+        query[parameter] = value === 'true';
+    });
+
+    const batchId = single('batch_id');
+    if (batchId) {
+        if (mongoose.Types.ObjectId.isValid(batchId)) query.import_batch_id = new mongoose.Types.ObjectId(batchId);
+        else invalid('batch_id', 'Invalid import batch ID');
+    }
+
+    collectAdditionalDataFilters(params).forEach(([key, value]) => {
+        const parameter = `${ADDITIONAL_DATA_PREFIX}${key}`;
+        if (!key || key.startsWith('$') || key.includes('.')) {
+            errors.push({ parameter, value, message: 'additional_data keys cannot be empty, start with $ or contain dots' });
+            return;
+        }
+        if (typeof value !== 'string') {
+            errors.push({ parameter, value, message: `${parameter} must be given once` });
+            return;
+        }
+        // An empty value filters on leads that have the column at all
+        query[`additional_data.${key}`] = value.trim() ? value.trim() : { $exists: true };
+    });
+
+    const search = single('search');
+    if (search) {
+        if (search.length < 2) invalid('search', 'search must be at least 2 characters');
+        else Object.assign(query, buildSearchQuery(search));
+    }
+
+    const sortParameter = single('sort') || DEFAULT_SORT;
+    const sortField = sortParameter.replace(/^-/, '');
+    const sort = {};
+    if (LEAD_SORT_FIELDS.includes(sortField)) {
+        sort[sortField] = sortParameter.startsWith('-') ? -1 : 1;
+        // Stable order for leads with the same sort value
+        sort._id = sort[sortField];
+    } else {
+        invalid('sort', `Cannot sort by ${sortField} (allowed: ${LEAD_SORT_FIELDS.join(', ')}, prefix - for descending)`);
+    }
+
+    return { query, sort, errors };
+};
+
+/**
+ * One-line summary of filter errors, used as the 400 message
+ */
+export const formatFilterErrors = (errors) =>
+    errors.map(error => `${error.parameter}: ${error.message}`).join('; ');
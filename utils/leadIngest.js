@@ -0,0 +1,65 @@
+import InstantFormLead from '../models/InstantFormLead.js';
+import { importLeadChunk, getFileHeaders } from './instantLeadImporter.js';
+import { resolveMappingProfile } from './mappingProfiles.js';
+import { assignDuplicateClusters } from './duplicateClusters.js';
+
+/**
+ * Store leads received outside of file uploads (webhooks, API) through the
+ * same mapping, validation and dedup pipeline as Excel rows.
+ */
+
+/**
+ * Lead already received from a source, webhooks are delivered again on errors
+ * @returns {Promise<Object|null>} { _id } of the stored lead
+ */
+export const findReceivedLead = (source, externalLeadId) =>
+    InstantFormLead.findOne({ lead_source: source, external_lead_id: externalLeadId }).select('_id').lean();
+
+/**
+ * Import lead rows keyed by field / question name
+ * @param {Array<Object>} rows - One object per lead, like an Excel row keyed by header
+ * @param {Object} options - { source: lead_source, profileName: mapping profile (detected when empty),
+ *                            extra: fields to set on every lead, rowExtras: fields per lead, e.g. external_lead_id, campaign_id }
+ * @returns {Promise<Array<Object>>} importLeadChunk results, in row order
+ */
+export const ingestLeadRows = async (rows, { source, profileName = null, extra = {}, rowExtras = [] }) => {
+    if (rows.length === 0) return [];
+
+    const profile = await resolveMappingProfile(profileName, getFileHeaders([{ rows }]));
+    const results = await importLeadChunk(rows, 1, {
+        profile,
+        rowExtras,
+        extra: { lead_source: source, uploaded_by: source, ...extra }
+    });
+
+    // A concurrent delivery stored the lead first (unique platform + external_lead_id index)
+    for (const [index, result] of results.entries()) {
+        const externalLeadId = rowExtras[index]?.external_lead_id;
+        if (result.errorCode !== 11000 || !externalLeadId) continue;
+
+        const existing = await findReceivedLead(source, externalLeadId);
+        if (existing) {
+            results[index] = {
+                rowNumber: result.rowNumber,
+                status: 'skipped',
+                leadId: existing._id,
+                existingLeadId: existing._id,
+                reason: 'Lead already received'
+            };
+        }
+    }
+
+    // Uploads cluster duplicates once the batch is done, single leads right away
+    const duplicates = results
+        .filter(result => result.status === 'duplicate')
+        .map(result => ({ _id: result.leadId, is_duplicate: true, original_lead_id: result.originalLeadId }));
+    if (duplicates.length > 0) {
+        try {
+            await assignDuplicateClusters(duplicates);
+        } catch (error) {
+            console.error(`⚠️ Duplicate clustering of ${source} leads failed:`, error.message);
+        }
+    }
+
+    return results;
+};
@@ -0,0 +1,256 @@
+import { executeQuery } from '../config/mysqlDb.js';
+import { MYSQL_MATCH_COLUMNS, DISBURSED_STATUS, MATCH_WEIGHTS, LEAD_MATCH_SETTINGS } from '../config/leadMatching.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import { normalizeIndianMobile } from './phoneNumbers.js';
+import { buildStatusChangeUpdate } from './loanStatusSync.js';
+
+/**
+ * Match instant form leads with loan applications in the read-only MySQL
+ * `leads` and `customer_profile` tables, by canonical phone, PAN and email.
+ */
+
+const MATCH_CHUNK_SIZE = 500;
+const MATCH_LEAD_FIELDS = '_id phone_canonical pan_number email mysql_match disbursed_at';
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+const normalizePan = (pan) => (pan ? String(pan).trim().toUpperCase() : null);
+const normalizePhone = (phone) => (phone ? normalizeIndianMobile(phone).mobile : null);
+
+// MySQL may store a mobile with or without the country code
+const phoneVariants = (mobile) => [mobile, `91${mobile}`, `+91${mobile}`];
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+const toId = (value) => (value === undefined || value === null ? null : Number(value));
+
+/**
+ * Rows of a MySQL table whose phone, PAN or email is one of the given values
+ */
+const findMySQLRows = async (select, from, columns, { phones, pans, emails }) => {
+    const conditions = [];
+    const params = [];
+
+    const phoneValues = phones.flatMap(phoneVariants);
+    [[columns.mobile, phoneValues], [columns.pan, pans], [columns.email, emails]].forEach(([column, values]) => {
+        if (values.length > 0) {
+            conditions.push(`${column} IN (${placeholders(values)})`);
+            params.push(...values);
+        }
+    });
+
+    if (conditions.length === 0) return [];
+
+    return executeQuery(`SELECT ${select} FROM ${from} WHERE ${conditions.join(' OR ')}`, params);
+};
+
+/**
+ * Index MySQL rows by normalized phone, PAN and email
+ */
+const indexRows = (rows, { mobile, pan, email }) => {
+    const index = { phone: new Map(), pan: new Map(), email: new Map() };
+    const add = (map, key, row) => {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(row);
+    };
+
+    rows.forEach(row => {
+        add(index.phone, normalizePhone(row[mobile]), row);
+        add(index.pan, normalizePan(row[pan]), row);
+        add(index.email, normalizeEmail(row[email]), row);
+    });
+
+    return index;
+};
+
+/**
+ * Best MySQL row for a form lead: highest identifier score, then the most recent
+ * @param {Object} index - Result of indexRows
+ * @param {Object} keys - { phone, pan, email } of the form lead
+ * @param {Function} recency - Sort value of a row, higher is more recent
+ * @returns {Object|null} { row, matchedOn, confidence }
+ */
+const pickBestRow = (index, keys, recency) => {
+    const candidates = new Map();
+
+    Object.keys(MATCH_WEIGHTS).forEach(identifier => {
+        (index[identifier].get(keys[identifier]) || []).forEach(row => {
+            const candidate = candidates.get(row) || { row, matchedOn: [], confidence: 0 };
+            candidate.matchedOn.push(identifier);
+            candidate.confidence = Math.min(1, Number((candidate.confidence + MATCH_WEIGHTS[identifier]).toFixed(2)));
+            candidates.set(row, candidate);
+        });
+    });
+
+    return [...candidates.values()].sort((a, b) =>
+        b.confidence - a.confidence || recency(b.row) - recency(a.row)
+    )[0] || null;
+};
+
+/**
+ * Match a set of form leads and store the result on each of them
+ * @param {Array<Object>} leads - Leads with _id, phone_canonical, pan_number, email
+ *                              (and mysql_match, disbursed_at of an earlier match)
+ * @returns {Promise<Object>} { unmatched, matched, disbursed } counts
+ */
+export const matchInstantLeads = async (leads) => {
+    const summary = { unmatched: 0, matched: 0, disbursed: 0 };
+    if (leads.length === 0) return summary;
+
+    const { leads: leadColumns, customerProfile, loan } = MYSQL_MATCH_COLUMNS;
+    const keysOf = (lead) => ({
+        phone: lead.phone_canonical || null,
+        pan: normalizePan(lead.pan_number),
+        email: normalizeEmail(lead.email)
+    });
+
+    const allKeys = leads.map(keysOf);
+    const values = {
+        phones: [...new Set(allKeys.map(keys => keys.phone).filter(Boolean))],
+        pans: [...new Set(allKeys.map(keys => keys.pan).filter(Boolean))],
+        emails: [...new Set(allKeys.map(keys => keys.email).filter(Boolean))]
+    };
+
+    const [applicationRows, customerRows] = await Promise.all([
+        findMySQLRows(
+            `le.${leadColumns.id} AS lead_id, le.${leadColumns.customerId} AS customer_id,
+             le.${leadColumns.mobile} AS mobile, le.${leadColumns.email} AS email, le.${leadColumns.pan} AS pan,
+             le.${leadColumns.status} AS status, le.${leadColumns.createdOn} AS created_on,
+             le.${leadColumns.updatedOn} AS updated_on,
+             lo.${loan.recommendedAmount} AS recommended_amount`,
+            `${leadColumns.table} le LEFT JOIN ${loan.table} lo ON le.${leadColumns.id} = lo.${loan.leadId}`,
+            { mobile: `le.${leadColumns.mobile}`, pan: `le.${leadColumns.pan}`, email: `le.${leadColumns.email}` },
+            values
+        ),
+        findMySQLRows(
+            `${customerProfile.id} AS cp_id, ${customerProfile.mobile} AS mobile,
+             ${customerProfile.email} AS email, ${customerProfile.pan} AS pan`,
+            customerProfile.table,
+            customerProfile,
+            values
+        )
+    ]);
+
+    const rowColumns = { mobile: 'mobile', pan: 'pan', email: 'email' };
+    const applicationIndex = indexRows(applicationRows, rowColumns);
+    const customerIndex = indexRows(customerRows, rowColumns);
+    const now = new Date();
+
+    const operations = leads.map((lead, position) => {
+        const keys = allKeys[position];
+        const application = pickBestRow(applicationIndex, keys, row => new Date(row.created_on || 0).getTime());
+        const customer = pickBestRow(customerIndex, keys, row => Number(row.cp_id) || 0);
+
+        let matchStatus = 'unmatched';
+        let mysqlMatch = null;
+
+        if (application || customer) {
+            const appRow = application?.row;
+            matchStatus = appRow?.status === DISBURSED_STATUS ? 'disbursed' : 'matched';
+            mysqlMatch = {
+                lead_id: toId(appRow?.lead_id),
+                cp_id: toId(appRow?.customer_id ?? customer?.row.cp_id),
+                status: appRow?.status ?? null,
+                recommended_amount: appRow?.recommended_amount !== undefined && appRow?.recommended_amount !== null
+                    ? Number(appRow.recommended_amount)
+                    : null,
+                lead_created_on: appRow?.created_on ? new Date(appRow.created_on) : null,
+                matched_on: [...new Set([...(application?.matchedOn || []), ...(customer?.matchedOn || [])])],
+                confidence: Math.max(application?.confidence || 0, customer?.confidence || 0)
+            };
+        }
+
+        summary[matchStatus]++;
+
+        // First status of a newly matched application goes to status_history
+        const statusChange = mysqlMatch?.lead_id !== null && mysqlMatch?.lead_id !== undefined
+            ? buildStatusChangeUpdate(lead, {
+                leadId: mysqlMatch.lead_id,
+                status: mysqlMatch.status,
+                changedAt: application.row.updated_on ? new Date(application.row.updated_on) : null
+            })
+            : null;
+
+        return {
+            updateOne: {
+                filter: { _id: lead._id },
+                update: {
+                    ...statusChange,
+                    $set: {
+                        ...statusChange?.$set,
+                        match_status: matchStatus,
+                        mysql_match: mysqlMatch,
+                        match_checked_at: now
+                    }
+                }
+            }
+        };
+    });
+
+    await InstantFormLead.bulkWrite(operations, { ordered: false });
+
+    return summary;
+};
+
+/**
+ * Match the leads of a query in chunks, walking `_id` upwards
+ */
+const matchLeadsWhere = async (filter) => {
+    const summary = { unmatched: 0, matched: 0, disbursed: 0 };
+    let lastId = null;
+
+    while (true) {
+        const query = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+        const leads = await InstantFormLead.find(query)
+            .select(MATCH_LEAD_FIELDS)
+            .sort({ _id: 1 })
+            .limit(MATCH_CHUNK_SIZE)
+            .lean();
+
+        if (leads.length === 0) break;
+
+        const chunkSummary = await matchInstantLeads(leads);
+        Object.keys(summary).forEach(status => {
+            summary[status] += chunkSummary[status];
+        });
+        lastId = leads[leads.length - 1]._id;
+    }
+
+    return summary;
+};
+
+/**
+ * Match every lead of an import batch
+ * @returns {Promise<Object>} { unmatched, matched, disbursed } counts
+ */
+export const matchImportBatch = (batchId) => matchLeadsWhere({ import_batch_id: batchId });
+
+/**
+ * Re-match recent leads that have not been disbursed yet: new applications
+ * show up in MySQL days after the form was filled
+ * @param {Object} options - { days: how far back to look, LEAD_MATCH_RESYNC_DAYS by default }
+ * @returns {Promise<Object>} { unmatched, matched, disbursed } counts
+ */
+export const resyncLeadMatches = ({ days = LEAD_MATCH_SETTINGS.resyncDays } = {}) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    return matchLeadsWhere({
+        match_status: { $ne: 'disbursed' },
+        createdAt: { $gte: since }
+    });
+};
+
+/**
+ * Unmatched / matched / disbursed counts of an import batch
+ * @returns {Promise<Object>} { pending, unmatched, matched, disbursed }
+ */
+export const getBatchMatchSummary = async (batchId) => {
+    const counts = await InstantFormLead.aggregate([
+        { $match: { import_batch_id: batchId } },
+        { $group: { _id: '$match_status', count: { $sum: 1 } } }
+    ]);
+
+    const summary = { pending: 0, unmatched: 0, matched: 0, disbursed: 0 };
+    counts.forEach(({ _id, count }) => {
+        summary[_id || 'pending'] = count;
+    });
+    return summary;
+};
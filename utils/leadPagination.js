@@ -0,0 +1,219 @@
+import mongoose from 'mongoose';
+import InstantFormLead from '../models/InstantFormLead.js';
+
+/**
+ * Cursor pagination of lead lists.
+ *
+ * A page ends with an opaque cursor holding the sort value and _id of its last
+ * lead; the next page starts right after it with a range query on the
+ * (sort field, _id) index instead of skipping every earlier lead, so page
+ * 10,000 costs the same as page 1.
+ *
+ * `page` still works for older clients (deprecated): it skips to the page and
+ * adds the old { current, pages, total } fields to the pagination.
+ */
+
+export const DEFAULT_LIST_LIMIT = 100;
+export const MAX_LIST_LIMIT = 500;
+
+// Lead fields ?fields= may ask for, additional_data keys as `additional_data.<key>`
+const PROJECTABLE_FIELDS = Object.keys(InstantFormLead.schema.paths)
+    .filter(field => !field.includes('.') && !['_id', '__v'].includes(field));
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decode = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+};
+
+// Sort values keep their type through the cursor: dates as { d: ISO string }
+const encodeValue = (value) => (value instanceof Date ? { d: value.toISOString() } : value ?? null);
+const decodeValue = (value) => (value && typeof value === 'object' && value.d ? new Date(value.d) : value);
+
+// The sort a cursor belongs to, e.g. "-createdAt"
+const sortKey = (sort) => {
+    const [field] = Object.keys(sort);
+    return `${sort[field] === -1 ? '-' : ''}${field}`;
+};
+
+/**
+ * Cursor pointing after a lead
+ * @param {Object} lead - Last lead of the page, with the sort field
+ * @param {Object} sort - { <field>: 1|-1, _id: 1|-1 }
+ * @returns {string} Opaque cursor
+ */
+export const encodeLeadCursor = (lead, sort) => {
+    const [field] = Object.keys(sort);
+    const value = field.split('.').reduce((object, key) => object?.[key], lead);
+    return encode({ s: sortKey(sort), v: encodeValue(value), id: String(lead._id) });
+};
+
+/**
+ * Condition matching the leads after a cursor in the given sort. Leads without
+ * a sort value sort before all others ascending and after them descending.
+ * @param {string} cursor - From encodeLeadCursor
+ * @param {Object} sort - Sort of the current request
+ * @returns {Object} { condition, error }
+ */
+export const decodeLeadCursor = (cursor, sort) => {
+    const data = decode(cursor);
+    if (!data || !data.id || !mongoose.Types.ObjectId.isValid(data.id) || !('v' in data)) {
+        return { condition: null, error: 'cursor is not valid' };
+    }
+    if (data.s !== sortKey(sort)) {
+        return { condition: null, error: `cursor belongs to sort ${data.s}, not ${sortKey(sort)}` };
+    }
+
+    const [field] = Object.keys(sort);
+    const ascending = sort[field] === 1;
+    const id = new mongoose.Types.ObjectId(data.id);
+    const value = decodeValue(data.v);
+    const afterId = { _id: ascending ? { $gt: id } : { $lt: id } };
+
+    let alternatives;
+    if (value === null) {
+        alternatives = ascending
+            ? [{ [field]: null, ...afterId }, { [field]: { $ne: null } }]
+            : [{ [field]: null, ...afterId }];
+    } else {
+        alternatives = [
+            { [field]: ascending ? { $gt: value } : { $lt: value } },
+            { [field]: value, ...afterId }
+        ];
+        if (!ascending) alternatives.push({ [field]: null });
+    }
+
+    return { condition: { $or: alternatives }, error: null };
+};
+
+/**
+ * Projection of ?fields=a,b,additional_data.c; _id and the sort field are always returned
+ * @param {string} fields - Comma-separated field names
+ * @param {Object} sort - Sort of the request
+ * @returns {Object} { projection: null when all fields are wanted, error }
+ */
+export const buildLeadProjection = (fields, sort) => {
+    if (fields === undefined || fields === '') return { projection: null, error: null };
+    if (typeof fields !== 'string') return { projection: null, error: 'fields must be given once, comma-separated' };
+
+    const names = fields.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !PROJECTABLE_FIELDS.includes(name)
+        && !/^additional_data\.[^$.][^.]*$/.test(name));
+    if (unknown.length > 0) {
+        return { projection: null, error: `Unknown fields ${unknown.join(', ')}` };
+    }
+
+    const projection = {};
+    [...names, ...Object.keys(sort)].forEach(name => {
+        projection[name] = 1;
+    });
+    // additional_data and one of its keys cannot both be projected
+    if (projection.additional_data) {
+        Object.keys(projection)
+            .filter(name => name.startsWith('additional_data.'))
+            .forEach(name => delete projection[name]);
+    }
+
+    return { projection, error: null };
+};
+
+/**
+ * Paging parameters of a lead list request: limit, cursor (or deprecated page), fields, includeTotal
+ * @param {Object} params - req.query
+ * @param {Object} sort - Sort of the request
+ * @param {Object} limits - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, after, page, projection, includeTotal, errors: [{ parameter, value, message }] }
+ */
+export const parseLeadPageParams = (params, sort, { defaultLimit = DEFAULT_LIST_LIMIT, maxLimit = MAX_LIST_LIMIT } = {}) => {
+    const errors = [];
+    const invalid = (parameter, message) => errors.push({ parameter, value: params[parameter] ?? null, message });
+
+    let limit = defaultLimit;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+            invalid('limit', `limit must be a whole number between 1 and ${maxLimit}`);
+        }
+    }
+
+    let page = null;
+    if (params.page !== undefined) {
+        page = Number(params.page);
+        if (!Number.isInteger(page) || page < 1) {
+            invalid('page', 'page must be a whole number from 1');
+        } else if (params.cursor) {
+            invalid('page', 'page cannot be combined with cursor, pass only cursor');
+        }
+    }
+
+    let after = null;
+    if (params.cursor) {
+        const { condition, error } = decodeLeadCursor(params.cursor, sort);
+        if (error) invalid('cursor', error);
+        after = condition;
+    }
+
+    const { projection, error } = buildLeadProjection(params.fields, sort);
+    if (error) invalid('fields', error);
+
+    const includeTotal = params.includeTotal ?? params.include_total;
+    if (includeTotal !== undefined && !['true', 'false'].includes(includeTotal)) {
+        invalid('includeTotal', 'includeTotal must be true or false');
+    }
+
+    return { limit, after, page, projection, includeTotal: includeTotal === 'true', errors };
+};
+
+/**
+ * Read one page of a collection sorted on one field and _id
+ * @param {Model} model - Mongoose model, e.g. InstantFormLead or DuplicateCluster
+ * @param {Object} query - Filter of the list
+ * @param {Object} sort - { <field>: 1|-1, _id: 1|-1 }
+ * @param {Object} options - From parseLeadPageParams: { limit, after, page, projection, includeTotal }
+ * @returns {Promise<Object>} { rows, pagination: { limit, count, hasMore, nextCursor, total?, current?, pages? } }
+ */
+export const findPage = async (model, query, sort, { limit, after = null, page = null, projection = null, includeTotal = false }) => {
+    const pageQuery = after
+        ? { ...query, $and: [...(query.$and || []), after] }
+        : query;
+    const withTotal = includeTotal || page !== null;
+
+    let find = model.find(pageQuery, projection).sort(sort);
+    // Deprecated offset paging
+    if (page !== null) find = find.skip((page - 1) * limit);
+
+    const [found, total] = await Promise.all([
+        find.limit(limit + 1).lean(),
+        withTotal ? model.countDocuments(query) : null
+    ]);
+
+    const hasMore = found.length > limit;
+    const rows = hasMore ? found.slice(0, limit) : found;
+
+    const pagination = {
+        limit,
+        count: rows.length,
+        hasMore,
+        nextCursor: hasMore ? encodeLeadCursor(rows[rows.length - 1], sort) : null
+    };
+    if (withTotal) pagination.total = total;
+    if (page !== null) {
+        pagination.current = page;
+        pagination.pages = Math.ceil(total / limit);
+    }
+
+    return { rows, pagination };
+};
+
+/**
+ * Read one page of leads, see findPage
+ * @returns {Promise<Object>} { leads, pagination }
+ */
+export const findLeadPage = async (query, sort, options) => {
+    const { rows, pagination } = await findPage(InstantFormLead, query, sort, options);
+    return { leads: rows, pagination };
+};
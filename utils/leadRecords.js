@@ -0,0 +1,198 @@
+import InstantFormLead from '../models/InstantFormLead.js';
+import { IMPORTABLE_LEAD_FIELDS } from '../models/MappingProfile.js';
+import { reevaluateDuplicates, computeLeadFingerprint, DEDUP_LEAD_FIELDS } from './instantLeadImporter.js';
+import { assignDuplicateClusters, detachFromClusters } from './duplicateClusters.js';
+import { normalizeIndianMobile } from './phoneNumbers.js';
+import { parseLeadTimestamp } from './leadDates.js';
+import { validateLeadFields } from './leadValidation.js';
+
+/**
+ * Corrections and soft deletes of single instant form leads
+ * (PATCH / DELETE /api/instant-leads/:id)
+ */
+
+// Fields a PATCH may change: the ones an import reads from a file; system, dedup and matching fields are derived from these
+export const EDITABLE_FIELDS = [...IMPORTABLE_LEAD_FIELDS, 'additional_data'];
+
+const REQUIRED_FIELDS = ['created_time', 'ad_id', 'platform', 'what_is_your_monthly_salary', 'phone_number'];
+const DEDUP_FIELDS = ['phone_canonical', 'pan_number', 'email'];
+// Changes that can move a lead's duplicate links: its identifiers, and what picks and measures its dedup window
+const DEDUP_INPUT_FIELDS = [...DEDUP_FIELDS, 'platform', 'ad_id', 'campaign_id', 'lead_created_at'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Normalize the requested changes the way an import would and check them
+ * @param {Object} lead - Current lead
+ * @param {Object} changes - { field: value }, null clears an optional field
+ * @returns {Object} { updates: { path: value }, errors: [{ field, value, message }] }
+ */
+export const prepareLeadChanges = (lead, changes) => {
+    const updates = {};
+    const errors = [];
+
+    Object.entries(changes).forEach(([field, rawValue]) => {
+        if (!EDITABLE_FIELDS.includes(field)) {
+            errors.push({ field, value: rawValue, message: 'Field cannot be edited' });
+            return;
+        }
+
+        if (field === 'additional_data') {
+            if (rawValue === null || typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+                errors.push({ field, value: rawValue, message: 'additional_data must be an object of column: value (null removes a column)' });
+                return;
+            }
+            const additionalData = { ...(lead.additional_data || {}) };
+            Object.entries(rawValue).forEach(([key, value]) => {
+                if (value === null || value === '') delete additionalData[key];
+                else additionalData[key] = String(value).trim();
+            });
+            updates.additional_data = additionalData;
+            return;
+        }
+
+        if (rawValue !== null && typeof rawValue === 'object') {
+            errors.push({ field, value: rawValue, message: 'Value must be a string or a number' });
+            return;
+        }
+
+        const value = rawValue === null ? '' : String(rawValue).trim();
+        if (!value) {
+            if (REQUIRED_FIELDS.includes(field)) {
+                errors.push({ field, value: rawValue, message: `${field} is required` });
+            } else {
+                updates[field] = null;
+            }
+            return;
+        }
+
+        if (field === 'phone_number') {
+            const phone = normalizeIndianMobile(value);
+            if (!phone.valid) {
+                errors.push({ field, value, message: phone.reason });
+                return;
+            }
+            Object.assign(updates, {
+                phone_raw: value,
+                phone_number: value.replace(/\D/g, ''),
+                phone_canonical: phone.mobile,
+                phone_e164: phone.e164
+            });
+        } else if (field === 'pan_number') {
+            updates.pan_number = value.toUpperCase();
+        } else if (field === 'created_time') {
+            updates.created_time = value;
+            updates.lead_created_at = parseLeadTimestamp(value);
+        } else {
+            updates[field] = value;
+        }
+    });
+
+    // Same checks as an import, but only on the fields being changed
+    const leadObject = typeof lead.toObject === 'function' ? lead.toObject() : lead;
+    const changedFields = Object.keys(changes);
+    validateLeadFields({ ...leadObject, ...updates })
+        .filter(warning => changedFields.includes(warning.field))
+        .forEach(warning => errors.push(warning));
+
+    return { updates, errors };
+};
+
+/**
+ * Later leads holding the current phone, PAN or email of a lead: they may be
+ * duplicates of it now
+ */
+const findLaterMatches = (lead) => {
+    const orConditions = DEDUP_FIELDS.filter(field => lead[field]).map(field => ({ [field]: lead[field] }));
+    if (orConditions.length === 0) return [];
+
+    return InstantFormLead.find({ $or: orConditions, _id: { $gt: lead._id }, deleted_at: null })
+        .select(DEDUP_LEAD_FIELDS)
+        .lean();
+};
+
+/**
+ * Re-run duplicate evaluation for a lead, the leads pointing at it and, after
+ * an edit, the later leads matching its new phone / PAN / email, and move them
+ * to the duplicate clusters matching their new links
+ * @param {Object} lead - The edited or deleted lead
+ * @param {Object} options - { deleted: the lead itself is removed from dedup }
+ * @returns {Promise<Object>} { repointed, promoted, reEngaged }
+ */
+export const recheckDuplicatesAround = async (lead, { deleted = false } = {}) => {
+    const dependents = await InstantFormLead.find({ original_lead_id: lead._id, deleted_at: null })
+        .select(DEDUP_LEAD_FIELDS)
+        .lean();
+
+    let leads = dependents;
+    if (!deleted) {
+        const current = await InstantFormLead.findById(lead._id).select(DEDUP_LEAD_FIELDS).lean();
+        const dependentIds = new Set(dependents.map(dependent => String(dependent._id)));
+        const laterMatches = (await findLaterMatches(current)).filter(match => !dependentIds.has(String(match._id)));
+        leads = [current, ...dependents, ...laterMatches];
+    }
+
+    // Later matches keep their cluster: one that becomes a duplicate brings it into the lead's cluster
+    await detachFromClusters([lead._id, ...dependents.map(dependent => dependent._id)]);
+    const summary = await reevaluateDuplicates(leads, deleted ? [lead._id] : []);
+
+    const relinked = await InstantFormLead.find({ _id: { $in: leads.map(item => item._id) }, is_duplicate: true })
+        .select('_id is_duplicate original_lead_id duplicate_cluster_id')
+        .lean();
+    await assignDuplicateClusters(relinked);
+
+    return summary;
+};
+
+/**
+ * Apply prepared changes to a lead, record them in change_history, refresh its
+ * row fingerprint and re-check duplicates when a dedup input changed (phone, PAN,
+ * email, platform, ad_id, campaign_id or created_time)
+ * @param {Object} lead - InstantFormLead document
+ * @param {Object} updates - From prepareLeadChanges
+ * @param {string} changedBy - Who made the edit
+ * @returns {Promise<Object>} { lead, changes, duplicates: re-check summary or null }
+ */
+export const updateLead = async (lead, updates, changedBy) => {
+    const changes = Object.entries(updates)
+        .filter(([field, value]) => !sameValue(lead.get(field), value))
+        .map(([field, value]) => ({ field, old_value: lead.get(field) ?? null, new_value: value }));
+
+    if (changes.length === 0) {
+        return { lead, changes, duplicates: null };
+    }
+
+    changes.forEach(({ field, new_value }) => lead.set(field, new_value));
+    lead.validation_warnings = validateLeadFields(lead);
+    // An import of the corrected row is recognized as this lead
+    lead.row_fingerprint = computeLeadFingerprint(lead.toObject());
+    lead.change_history.push({ changed_at: new Date(), changed_by: changedBy || 'unknown', changes });
+    // Quality and name_key are recomputed by the save middleware
+    await lead.save();
+
+    let duplicates = null;
+    if (changes.some(({ field }) => DEDUP_INPUT_FIELDS.includes(field))) {
+        duplicates = await recheckDuplicatesAround(lead);
+    }
+
+    console.log(`✏️ Lead ${lead._id} updated by ${changedBy || 'unknown'}: ${changes.map(({ field }) => field).join(', ')}`);
+
+    return { lead: await InstantFormLead.findById(lead._id), changes, duplicates };
+};
+
+/**
+ * Soft delete a lead: tombstone it, and re-point or promote the leads that
+ * had it as original
+ * @returns {Promise<Object>} { repointed, promoted, reEngaged } of its dependents
+ */
+export const softDeleteLead = async (lead, deletedBy) => {
+    lead.deleted_at = new Date();
+    lead.deleted_by = deletedBy || 'unknown';
+    await lead.save();
+
+    const duplicates = await recheckDuplicatesAround(lead, { deleted: true });
+
+    console.log(`🗑️ Lead ${lead._id} deleted by ${lead.deleted_by}`);
+
+    return duplicates;
+};
@@ -0,0 +1,83 @@
+import { SALARY_BUCKETS } from './qualityRules.js';
+
+/**
+ * Field-level validation of instant form leads.
+ *
+ * Problems are returned as warnings; the import strictness decides what
+ * happens to them: "warn" stores the lead with its warnings, "strict" rejects
+ * the row.
+ */
+
+export const VALIDATION_STRICTNESS = ['warn', 'strict'];
+
+export const DEFAULT_VALIDATION_STRICTNESS = VALIDATION_STRICTNESS.includes(process.env.LEAD_VALIDATION_STRICTNESS)
+    ? process.env.LEAD_VALIDATION_STRICTNESS
+    : 'warn';
+
+const MIN_AGE = parseInt(process.env.LEAD_MIN_AGE) || 18;
+const MAX_AGE = parseInt(process.env.LEAD_MAX_AGE) || 65;
+
+// 4th character of a PAN is the holder type: Association of persons, Body of individuals,
+// Company, Firm / LLP, Government, HUF, Artificial juridical person, Local authority, Person, Trust
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Checks per field, each returns an error message or null
+const FIELD_RULES = {
+    // lead_created_at is parsed from created_time before validation
+    created_time: (value, leadData) => (leadData.lead_created_at
+        ? null
+        : `Date '${value}' is not in a recognised format`),
+    pan_number: (value) => {
+        if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(value)) {
+            return 'PAN must be 5 letters, 4 digits and 1 letter (e.g. ABCPE1234F)';
+        }
+        if (!PAN_PATTERN.test(value)) {
+            return `PAN holder type '${value[3]}' (4th character) is not valid`;
+        }
+        return null;
+    },
+    email: (value) => (EMAIL_PATTERN.test(value) ? null : 'Email address is not valid'),
+    pincode: (value) => (PINCODE_PATTERN.test(value) ? null : 'Pincode must be a 6-digit Indian pincode'),
+    age: (value) => {
+        const age = Number(value);
+        if (!Number.isInteger(age)) {
+            return 'Age must be a whole number';
+        }
+        if (age < MIN_AGE || age > MAX_AGE) {
+            return `Age must be between ${MIN_AGE} and ${MAX_AGE}`;
+        }
+        return null;
+    },
+    what_is_your_monthly_salary: (value) => (SALARY_BUCKETS.includes(value)
+        ? null
+        : `Salary '${value}' is not a known bucket (${SALARY_BUCKETS.join(', ')})`)
+};
+
+/**
+ * Validate the fields of an extracted lead
+ * @param {Object} leadData - Extracted lead data
+ * @returns {Array<Object>} { field, value, message } per problem, empty when the lead is valid
+ */
+export const validateLeadFields = (leadData) => {
+    const warnings = [];
+
+    Object.entries(FIELD_RULES).forEach(([field, rule]) => {
+        const value = leadData[field];
+        if (value === undefined || value === null || value === '') return;
+
+        const message = rule(String(value), leadData);
+        if (message) {
+            warnings.push({ field, value: String(value), message });
+        }
+    });
+
+    return warnings;
+};
+
+/**
+ * One-line summary of validation warnings, used in row errors and reports
+ */
+export const formatValidationWarnings = (warnings) =>
+    warnings.map(warning => `${warning.field}: ${warning.message}`).join('; ');
@@ -0,0 +1,209 @@
+import { executeQuery } from '../config/mysqlDb.js';
+import { MYSQL_MATCH_COLUMNS, DISBURSED_STATUS, LEAD_MATCH_SETTINGS, LOAN_STATUS_SYNC_SETTINGS } from '../config/leadMatching.js';
+import InstantFormLead from '../models/InstantFormLead.js';
+import SyncState from '../models/SyncState.js';
+
+/**
+ * Incremental sync of MySQL `leads.status` into matched instant form leads.
+ *
+ * Changed MySQL rows are read in (updated_on, lead_id) order after a watermark
+ * stored in SyncState, so every run only reads what changed since the last one.
+ */
+
+const SYNC_NAME = 'loan-status';
+
+/**
+ * Fields to update on a form lead when its matched application changes status
+ * @param {Object} lead - Form lead with status_history entries so far (mysql_match.status, disbursed_at)
+ * @param {Object} change - { leadId, status, changedAt }
+ * @returns {Object|null} { $set, $push } update, null when the status did not change
+ */
+export const buildStatusChangeUpdate = (lead, { leadId, status, changedAt }) => {
+    const sameApplication = lead.mysql_match?.lead_id === leadId;
+    const previousStatus = sameApplication ? lead.mysql_match?.status ?? null : null;
+
+    if (sameApplication && previousStatus === status) {
+        return null;
+    }
+
+    const update = {
+        $push: {
+            status_history: {
+                lead_id: leadId,
+                status,
+                previous_status: previousStatus,
+                changed_at: changedAt || new Date(),
+                recorded_at: new Date()
+            }
+        },
+        $set: {}
+    };
+
+    if (status === DISBURSED_STATUS && !lead.disbursed_at) {
+        update.$set.disbursed_at = changedAt || new Date();
+    }
+
+    return update;
+};
+
+/**
+ * Take the sync lock, unless another run (in this or another process) holds it
+ * @returns {Promise<Object|null>} SyncState document, null when locked
+ */
+const acquireLock = async () => {
+    const now = new Date();
+    try {
+        return await SyncState.findOneAndUpdate(
+            { name: SYNC_NAME, $or: [{ locked_until: null }, { locked_until: { $lt: now } }] },
+            {
+                $set: {
+                    locked_until: new Date(now.getTime() + LOAN_STATUS_SYNC_SETTINGS.lockMinutes * 60 * 1000),
+                    last_started_at: now,
+                    last_error: null
+                }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Upsert raced with an existing, locked document
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Recommended amount of each application, the highest one when it has several loan rows
+ * @returns {Promise<Map>} MySQL lead_id -> recommended amount
+ */
+const fetchRecommendedAmounts = async (leadIds) => {
+    if (leadIds.length === 0) return new Map();
+
+    const { loan } = MYSQL_MATCH_COLUMNS;
+    const rows = await executeQuery(`
+        SELECT ${loan.leadId} AS lead_id, MAX(${loan.recommendedAmount}) AS recommended_amount
+        FROM ${loan.table}
+        WHERE ${loan.leadId} IN (${leadIds.map(() => '?').join(', ')})
+        GROUP BY ${loan.leadId}
+    `, leadIds);
+
+    return new Map(rows.map(row => [Number(row.lead_id), row.recommended_amount]));
+};
+
+/**
+ * Read one page of MySQL rows changed after the watermark. The page is read
+ * from the leads table alone, so every application appears once and the
+ * (updated_on, lead_id) keyset stays exact; loan amounts are added by a second query.
+ */
+const fetchChangedApplications = async (watermark) => {
+    const { leads } = MYSQL_MATCH_COLUMNS;
+    const query = `
+        SELECT ${leads.id} AS lead_id, ${leads.status} AS status, ${leads.updatedOn} AS updated_on
+        FROM ${leads.table}
+        WHERE ${leads.updatedOn} > ? OR (${leads.updatedOn} = ? AND ${leads.id} > ?)
+        ORDER BY ${leads.updatedOn}, ${leads.id}
+        LIMIT ${LOAN_STATUS_SYNC_SETTINGS.batchSize}
+    `;
+    const rows = await executeQuery(query, [watermark.updated_on, watermark.updated_on, watermark.id]);
+
+    const amounts = await fetchRecommendedAmounts(rows.map(row => row.lead_id));
+    return rows.map(row => ({ ...row, recommended_amount: amounts.get(Number(row.lead_id)) ?? null }));
+};
+
+/**
+ * Apply one page of changed MySQL rows to the form leads matched to them
+ * @returns {Promise<Object>} { updatedLeads, disbursed }
+ */
+const applyStatusChanges = async (rows) => {
+    const rowsByLeadId = new Map(rows.map(row => [Number(row.lead_id), row]));
+    const formLeads = await InstantFormLead.find({ 'mysql_match.lead_id': { $in: [...rowsByLeadId.keys()] } })
+        .select('_id mysql_match disbursed_at')
+        .lean();
+
+    const summary = { updatedLeads: 0, disbursed: 0 };
+    const operations = [];
+
+    formLeads.forEach(lead => {
+        const row = rowsByLeadId.get(lead.mysql_match.lead_id);
+        const update = buildStatusChangeUpdate(lead, {
+            leadId: lead.mysql_match.lead_id,
+            status: row.status,
+            changedAt: row.updated_on ? new Date(row.updated_on) : null
+        });
+        if (!update) return;
+
+        update.$set['mysql_match.status'] = row.status;
+        update.$set.match_status = row.status === DISBURSED_STATUS ? 'disbursed' : 'matched';
+        if (row.recommended_amount !== null && row.recommended_amount !== undefined) {
+            update.$set['mysql_match.recommended_amount'] = Number(row.recommended_amount);
+        }
+
+        summary.updatedLeads++;
+        if (row.status === DISBURSED_STATUS) summary.disbursed++;
+        operations.push({ updateOne: { filter: { _id: lead._id }, update } });
+    });
+
+    if (operations.length > 0) {
+        await InstantFormLead.bulkWrite(operations, { ordered: false });
+    }
+
+    return summary;
+};
+
+/**
+ * Pull status changes since the last run
+ * @returns {Promise<Object|null>} { scannedRows, updatedLeads, disbursed, watermark }, null when a run is already in progress
+ */
+export const runLoanStatusSync = async () => {
+    const state = await acquireLock();
+    if (!state) return null;
+
+    // First run: look back as far as the match re-sync does
+    const watermark = {
+        updated_on: state.watermark?.updated_on
+            || new Date(Date.now() - LEAD_MATCH_SETTINGS.resyncDays * 24 * 60 * 60 * 1000),
+        id: state.watermark?.id || 0
+    };
+    const summary = { scannedRows: 0, updatedLeads: 0, disbursed: 0 };
+
+    try {
+        while (true) {
+            const rows = await fetchChangedApplications(watermark);
+            if (rows.length === 0) break;
+
+            const pageSummary = await applyStatusChanges(rows);
+            summary.scannedRows += rows.length;
+            summary.updatedLeads += pageSummary.updatedLeads;
+            summary.disbursed += pageSummary.disbursed;
+
+            const lastRow = rows[rows.length - 1];
+            watermark.updated_on = new Date(lastRow.updated_on);
+            watermark.id = Number(lastRow.lead_id);
+
+            // Commit progress and keep the lock while pages remain
+            await SyncState.updateOne({ _id: state._id }, {
+                $set: {
+                    watermark,
+                    locked_until: new Date(Date.now() + LOAN_STATUS_SYNC_SETTINGS.lockMinutes * 60 * 1000)
+                }
+            });
+
+            if (rows.length < LOAN_STATUS_SYNC_SETTINGS.batchSize) break;
+        }
+
+        await SyncState.updateOne({ _id: state._id }, {
+            $set: { locked_until: null, last_finished_at: new Date(), last_summary: summary }
+        });
+    } catch (error) {
+        await SyncState.updateOne({ _id: state._id }, {
+            $set: { locked_until: null, last_finished_at: new Date(), last_error: error.message }
+        });
+        throw error;
+    }
+
+    return { ...summary, watermark };
+};
+
+/**
+ * Current watermark, lock and last run of the sync
+ */
+export const getLoanStatusSyncState = () => SyncState.findOne({ name: SYNC_NAME }).lean();
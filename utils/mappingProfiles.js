@@ -0,0 +1,179 @@
+import moment from 'moment-timezone';
+import MappingProfile, { IMPORTABLE_LEAD_FIELDS } from '../models/MappingProfile.js';
+import { DEFAULT_TIMEZONE } from './leadDates.js';
+
+/**
+ * Header-mapping profiles for instant lead imports.
+ *
+ * A profile lists, per InstantFormLead field, the headers it is read from and
+ * the transforms applied to the value. Profiles are stored in MongoDB; the
+ * built-in default profile is used when none is chosen or detected.
+ */
+
+// Map common field names (case-insensitive)
+const DEFAULT_FIELD_MAPPINGS = {
+    'created_time': ['created_time', 'created time', 'date', 'created_date'],
+    'ad_id': ['ad_id', 'ad id', 'adid', 'campaign_id'],
+    'platform': ['platform', 'source', 'channel'],
+    'what_is_your_monthly_salary': ['what_is_your_monthly_salary?', 'what_is_your_monthly_salary', 'salary', 'monthly_salary', 'income'],
+    'phone_number': ['phone_number', 'phone number', 'phone', 'mobile', 'contact_number'],
+    'pan_number': ['pan_number', 'pan number', 'pan_no', 'pan', 'pancard'],
+    'email': ['email', 'email_id', 'email address'],
+    'full_name': ['full_name', 'full name', 'name', 'customer_name'],
+    'first_name': ['first_name', 'first name', 'fname'],
+    'last_name': ['last_name', 'last name', 'lname'],
+    'age': ['age', 'customer_age'],
+    'gender': ['gender', 'sex'],
+    'city': ['city', 'location', 'customer_city'],
+    'state': ['state', 'customer_state'],
+    'pincode': ['pincode', 'pin code', 'zipcode', 'postal_code'],
+    'occupation': ['occupation', 'job', 'profession', 'work'],
+    'company_name': ['company_name', 'company', 'employer'],
+    'loan_amount': ['loan_amount', 'loan amount', 'amount_needed'],
+    'loan_purpose': ['loan_purpose', 'loan purpose', 'purpose'],
+    'existing_loans': ['existing_loans', 'existing loans', 'current_loans'],
+    'credit_score': ['credit_score', 'credit score', 'cibil_score']
+};
+
+const DEFAULT_FIELD_TRANSFORMS = {
+    'phone_number': ['digits_only'],
+    'pan_number': ['uppercase']
+};
+
+/**
+ * Turn a stored profile into the lookup structure used while importing
+ * @param {Object} profile - MappingProfile document or plain object
+ * @returns {Object} { name, fields: { [field]: { aliases, transforms, dateFormats, valueMap } }, headerIndex }
+ */
+export const compileMappingProfile = (profile) => {
+    const fields = {};
+    const headerIndex = new Map();
+
+    // Profiles saved before field validation may map columns onto system fields, those mappings are ignored
+    profile.fields.filter(mapping => IMPORTABLE_LEAD_FIELDS.includes(mapping.field)).forEach(mapping => {
+        const valueMap = {};
+        Object.entries(mapping.value_map || {}).forEach(([raw, mapped]) => {
+            valueMap[String(raw).trim().toLowerCase()] = mapped;
+        });
+
+        fields[mapping.field] = {
+            aliases: mapping.aliases,
+            transforms: mapping.transforms || [],
+            dateFormats: mapping.date_formats || [],
+            valueMap
+        };
+
+        mapping.aliases.forEach(alias => {
+            const header = alias.trim().toLowerCase();
+            if (!headerIndex.has(header)) {
+                headerIndex.set(header, mapping.field);
+            }
+        });
+    });
+
+    return { name: profile.name, fields, headerIndex };
+};
+
+export const DEFAULT_MAPPING_PROFILE = compileMappingProfile({
+    name: 'default',
+    fields: Object.keys(DEFAULT_FIELD_MAPPINGS).map(field => ({
+        field,
+        aliases: DEFAULT_FIELD_MAPPINGS[field],
+        transforms: DEFAULT_FIELD_TRANSFORMS[field] || []
+    }))
+});
+
+/**
+ * Find the model field a header maps to under a profile
+ * @returns {string|null} Model field, or null when the column goes to additional_data
+ */
+export const mapHeader = (header, profile = DEFAULT_MAPPING_PROFILE) =>
+    profile.headerIndex.get(String(header).trim().toLowerCase()) || null;
+
+/**
+ * Apply a field's transforms to a raw (already trimmed) value
+ * @throws {Error} When a date cannot be parsed
+ */
+export const applyFieldTransforms = (value, field, profile = DEFAULT_MAPPING_PROFILE) => {
+    const mapping = profile.fields[field];
+    if (!mapping) return value;
+
+    return mapping.transforms.reduce((current, transform) => {
+        switch (transform) {
+            case 'trim':
+                return current.trim().replace(/\s+/g, ' ');
+            case 'digits_only':
+                return current.replace(/\D/g, ''); // Remove non-digits
+            case 'uppercase':
+                return current.toUpperCase();
+            case 'lowercase':
+                return current.toLowerCase();
+            case 'date': {
+                const parsed = moment.tz(current, [...mapping.dateFormats, moment.ISO_8601], true, DEFAULT_TIMEZONE);
+                if (!parsed.isValid()) {
+                    throw new Error(`Invalid date '${current}' for ${field}`);
+                }
+                return parsed.format();
+            }
+            case 'value_map': {
+                const mapped = mapping.valueMap[current.toLowerCase()];
+                return mapped !== undefined ? String(mapped) : current;
+            }
+            default:
+                return current;
+        }
+    }, value);
+};
+
+/**
+ * Load an active or inactive profile by name
+ * @returns {Promise<Object|null>} Compiled profile, null when it does not exist
+ */
+export const loadMappingProfile = async (name) => {
+    const profile = await MappingProfile.findOne({ name }).lean();
+    return profile ? compileMappingProfile(profile) : null;
+};
+
+/**
+ * Pick the active profile whose aliases match the most headers.
+ * Falls back to the default profile when no stored profile does better.
+ * @param {Array<string>} headers - Headers found in the file
+ * @returns {Promise<Object>} Compiled profile
+ */
+export const detectMappingProfile = async (headers) => {
+    const countMatches = (profile) => headers.filter(header => mapHeader(header, profile)).length;
+
+    const profiles = await MappingProfile.find({ active: true }).lean();
+    let best = DEFAULT_MAPPING_PROFILE;
+    let bestMatches = countMatches(DEFAULT_MAPPING_PROFILE);
+
+    profiles.forEach(stored => {
+        const profile = compileMappingProfile(stored);
+        const matches = countMatches(profile);
+        if (matches > bestMatches) {
+            best = profile;
+            bestMatches = matches;
+        }
+    });
+
+    return best;
+};
+
+/**
+ * Profile for an import: the named one if given, otherwise detected from the headers
+ * @throws {Error} When the named profile does not exist
+ */
+export const resolveMappingProfile = async (name, headers) => {
+    if (!name) {
+        return detectMappingProfile(headers);
+    }
+    if (name === DEFAULT_MAPPING_PROFILE.name) {
+        return DEFAULT_MAPPING_PROFILE;
+    }
+
+    const profile = await loadMappingProfile(name);
+    if (!profile) {
+        throw new Error(`Mapping profile '${name}' not found`);
+    }
+    return profile;
+};
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { META_LEAD_ADS } from '../config/leadWebhooks.js';
+import { ingestLeadRows, findReceivedLead } from './leadIngest.js';
+
+/**
+ * Meta Lead Ads: leadgen webhook events carry only ids, the answers are read
+ * from the Graph API and imported like a row of a Meta lead export.
+ */
+
+const META_SOURCE = 'meta_webhook';
+const GRAPH_LEAD_FIELDS = 'id,created_time,ad_id,adset_id,campaign_id,form_id,is_organic,platform,field_data';
+
+/**
+ * Check X-Hub-Signature-256 ("sha256=<hex HMAC of the raw body>")
+ * @param {Buffer} rawBody - Request body as received
+ * @param {string} signatureHeader - Header value
+ * @returns {boolean}
+ */
+export const verifyMetaSignature = (rawBody, signatureHeader, appSecret = META_LEAD_ADS.appSecret) => {
+    if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) return false;
+
+    const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+    const received = Buffer.from(signatureHeader.slice('sha256='.length), 'hex');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Read a lead from the Graph API
+ * @param {string} leadgenId - leadgen_id of the webhook event
+ * @returns {Promise<Object>} { id, created_time, ad_id, ..., field_data: [{ name, values }] }
+ */
+export const fetchMetaLead = async (leadgenId) => {
+    const { graphApiBaseUrl, graphApiVersion, accessToken, timeoutMs } = META_LEAD_ADS;
+    const { data } = await axios.get(`${graphApiBaseUrl.replace(/\/$/, '')}/${graphApiVersion}/${leadgenId}`, {
+        params: { access_token: accessToken, fields: GRAPH_LEAD_FIELDS },
+        timeout: timeoutMs
+    });
+    return data;
+};
+
+/**
+ * Graph API lead -> row keyed like the columns of a Meta lead export
+ * @param {Object} lead - Result of fetchMetaLead
+ * @param {Object} change - leadgen change value of the webhook event
+ */
+export const metaLeadToRow = (lead, change = {}) => {
+    const row = {
+        id: lead.id,
+        created_time: lead.created_time || (change.created_time ? new Date(change.created_time * 1000).toISOString() : ''),
+        ad_id: lead.ad_id || change.ad_id || '',
+        form_id: lead.form_id || change.form_id || '',
+        is_organic: lead.is_organic !== undefined ? String(lead.is_organic) : '',
+        platform: lead.platform || 'fb'
+    };
+
+    (lead.field_data || []).forEach(({ name, values = [] }) => {
+        row[name] = values.join(', ');
+    });
+
+    return row;
+};
+
+/**
+ * Import the leads of a leadgen webhook payload
+ * @param {Object} payload - { object: 'page', entry: [{ changes: [{ field: 'leadgen', value }] }] }
+ * @returns {Promise<Array<Object>>} { leadgenId, status: 'stored' | 'duplicate' | 'skipped' | 'error', leadId, reason, error }
+ */
+export const ingestMetaLeadgenEvent = async (payload) => {
+    const changes = (payload.entry || [])
+        .flatMap(entry => entry.changes || [])
+        .filter(change => change.field === 'leadgen' && change.value?.leadgen_id)
+        .map(change => change.value);
+
+    const outcomes = [];
+    const rows = [];
+    const rowExtras = [];
+
+    for (const change of changes) {
+        const leadgenId = String(change.leadgen_id);
+
+        // Meta redelivers events until it gets a 200
+        const existing = await findReceivedLead(META_SOURCE, leadgenId);
+        if (existing) {
+            outcomes.push({ leadgenId, status: 'skipped', leadId: existing._id, reason: 'Lead already received' });
+            continue;
+        }
+
+        const lead = await fetchMetaLead(leadgenId);
+        const adgroupId = lead.adset_id || change.adgroup_id;
+        rows.push(metaLeadToRow(lead, change));
+        rowExtras.push({
+            external_lead_id: leadgenId,
+            campaign_id: lead.campaign_id ? String(lead.campaign_id) : null,
+            adgroup_id: adgroupId ? String(adgroupId) : null
+        });
+        outcomes.push({ leadgenId, row: rows.length - 1 });
+    }
+
+    const results = await ingestLeadRows(rows, {
+        source: META_SOURCE,
+        profileName: META_LEAD_ADS.mappingProfile,
+        rowExtras
+    });
+
+    return outcomes.map(({ row, ...outcome }) => {
+        if (row === undefined) return outcome;
+        const { status, leadId, originalLeadId, existingLeadId, reason, error } = results[row];
+        return { ...outcome, status, leadId, originalLeadId, existingLeadId, reason, error };
+    });
+};
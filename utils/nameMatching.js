@@ -0,0 +1,63 @@
+/**
+ * Person name normalization and similarity
+ */
+
+/**
+ * Lowercase letters-only form of a lead's name, used as name_key
+ * @param {Object} lead - Lead with full_name or first_name / last_name
+ * @returns {string|null} e.g. "rahul kumar", null when the lead has no name
+ */
+export const normalizeName = (lead) => {
+    const name = lead.full_name || [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+    const normalized = String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return normalized || null;
+};
+
+/**
+ * Jaro-Winkler similarity of two strings
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+export const jaroWinkler = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - matchWindow);
+        const end = Math.min(i + matchWindow + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (!bMatches[j] && a[i] === b[j]) {
+                aMatches[i] = true;
+                bMatches[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+};
@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import { PARTNER_LEAD_API } from '../config/leadWebhooks.js';
+import IdempotencyRecord from '../models/IdempotencyRecord.js';
+import { ingestLeadRows } from './leadIngest.js';
+
+/**
+ * Leads posted by landing pages and affiliate partners (POST /api/instant-leads)
+ */
+
+const PARTNER_SOURCE = 'partner_api';
+
+// importLeadChunk status -> result reported to the partner
+const PARTNER_STATUSES = {
+    stored: 'accepted',
+    duplicate: 'duplicate',
+    skipped: 'duplicate',
+    error: 'rejected'
+};
+
+export const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * New API key and signing secret for a partner, the key is only stored hashed
+ * @returns {Object} { apiKey, apiKeyHash, signingSecret }
+ */
+export const generatePartnerCredentials = () => {
+    const apiKey = `lp_${crypto.randomBytes(24).toString('hex')}`;
+    return {
+        apiKey,
+        apiKeyHash: hashApiKey(apiKey),
+        signingSecret: crypto.randomBytes(32).toString('hex')
+    };
+};
+
+/**
+ * X-Signature of a request: hex HMAC-SHA256 of "<X-Timestamp>.<raw body>"
+ */
+export const signPartnerRequest = (signingSecret, timestamp, rawBody) =>
+    crypto.createHmac('sha256', signingSecret).update(`${timestamp}.`).update(rawBody || '').digest('hex');
+
+/**
+ * Store partner leads through the Excel pipeline
+ * @param {Object} partner - LeadPartner document
+ * @param {Array<Object>} leads - Leads keyed by field name, like uploaded rows
+ * @returns {Promise<Array<Object>>} { index, status: 'accepted' | 'duplicate' | 'rejected', leadId, originalLeadId, reEngaged, reason, warnings }
+ */
+export const ingestPartnerLeads = async (partner, leads) => {
+    const rows = leads.map(lead => ({
+        platform: partner.default_platform || partner.name,
+        ...(partner.default_ad_id ? { ad_id: partner.default_ad_id } : {}),
+        ...lead
+    }));
+
+    const results = await ingestLeadRows(rows, {
+        source: PARTNER_SOURCE,
+        profileName: partner.mapping_profile,
+        extra: { partner_id: partner._id, uploaded_by: partner.name }
+    });
+
+    return results.map((result, index) => ({
+        index,
+        status: PARTNER_STATUSES[result.status],
+        leadId: result.leadId || result.existingLeadId || null,
+        originalLeadId: result.originalLeadId || null,
+        reEngaged: Boolean(result.reEngaged),
+        reason: result.error || result.reason || null,
+        warnings: result.warnings || []
+    }));
+};
+
+/**
+ * Run a partner request once per Idempotency-Key: a repeated key gets the
+ * stored response back instead of storing the leads again
+ * @param {Object} partner - LeadPartner document
+ * @param {string} key - Idempotency-Key header, the handler always runs without one
+ * @param {Buffer} rawBody - Request body, a key reused with another body is refused
+ * @param {Function} handler - async () => { statusCode, body }
+ * @returns {Promise<Object>} { statusCode, body, replayed }
+ */
+export const runIdempotent = async (partner, key, rawBody, handler) => {
+    if (!key) {
+        return { ...(await handler()), replayed: false };
+    }
+
+    const requestHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+    let record = null;
+
+    while (!record) {
+        try {
+            record = await IdempotencyRecord.create({ partner_id: partner._id, key, request_hash: requestHash });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            const existing = await IdempotencyRecord.findOne({ partner_id: partner._id, key }).lean();
+            if (!existing) continue; // Released in between
+
+            if (existing.request_hash !== requestHash) {
+                return {
+                    statusCode: 422,
+                    body: { success: false, message: 'Idempotency-Key was already used with a different request body' },
+                    replayed: false
+                };
+            }
+            if (existing.status_code !== null) {
+                return { statusCode: existing.status_code, body: existing.response, replayed: true };
+            }
+
+            // Unanswered: still running, or left behind by a process that died
+            const pendingSince = Date.now() - new Date(existing.createdAt).getTime();
+            if (pendingSince < PARTNER_LEAD_API.idempotencyPendingSeconds * 1000) {
+                return {
+                    statusCode: 409,
+                    body: { success: false, message: 'A request with this Idempotency-Key is still being processed' },
+                    replayed: false
+                };
+            }
+            await IdempotencyRecord.deleteOne({ _id: existing._id, status_code: null });
+        }
+    }
+
+    let answered = false;
+    try {
+        const { statusCode, body } = await handler();
+        await IdempotencyRecord.updateOne({ _id: record._id }, { $set: { status_code: statusCode, response: body } });
+        answered = true;
+        return { statusCode, body, replayed: false };
+    } finally {
+        // Let the partner retry with the same key
+        if (!answered) {
+            await IdempotencyRecord.deleteOne({ _id: record._id }).catch(error => {
+                console.error(`⚠️ Idempotency-Key ${key} of partner ${partner.name} not released:`, error.message);
+            });
+        }
+    }
+};
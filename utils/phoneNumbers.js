@@ -0,0 +1,47 @@
+/**
+ * Indian mobile number normalization.
+ *
+ * Forms and exports write the same number as "919034955557", "+91 90349 55557",
+ * "09034955557" or "9034955557"; they all normalize to the 10-digit mobile
+ * "9034955557" (used for dedup) and "+919034955557" (E.164).
+ */
+
+const COUNTRY_CODE = '91';
+
+// Prefixes written in front of the 10-digit mobile: 0091, +91 0, 91, trunk 0
+const NUMBER_PREFIXES = [
+    { length: 14, prefix: '0091' },
+    { length: 13, prefix: '910' },
+    { length: 12, prefix: COUNTRY_CODE },
+    { length: 11, prefix: '0' }
+];
+
+/**
+ * Normalize a phone number to a canonical Indian mobile
+ * @param {string|number} value - Phone number as written in the source
+ * @returns {Object} { valid, raw, mobile, e164, reason } - mobile / e164 are null when invalid
+ */
+export const normalizeIndianMobile = (value) => {
+    const raw = value === undefined || value === null ? '' : String(value).trim();
+    let digits = raw.replace(/\D/g, '');
+
+    const invalid = (reason) => ({ valid: false, raw, mobile: null, e164: null, reason });
+
+    if (!digits) {
+        return invalid('Phone number is missing');
+    }
+
+    const prefixed = NUMBER_PREFIXES.find(({ length, prefix }) => digits.length === length && digits.startsWith(prefix));
+    if (prefixed) {
+        digits = digits.slice(prefixed.prefix.length);
+    }
+
+    if (digits.length !== 10) {
+        return invalid(`Invalid phone number '${raw}': expected a 10-digit Indian mobile`);
+    }
+    if (!/^[6-9]/.test(digits)) {
+        return invalid(`Invalid phone number '${raw}': Indian mobiles start with 6, 7, 8 or 9`);
+    }
+
+    return { valid: true, raw, mobile: digits, e164: `+${COUNTRY_CODE}${digits}`, reason: null };
+};
@@ -0,0 +1,83 @@
+import { QUALITY_RULES, SALARY_BUCKET_VALUES } from '../config/qualityRules.js';
+
+/**
+ * Quality lead rule engine (rules live in config/qualityRules.js)
+ */
+
+export const SALARY_BUCKETS = Object.keys(SALARY_BUCKET_VALUES);
+
+/**
+ * Amount of a monthly salary bucket, 0 for unknown buckets
+ */
+export const getSalaryValue = (bucket) => SALARY_BUCKET_VALUES[bucket] || 0;
+
+const includesIgnoreCase = (list, value) =>
+    Boolean(value) && list.some(item => item.toLowerCase() === String(value).trim().toLowerCase());
+
+/**
+ * Evaluate an instant form lead against the quality rules
+ * @param {Object} lead - Lead document or plain lead data
+ * @param {Object} rules - Rules to apply, the configured ones by default
+ * @returns {Object} { qualityLead, salaryValue, ruleVersion, failedRules }
+ */
+export const evaluateQualityLead = (lead, rules = QUALITY_RULES) => {
+    const salaryValue = getSalaryValue(lead.what_is_your_monthly_salary);
+    const failedRules = [];
+
+    if (salaryValue <= rules.minSalary) {
+        failedRules.push('salary');
+    }
+
+    if (rules.minAge !== null || rules.maxAge !== null) {
+        const age = Number(lead.age);
+        const tooYoung = rules.minAge !== null && age < rules.minAge;
+        const tooOld = rules.maxAge !== null && age > rules.maxAge;
+        if (!lead.age || !Number.isFinite(age) || tooYoung || tooOld) {
+            failedRules.push('age');
+        }
+    }
+
+    if (rules.allowedCities.length > 0 && !includesIgnoreCase(rules.allowedCities, lead.city)) {
+        failedRules.push('city');
+    }
+    if (rules.allowedStates.length > 0 && !includesIgnoreCase(rules.allowedStates, lead.state)) {
+        failedRules.push('state');
+    }
+    if (rules.allowedPlatforms.length > 0 && !includesIgnoreCase(rules.allowedPlatforms, lead.platform)) {
+        failedRules.push('platform');
+    }
+
+    return {
+        qualityLead: failedRules.length === 0,
+        salaryValue,
+        ruleVersion: rules.version,
+        failedRules
+    };
+};
+
+/**
+ * Set salary_numeric_value, quality_lead and quality_rule_version on a lead
+ * @returns {Object} Result of evaluateQualityLead
+ */
+export const applyQualityRules = (lead, rules = QUALITY_RULES) => {
+    const result = evaluateQualityLead(lead, rules);
+    lead.salary_numeric_value = result.salaryValue;
+    lead.quality_lead = result.qualityLead;
+    lead.quality_rule_version = result.ruleVersion;
+    return result;
+};
+
+/**
+ * SQL conditions for quality leads in the MySQL `leads` table. Only the campaign
+ * and salary rules have MySQL columns; age, city, state and platform apply to
+ * instant form leads only.
+ * @param {string} alias - Table alias, e.g. "le"
+ * @returns {Object} { sql, params } to append after WHERE / AND
+ */
+export const buildQualitySqlFilter = (alias = '', rules = QUALITY_RULES) => {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    return {
+        sql: `${column('utm_campaign')} = ? AND ${column('monthly_salary_amount')} > ?`,
+        params: [rules.utmCampaign, rules.minSalary]
+    };
+};